@@ -0,0 +1,83 @@
+/* eslint-disable react/prop-types */
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_AZURE_API_VERSION, parseDeployments, formatDeployments } from '../utils/azureOpenAI';
+
+const inputClass = "w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white mt-1";
+
+// Resource endpoint, API version and deployments of Azure OpenAI. Fields are saved when they lose focus.
+export default function AzureSettings({ config, onChange }) {
+    const [endpoint, setEndpoint] = useState(config.endpoint || '');
+    const [apiVersion, setApiVersion] = useState(config.apiVersion || '');
+    const [deploymentsText, setDeploymentsText] = useState(formatDeployments(config.deployments));
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setEndpoint(config.endpoint || '');
+        setApiVersion(config.apiVersion || '');
+        setDeploymentsText(formatDeployments(config.deployments));
+    }, [config]);
+
+    const saveEndpoint = () => {
+        const value = endpoint.trim().replace(/\/+$/, '');
+        if (value && !/^https:\/\//.test(value)) {
+            setError('Enter the resource endpoint, e.g. https://my-resource.openai.azure.com');
+            return;
+        }
+        setError(null);
+        if (value !== config.endpoint) onChange({ endpoint: value });
+    };
+
+    const saveApiVersion = () => {
+        const value = apiVersion.trim() || DEFAULT_AZURE_API_VERSION;
+        setApiVersion(value);
+        if (value !== config.apiVersion) onChange({ apiVersion: value });
+    };
+
+    const saveDeployments = () => {
+        const deployments = parseDeployments(deploymentsText);
+        if (formatDeployments(deployments) !== formatDeployments(config.deployments)) onChange({ deployments });
+    };
+
+    return (
+        <div data-testid="azure-settings" className="pt-4 border-t border-brand-border space-y-3">
+            <div>
+                <label htmlFor="azure-endpoint" className="block text-sm font-medium text-gray-300">Resource Endpoint</label>
+                <input
+                    id="azure-endpoint"
+                    type="text"
+                    value={endpoint}
+                    onChange={(e) => setEndpoint(e.target.value)}
+                    onBlur={saveEndpoint}
+                    placeholder="https://my-resource.openai.azure.com"
+                    className={inputClass}
+                />
+            </div>
+            <div>
+                <label htmlFor="azure-api-version" className="block text-sm font-medium text-gray-300">API Version</label>
+                <input
+                    id="azure-api-version"
+                    type="text"
+                    value={apiVersion}
+                    onChange={(e) => setApiVersion(e.target.value)}
+                    onBlur={saveApiVersion}
+                    placeholder={DEFAULT_AZURE_API_VERSION}
+                    className={inputClass}
+                />
+            </div>
+            <div>
+                <label htmlFor="azure-deployments" className="block text-sm font-medium text-gray-300">Deployments</label>
+                <textarea
+                    id="azure-deployments"
+                    rows={3}
+                    value={deploymentsText}
+                    onChange={(e) => setDeploymentsText(e.target.value)}
+                    onBlur={saveDeployments}
+                    placeholder="gpt-4o"
+                    className={`${inputClass} font-mono text-xs`}
+                />
+                <p className="text-xs text-gray-500 mt-1">One deployment name per line. They are listed as the models.</p>
+            </div>
+            {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+    );
+}
@@ -1,14 +1,25 @@
 /* eslint-disable react/prop-types */
 import React, { useState, useEffect, useRef } from 'react';
-import { Send, Square, Paperclip, FileDown, ChevronDown, Star, Plus, Minus, Globe } from 'lucide-react';
+import { Send, Square, Paperclip, FileDown, ChevronDown, Star, Plus, Minus, Globe, Brain, SlidersHorizontal, Braces, ImagePlus, Columns2, FileSearch } from 'lucide-react';
 import { useChatStore } from '../store/useChatStore';
 import { useDraftStore } from '../store/useDraftStore';
 import { usePromptsStore } from '../store/usePromptsStore';
 import { getModelCategory } from '../services/modelService';
+import { supportsReasoning, supportsImageOutput, getOpenAIImageOptions, REASONING_EFFORTS } from '../utils/modelCapabilities';
+import { cleanGenerationParams } from '../utils/generationParams';
+import { BUILT_IN_PROVIDERS, findProfile, getProviderLabel } from '../utils/providerProfiles';
+import ParametersDrawer from './ParametersDrawer';
+import JsonSchemaPanel from './JsonSchemaPanel';
+import ImageOptionsPanel from './ImageOptionsPanel';
+import CompareModelsPanel from './CompareModelsPanel';
+import { MIN_COMPARE_MODELS } from '../utils/compareMode';
 
 export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoading, disabled, providerMode, activeProvider }) {
     const {
         model, setModel, availableModels, favorites, toggleFavorite,
+        providerProfiles, setActiveCloudProvider,
+        sessions, currentSessionId, setSessionReasoningEffort, setSessionParameters, setSessionJsonSchema, setSessionImageOptions,
+        setSessionCompareModels, toolsEnabled, setSessionPageAccess,
     } = useChatStore();
     const { draft, setDraft } = useDraftStore();
 
@@ -22,6 +33,10 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
     const [isModelListHovered, setIsModelListHovered] = useState(false);
     const [collapsedGroups, setCollapsedGroups] = useState([]);
     const [webSearchEnabled, setWebSearchEnabled] = useState(false);
+    const [showParameters, setShowParameters] = useState(false);
+    const [showJsonSchema, setShowJsonSchema] = useState(false);
+    const [showImageOptions, setShowImageOptions] = useState(false);
+    const [showCompare, setShowCompare] = useState(false);
     const inputRef = useRef(null);
 
     // Prompt picker state
@@ -47,6 +62,28 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
     const category = getModelCategory(activeModelObj || { id: model });
     const isFreeModel = category === 'Free';
 
+    // Reasoning effort is remembered per session
+    const canReason = supportsReasoning(activeModelObj || model);
+    const currentSession = (sessions || []).find(s => s.id === currentSessionId);
+    const reasoningEffort = canReason ? (currentSession?.reasoningEffort || null) : null;
+
+    const cycleReasoningEffort = () => {
+        if (!currentSessionId || !setSessionReasoningEffort) return;
+        const levels = [null, ...REASONING_EFFORTS];
+        const next = levels[(levels.indexOf(reasoningEffort) + 1) % levels.length];
+        setSessionReasoningEffort(currentSessionId, next);
+    };
+
+    // Aspect ratio and response modalities only apply to models that can answer with images
+    const canOutputImages = supportsImageOutput(activeModelObj || model);
+    const imageOptions = canOutputImages ? (currentSession?.imageOptions || null) : null;
+    // Images API models of the OpenAI provider take different settings (see chatService.sendOpenAIImages)
+    const openAIImageOptions = activeProvider === 'openai' ? getOpenAIImageOptions(model) : null;
+
+    // Compare mode is on once the session has enough models picked
+    const pickedCompareModels = currentSession?.compareModels || [];
+    const compareModels = pickedCompareModels.length >= MIN_COMPARE_MODELS ? pickedCompareModels : null;
+
     // Disable web search for free models
     useEffect(() => {
         if (isFreeModel && webSearchEnabled) {
@@ -56,7 +93,15 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
 
     const handleSend = async () => {
         if (!input.trim()) return;
-        const success = await onSend(input, { webSearch: webSearchEnabled });
+        const options = { webSearch: webSearchEnabled };
+        if (reasoningEffort) options.reasoningEffort = reasoningEffort;
+        const generationParams = cleanGenerationParams(currentSession?.parameters, activeModelObj || model);
+        if (Object.keys(generationParams).length > 0) Object.assign(options, generationParams);
+        if (currentSession?.jsonSchema) options.jsonSchema = currentSession.jsonSchema;
+        if (toolsEnabled && currentSession?.pageAccess) options.pageAccess = true;
+        if (imageOptions) options.imageOptions = imageOptions;
+        if (compareModels) options.compareModels = compareModels;
+        const success = await onSend(input, options);
         if (success) {
             setInput('');
         }
@@ -277,6 +322,40 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
 
     return (
         <div className="p-4 bg-brand-dark border-t border-brand-border flex flex-col gap-2">
+            {showParameters && currentSessionId && (
+                <ParametersDrawer
+                    parameters={currentSession?.parameters || {}}
+                    model={activeModelObj || model}
+                    onChange={(parameters) => setSessionParameters(currentSessionId, parameters)}
+                    onClose={() => setShowParameters(false)}
+                />
+            )}
+            {showJsonSchema && currentSessionId && (
+                <JsonSchemaPanel
+                    key={currentSessionId}
+                    jsonSchema={currentSession?.jsonSchema || null}
+                    onChange={(jsonSchema) => setSessionJsonSchema(currentSessionId, jsonSchema)}
+                    onClose={() => setShowJsonSchema(false)}
+                />
+            )}
+            {showImageOptions && canOutputImages && currentSessionId && (
+                <ImageOptionsPanel
+                    imageOptions={imageOptions}
+                    openAIOptions={openAIImageOptions}
+                    onChange={(options) => setSessionImageOptions(currentSessionId, options)}
+                    onClose={() => setShowImageOptions(false)}
+                />
+            )}
+            {showCompare && currentSessionId && (
+                <CompareModelsPanel
+                    compareModels={currentSession?.compareModels}
+                    models={availableModels}
+                    provider={activeProvider}
+                    providerProfiles={providerProfiles}
+                    onChange={(models) => setSessionCompareModels(currentSessionId, models)}
+                    onClose={() => setShowCompare(false)}
+                />
+            )}
             <div className="flex gap-2 items-end">
                 {/* File Upload */}
                 <label className="p-2 text-gray-400 hover:text-gray-200 cursor-pointer transition-colors" title="Attach file">
@@ -317,6 +396,85 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
                     </button>
                 )}
 
+                {/* Page Access (per session): lets the tools read the current page and fetch URLs */}
+                {toolsEnabled && (
+                    <button
+                        onClick={() => setSessionPageAccess(currentSessionId, !currentSession?.pageAccess)}
+                        disabled={disabled || !currentSessionId}
+                        className={`p-2 cursor-pointer transition-colors flex items-center gap-1 ${currentSession?.pageAccess ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                        title={currentSession?.pageAccess ? 'Tools may read the current page and fetch URLs in this chat' : 'Let tools read the current page and fetch URLs in this chat'}
+                        aria-label="Page and URL access"
+                        aria-pressed={Boolean(currentSession?.pageAccess)}
+                    >
+                        <FileSearch size={20} />
+                    </button>
+                )}
+
+                {/* Reasoning Effort (cycles default -> low -> medium -> high) */}
+                {canReason && (
+                    <button
+                        onClick={cycleReasoningEffort}
+                        disabled={disabled || !currentSessionId}
+                        className={`p-2 cursor-pointer transition-colors flex items-center gap-0.5 ${reasoningEffort ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                        title={`Reasoning effort: ${reasoningEffort || 'default'}`}
+                        aria-label={`Reasoning effort: ${reasoningEffort || 'default'}`}
+                    >
+                        <Brain size={20} />
+                        {reasoningEffort && (
+                            <span className="text-[10px] font-bold uppercase">{reasoningEffort[0]}</span>
+                        )}
+                    </button>
+                )}
+
+                {/* Generation Parameters (per session) */}
+                <button
+                    onClick={() => setShowParameters(!showParameters)}
+                    disabled={disabled || !currentSessionId}
+                    className={`p-2 cursor-pointer transition-colors flex items-center gap-1 ${showParameters || Object.keys(currentSession?.parameters || {}).length > 0 ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                    title="Generation parameters"
+                    aria-label="Generation parameters"
+                >
+                    <SlidersHorizontal size={20} />
+                </button>
+
+                {/* JSON Mode (per session) */}
+                <button
+                    onClick={() => setShowJsonSchema(!showJsonSchema)}
+                    disabled={disabled || !currentSessionId}
+                    className={`p-2 cursor-pointer transition-colors flex items-center gap-1 ${showJsonSchema || currentSession?.jsonSchema ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                    title={currentSession?.jsonSchema ? 'JSON mode: on' : 'JSON mode'}
+                    aria-label="JSON mode"
+                >
+                    <Braces size={20} />
+                </button>
+
+                {/* Image Output (per session, image-generation models only) */}
+                {canOutputImages && (
+                    <button
+                        onClick={() => setShowImageOptions(!showImageOptions)}
+                        disabled={disabled || !currentSessionId}
+                        className={`p-2 cursor-pointer transition-colors flex items-center gap-1 ${showImageOptions || imageOptions ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                        title="Image output"
+                        aria-label="Image output"
+                    >
+                        <ImagePlus size={20} />
+                    </button>
+                )}
+
+                {/* Compare Mode (per session): send each prompt to several models */}
+                <button
+                    onClick={() => setShowCompare(!showCompare)}
+                    disabled={disabled || !currentSessionId}
+                    className={`p-2 cursor-pointer transition-colors flex items-center gap-0.5 ${showCompare || compareModels ? 'text-brand-cyan hover:text-cyan-400' : 'text-gray-400 hover:text-gray-200 disabled:text-gray-600'}`}
+                    title={compareModels ? `Comparing ${compareModels.length} models` : 'Compare models'}
+                    aria-label="Compare models"
+                >
+                    <Columns2 size={20} />
+                    {compareModels && (
+                        <span className="text-[10px] font-bold">{compareModels.length}</span>
+                    )}
+                </button>
+
                 {/* Model Switcher */}
                 <div
                     className="relative z-20 w-[160px] shrink-0"
@@ -325,7 +483,7 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
                 >
                     {activeProvider && (
                         <div className="text-[9px] uppercase font-bold text-gray-500 mb-0.5 ml-1 truncate">
-                            {activeProvider === 'openai' ? 'OpenAI' : activeProvider}
+                            {findProfile(providerProfiles, activeProvider)?.name || (activeProvider === 'openai' ? 'OpenAI' : activeProvider)}
                         </div>
                     )}
                     <div className="flex items-center gap-1 mb-1 p-1 bg-brand-input border border-brand-border rounded text-xs focus-within:ring-1 focus-within:ring-brand-cyan focus-within:border-brand-cyan transition-all">
@@ -379,6 +537,22 @@ export default function ChatInput({ onSend, onStop, onUpload, onReadPage, isLoad
 
                     {isDropdownOpen && (
                         <div className="absolute bottom-full left-0 right-0 mb-1 max-h-80 bg-brand-card border border-brand-border rounded shadow-lg flex flex-col overflow-hidden">
+                            {/* Provider switcher: built-in cloud providers and provider profiles (local mode has one endpoint) */}
+                            {activeProvider && activeProvider !== 'local' && setActiveCloudProvider && (
+                                <div data-testid="provider-switcher" className="shrink-0 flex flex-wrap gap-1 p-1.5 border-b border-brand-border bg-brand-input">
+                                    {[...BUILT_IN_PROVIDERS, ...(providerProfiles || []).map(p => p.id)].map(p => (
+                                        <div
+                                            key={p}
+                                            onMouseDown={(e) => e.preventDefault()} // Keep the list open
+                                            onClick={() => setActiveCloudProvider(p)}
+                                            className={`px-1.5 py-0.5 rounded-full border text-[10px] cursor-pointer select-none ${p === activeProvider ? 'border-brand-cyan text-brand-cyan bg-brand-cyan/10' : 'border-white/15 text-gray-400 hover:text-gray-200'}`}
+                                            title={`Switch to ${getProviderLabel(p, providerProfiles)}`}
+                                        >
+                                            {getProviderLabel(p, providerProfiles)}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                             {activeGroups.length === 0 ? (
                                 <div className="p-3 text-gray-500 text-xs text-center italic">No models found</div>
                             ) : (
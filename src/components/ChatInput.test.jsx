@@ -617,4 +617,366 @@ describe('ChatInput Component', () => {
             expect(stopBtn.className).toContain('bg-gray-700');
         });
     });
+
+    describe('Reasoning Effort', () => {
+        const mockStore = (overrides = {}) => {
+            const setSessionReasoningEffort = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'anthropic/claude-4-sonnet',
+                setModel: vi.fn(),
+                availableModels: [{ id: 'anthropic/claude-4-sonnet', name: 'Claude 4 Sonnet' }],
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [], reasoningEffort: null }],
+                currentSessionId: 's1',
+                setSessionReasoningEffort,
+                ...overrides
+            });
+            return setSessionReasoningEffort;
+        };
+
+        it('should hide the control for models without reasoning support', () => {
+            mockStore({
+                model: 'openai/gpt-4o',
+                availableModels: [{ id: 'openai/gpt-4o', name: 'GPT-4o', supported_parameters: ['temperature'] }]
+            });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            expect(screen.queryByLabelText(/Reasoning effort/)).toBeNull();
+        });
+
+        it('should cycle the session effort from default to low', () => {
+            const setEffort = mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('Reasoning effort: default'));
+
+            expect(setEffort).toHaveBeenCalledWith('s1', 'low');
+        });
+
+        it('should pass the session effort to onSend', async () => {
+            mockStore({ sessions: [{ id: 's1', messages: [], reasoningEffort: 'high' }] });
+            useDraftStore.mockReturnValue({ draft: 'Think hard', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            expect(screen.getByLabelText('Reasoning effort: high')).toBeDefined();
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Think hard', { webSearch: false, reasoningEffort: 'high' });
+            });
+        });
+    });
+
+    describe('Generation Parameters', () => {
+        const mockStore = (overrides = {}) => {
+            const setSessionParameters = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'openai/gpt-4o',
+                setModel: vi.fn(),
+                availableModels: [{ id: 'openai/gpt-4o', name: 'GPT-4o', supported_parameters: ['temperature', 'max_tokens', 'stop'] }],
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [] }],
+                currentSessionId: 's1',
+                setSessionParameters,
+                ...overrides
+            });
+            return setSessionParameters;
+        };
+
+        it('should save edited values on the session', () => {
+            const setParameters = mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('Generation parameters'));
+            fireEvent.change(screen.getByLabelText('Temperature'), { target: { value: '0.3' } });
+
+            expect(setParameters).toHaveBeenCalledWith('s1', { temperature: 0.3 });
+        });
+
+        it('should disable parameters the model does not support', () => {
+            mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('Generation parameters'));
+
+            expect(screen.getByLabelText('Temperature').disabled).toBe(false);
+            expect(screen.getByLabelText('Seed').disabled).toBe(true);
+            expect(screen.getByLabelText('Seed').title).toBe('Not supported by this model');
+        });
+
+        it('should pass supported session parameters to onSend', async () => {
+            mockStore({ sessions: [{ id: 's1', messages: [], parameters: { temperature: 0.3, seed: 7, stop: ['###', ''] } }] });
+            useDraftStore.mockReturnValue({ draft: 'Hello', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Hello', { webSearch: false, temperature: 0.3, stop: ['###'] });
+            });
+        });
+    });
+
+    describe('JSON Mode', () => {
+        const mockStore = (overrides = {}) => {
+            const setSessionJsonSchema = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'openai/gpt-4o',
+                setModel: vi.fn(),
+                availableModels: [{ id: 'openai/gpt-4o', name: 'GPT-4o' }],
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [] }],
+                currentSessionId: 's1',
+                setSessionJsonSchema,
+                ...overrides
+            });
+            return setSessionJsonSchema;
+        };
+
+        it('should apply a preset schema to the session', () => {
+            const setJsonSchema = mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('JSON mode'));
+            fireEvent.change(screen.getByLabelText('Schema'), { target: { value: 'contacts' } });
+
+            expect(setJsonSchema).toHaveBeenCalledWith('s1', { name: 'contacts', schema: expect.objectContaining({ type: 'object' }) });
+        });
+
+        it('should reject a pasted schema that is not valid JSON', () => {
+            const setJsonSchema = mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('JSON mode'));
+            fireEvent.change(screen.getByLabelText('JSON Schema'), { target: { value: '{ "type": ' } });
+            fireEvent.click(screen.getByText('Use schema'));
+
+            expect(screen.getByText(/^Invalid JSON/)).toBeDefined();
+            expect(setJsonSchema).not.toHaveBeenCalled();
+
+            fireEvent.change(screen.getByLabelText('JSON Schema'), { target: { value: '{ "type": "object" }' } });
+            fireEvent.click(screen.getByText('Use schema'));
+
+            expect(setJsonSchema).toHaveBeenCalledWith('s1', { name: 'response', schema: { type: 'object' } });
+        });
+
+        it('should pass the session schema to onSend', async () => {
+            const jsonSchema = { name: 'response', schema: { type: 'object' } };
+            mockStore({ sessions: [{ id: 's1', messages: [], jsonSchema }] });
+            useDraftStore.mockReturnValue({ draft: 'Extract', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            expect(screen.getByTitle('JSON mode: on')).toBeDefined();
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Extract', { webSearch: false, jsonSchema });
+            });
+        });
+    });
+
+    describe('Image Output', () => {
+        const mockStore = (overrides = {}) => {
+            const setSessionImageOptions = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'google/gemini-2.5-flash-image',
+                setModel: vi.fn(),
+                availableModels: [{ id: 'google/gemini-2.5-flash-image', name: 'Nano Banana', architecture: { output_modalities: ['image', 'text'] } }],
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [] }],
+                currentSessionId: 's1',
+                setSessionImageOptions,
+                ...overrides
+            });
+            return setSessionImageOptions;
+        };
+
+        it('should only offer image output for models that can generate images', () => {
+            mockStore({ model: 'openai/gpt-4o', availableModels: [{ id: 'openai/gpt-4o', name: 'GPT-4o', architecture: { output_modalities: ['text'] } }] });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            expect(screen.queryByLabelText('Image output')).toBeNull();
+        });
+
+        it('should save aspect ratio and response modalities on the session', () => {
+            const setImageOptions = mockStore({ sessions: [{ id: 's1', messages: [], imageOptions: { aspectRatio: '16:9', modalities: null } }] });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('Image output'));
+            fireEvent.change(screen.getByLabelText('Response'), { target: { value: 'image' } });
+            expect(setImageOptions).toHaveBeenCalledWith('s1', { aspectRatio: '16:9', modalities: ['image'] });
+
+            fireEvent.change(screen.getByLabelText('Aspect ratio'), { target: { value: '' } });
+            expect(setImageOptions).toHaveBeenLastCalledWith('s1', null);
+        });
+
+        it('should offer size, quality, background and editing for OpenAI image models', () => {
+            const setImageOptions = mockStore({ model: 'gpt-image-1', availableModels: [{ id: 'gpt-image-1', name: 'gpt-image-1' }] });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} activeProvider="openai" />);
+
+            fireEvent.click(screen.getByLabelText('Image output'));
+            expect(screen.queryByLabelText('Aspect ratio')).toBeNull();
+
+            fireEvent.change(screen.getByLabelText('Size'), { target: { value: '1024x1536' } });
+            expect(setImageOptions).toHaveBeenLastCalledWith('s1', { size: '1024x1536' });
+
+            fireEvent.click(screen.getByLabelText('Edit the last image in this chat'));
+            expect(setImageOptions).toHaveBeenLastCalledWith('s1', { editLastImage: true });
+            expect(screen.getByLabelText('Quality')).toBeDefined();
+            expect(screen.getByLabelText('Background')).toBeDefined();
+        });
+
+        it('should pass the session image options to onSend', async () => {
+            const imageOptions = { aspectRatio: '1:1', modalities: ['text', 'image'] };
+            mockStore({ sessions: [{ id: 's1', messages: [], imageOptions }] });
+            useDraftStore.mockReturnValue({ draft: 'Draw a cat', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Draw a cat', { webSearch: false, imageOptions });
+            });
+        });
+    });
+
+    describe('Compare Mode', () => {
+        const models = [
+            { id: 'anthropic/claude-sonnet-4', name: 'Claude Sonnet 4' },
+            { id: 'openai/gpt-4o', name: 'GPT-4o' },
+            { id: 'google/gemini-2.5-pro', name: 'Gemini 2.5 Pro' }
+        ];
+
+        const mockStore = (overrides = {}) => {
+            const setSessionCompareModels = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'anthropic/claude-sonnet-4',
+                setModel: vi.fn(),
+                availableModels: models,
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [] }],
+                currentSessionId: 's1',
+                setSessionCompareModels,
+                ...overrides
+            });
+            return setSessionCompareModels;
+        };
+
+        it('should add and remove compared models of the active provider', () => {
+            const setCompareModels = mockStore({
+                sessions: [{ id: 's1', messages: [], compareModels: [{ provider: 'openrouter', model: 'openai/gpt-4o' }] }]
+            });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} activeProvider="openrouter" />);
+
+            fireEvent.click(screen.getByLabelText('Compare models'));
+            expect(screen.getByText(/Pick 2 to 4 models/)).toBeDefined();
+
+            fireEvent.change(screen.getByLabelText('Add model to compare'), { target: { value: 'google/gemini-2.5-pro' } });
+            expect(setCompareModels).toHaveBeenLastCalledWith('s1', [
+                { provider: 'openrouter', model: 'openai/gpt-4o' },
+                { provider: 'openrouter', model: 'google/gemini-2.5-pro' }
+            ]);
+
+            fireEvent.click(screen.getByLabelText('Remove GPT-4o'));
+            expect(setCompareModels).toHaveBeenLastCalledWith('s1', []);
+        });
+
+        it('should stop offering models once four are compared', () => {
+            const compareModels = ['a', 'b', 'c', 'd'].map(model => ({ provider: 'openrouter', model }));
+            mockStore({ sessions: [{ id: 's1', messages: [], compareModels }] });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} activeProvider="openrouter" />);
+
+            fireEvent.click(screen.getByLabelText('Compare models'));
+
+            expect(screen.getByLabelText('Add model to compare').disabled).toBe(true);
+            expect(screen.getByTitle('Comparing 4 models')).toBeDefined();
+        });
+
+        it('should pass the compared models to onSend once at least two are picked', async () => {
+            const compareModels = [
+                { provider: 'openrouter', model: 'anthropic/claude-sonnet-4' },
+                { provider: 'openrouter', model: 'openai/gpt-4o' }
+            ];
+            mockStore({ sessions: [{ id: 's1', messages: [], compareModels }] });
+            useDraftStore.mockReturnValue({ draft: 'Explain monads', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} activeProvider="openrouter" />);
+
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Explain monads', { webSearch: false, compareModels });
+            });
+        });
+
+        it('should send normally with a single compared model', async () => {
+            mockStore({ sessions: [{ id: 's1', messages: [], compareModels: [{ provider: 'openrouter', model: 'openai/gpt-4o' }] }] });
+            useDraftStore.mockReturnValue({ draft: 'Hi', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} activeProvider="openrouter" />);
+
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Hi', { webSearch: false });
+            });
+        });
+    });
+
+    describe('Page Access', () => {
+        const mockStore = (overrides = {}) => {
+            const setSessionPageAccess = vi.fn();
+            useChatStore.mockReturnValue({
+                model: 'openai/gpt-4o',
+                setModel: vi.fn(),
+                availableModels: [{ id: 'openai/gpt-4o', name: 'GPT-4o' }],
+                favorites: [],
+                toggleFavorite: vi.fn(),
+                sessions: [{ id: 's1', messages: [] }],
+                currentSessionId: 's1',
+                toolsEnabled: true,
+                setSessionPageAccess,
+                ...overrides
+            });
+            return setSessionPageAccess;
+        };
+
+        it('should only offer page access when tools are enabled', () => {
+            mockStore({ toolsEnabled: false });
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            expect(screen.queryByLabelText('Page and URL access')).toBeNull();
+        });
+
+        it('should turn page access on for the session', () => {
+            const setPageAccess = mockStore();
+            render(<ChatInput onSend={vi.fn()} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByLabelText('Page and URL access'));
+
+            expect(setPageAccess).toHaveBeenCalledWith('s1', true);
+        });
+
+        it('should pass page access to onSend', async () => {
+            mockStore({ sessions: [{ id: 's1', messages: [], pageAccess: true }] });
+            useDraftStore.mockReturnValue({ draft: 'Summarize this page', setDraft: vi.fn() });
+            const onSendMock = vi.fn().mockResolvedValue(true);
+            render(<ChatInput onSend={onSendMock} onUpload={vi.fn()} onReadPage={vi.fn()} />);
+
+            fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+            await waitFor(() => {
+                expect(onSendMock).toHaveBeenCalledWith('Summarize this page', { webSearch: false, pageAccess: true });
+            });
+        });
+    });
 });
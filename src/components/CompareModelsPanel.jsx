@@ -0,0 +1,83 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { X } from 'lucide-react';
+import { MIN_COMPARE_MODELS, MAX_COMPARE_MODELS } from '../utils/compareMode';
+import { getProviderLabel } from '../utils/providerProfiles';
+
+// Models the session's prompts are sent to side by side. Models are added from the active
+// provider's list; a chat keeps the ones picked under other providers.
+export default function CompareModelsPanel({ compareModels, models = [], provider, providerProfiles, onChange, onClose }) {
+    const picked = compareModels || [];
+    const isPicked = (id) => picked.some(c => c.provider === provider && c.model === id);
+    const addable = models.filter(m => !isPicked(m.id));
+    const modelName = (c) => (c.provider === provider && models.find(m => m.id === c.model)?.name) || c.model;
+
+    const add = (id) => {
+        if (!id || picked.length >= MAX_COMPARE_MODELS) return;
+        onChange([...picked, { provider, model: id }]);
+    };
+
+    const remove = (index) => onChange(picked.filter((_, i) => i !== index));
+
+    return (
+        <div data-testid="compare-models-panel" className="border border-brand-border rounded-lg bg-brand-input/60 p-3 animate-in fade-in slide-in-from-bottom-2 duration-150">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xs font-bold text-gray-300">Compare models</h3>
+                <button
+                    onClick={onClose}
+                    className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10"
+                    title="Close compare models"
+                >
+                    <X size={12} />
+                </button>
+            </div>
+
+            {picked.length > 0 && (
+                <ul className="space-y-1 mb-2">
+                    {picked.map((c, i) => (
+                        <li key={`${c.provider}:${c.model}`} className="flex items-center gap-2 text-xs text-gray-200">
+                            <span className="truncate flex-1" title={c.model}>{modelName(c)}</span>
+                            <span className="text-[10px] text-gray-500 shrink-0">{getProviderLabel(c.provider, providerProfiles)}</span>
+                            <button
+                                onClick={() => remove(i)}
+                                className="p-0.5 rounded text-gray-500 hover:text-white hover:bg-white/10"
+                                aria-label={`Remove ${modelName(c)}`}
+                            >
+                                <X size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <select
+                aria-label="Add model to compare"
+                value=""
+                onChange={(e) => add(e.target.value)}
+                disabled={picked.length >= MAX_COMPARE_MODELS || addable.length === 0}
+                className="w-full p-1 bg-brand-input border border-brand-border rounded text-xs text-white outline-none focus:ring-1 focus:ring-brand-cyan disabled:text-gray-500"
+            >
+                <option value="">{picked.length >= MAX_COMPARE_MODELS ? `Up to ${MAX_COMPARE_MODELS} models` : 'Add a model...'}</option>
+                {addable.map(m => (
+                    <option key={m.id} value={m.id}>{m.name || m.id}</option>
+                ))}
+            </select>
+
+            <div className="flex items-center justify-between gap-2 mt-2">
+                <p className="text-[10px] text-gray-500">
+                    {picked.length < MIN_COMPARE_MODELS
+                        ? `Pick ${MIN_COMPARE_MODELS} to ${MAX_COMPARE_MODELS} models to send each prompt to all of them.`
+                        : 'Each prompt goes to all of these models. Keep one answer to continue the chat with it.'}
+                </p>
+                {picked.length > 0 && (
+                    <button
+                        onClick={() => onChange(null)}
+                        className="shrink-0 px-2 py-0.5 rounded-md text-[10px] text-gray-300 hover:text-white hover:bg-white/10"
+                    >
+                        Turn off
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
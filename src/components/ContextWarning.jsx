@@ -0,0 +1,42 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { CONTEXT_STRATEGIES } from '../utils/contextWindow';
+
+const formatTokens = (tokens) => tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : String(tokens);
+
+// Shown above the input when the chat nears the model's context window; the chosen strategy
+// is applied to the request when it would not fit
+export default function ContextWarning({ tokens, limit, budget, strategy, onStrategyChange }) {
+    const overBudget = tokens > budget;
+
+    return (
+        <div
+            data-testid="context-warning"
+            className={`px-4 py-2 border-t text-xs ${overBudget ? 'bg-red-500/10 border-red-500/30 text-red-300' : 'bg-amber-500/10 border-amber-500/30 text-amber-300'}`}
+        >
+            <div className="flex items-center gap-1.5">
+                <AlertTriangle size={12} className="shrink-0" />
+                <span>
+                    This chat uses about {formatTokens(tokens)} of {formatTokens(limit)} tokens.
+                    {overBudget
+                        ? (strategy ? ' It will be shortened before sending.' : ' It will not fit; choose how to shorten it.')
+                        : ' Older content will need to be shortened soon.'}
+                </span>
+            </div>
+            <div className="flex flex-wrap gap-1.5 mt-1.5">
+                {CONTEXT_STRATEGIES.map(s => (
+                    <button
+                        key={s.id}
+                        onClick={() => onStrategyChange(strategy === s.id ? null : s.id)}
+                        aria-pressed={strategy === s.id}
+                        title={s.description}
+                        className={`px-2 py-0.5 rounded-full border transition-colors ${strategy === s.id ? 'border-brand-cyan text-brand-cyan bg-brand-cyan/10' : 'border-white/15 text-gray-300 hover:border-white/30'}`}
+                    >
+                        {s.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
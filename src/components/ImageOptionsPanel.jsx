@@ -0,0 +1,96 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { X } from 'lucide-react';
+import { IMAGE_ASPECT_RATIOS } from '../utils/modelCapabilities';
+
+const OUTPUTS = [
+    { id: '', label: 'Model default', modalities: null },
+    { id: 'text,image', label: 'Text and image', modalities: ['text', 'image'] },
+    { id: 'image', label: 'Image only', modalities: ['image'] }
+];
+
+const selectClass = "w-full p-1 bg-brand-input border border-brand-border rounded text-xs text-white outline-none focus:ring-1 focus:ring-brand-cyan";
+
+function OptionSelect({ id, label, value, values, onChange }) {
+    return (
+        <div>
+            <label htmlFor={id} className="block text-[10px] font-medium text-gray-400 mb-0.5">{label}</label>
+            <select id={id} value={value || ''} onChange={(e) => onChange(e.target.value || null)} className={selectClass}>
+                <option value="">Model default</option>
+                {values.map(v => (
+                    <option key={v} value={v}>{v}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
+
+// Image output of the session for models that can generate images. OpenAI image models
+// (openAIOptions from getOpenAIImageOptions) take size, quality and background and can edit
+// the chat's last image; Gemini and OpenRouter models take aspect ratio and response modalities.
+export default function ImageOptionsPanel({ imageOptions, openAIOptions, onChange, onClose }) {
+    const options = imageOptions || {};
+
+    // Unset values are left out so the model defaults apply
+    const update = (changes) => {
+        const next = Object.fromEntries(Object.entries({ ...options, ...changes }).filter(([, v]) => v));
+        onChange(Object.keys(next).length > 0 ? next : null);
+    };
+
+    return (
+        <div data-testid="image-options-panel" className="border border-brand-border rounded-lg bg-brand-input/60 p-3 animate-in fade-in slide-in-from-bottom-2 duration-150">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xs font-bold text-gray-300">Image output</h3>
+                <button
+                    onClick={onClose}
+                    className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10"
+                    title="Close image output"
+                >
+                    <X size={12} />
+                </button>
+            </div>
+
+            {openAIOptions ? (
+                <>
+                    <div className="grid grid-cols-3 gap-2">
+                        <OptionSelect id="image-size" label="Size" value={options.size} values={openAIOptions.sizes} onChange={(size) => update({ size })} />
+                        {openAIOptions.qualities.length > 0 && (
+                            <OptionSelect id="image-quality" label="Quality" value={options.quality} values={openAIOptions.qualities} onChange={(quality) => update({ quality })} />
+                        )}
+                        {openAIOptions.backgrounds.length > 0 && (
+                            <OptionSelect id="image-background" label="Background" value={options.background} values={openAIOptions.backgrounds} onChange={(background) => update({ background })} />
+                        )}
+                    </div>
+                    {openAIOptions.canEdit && (
+                        <label className="flex items-center gap-1.5 mt-2 text-xs text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(options.editLastImage)}
+                                onChange={(e) => update({ editLastImage: e.target.checked })}
+                                className="accent-brand-cyan"
+                            />
+                            Edit the last image in this chat
+                        </label>
+                    )}
+                </>
+            ) : (
+                <div className="grid grid-cols-2 gap-2">
+                    <OptionSelect id="image-aspect-ratio" label="Aspect ratio" value={options.aspectRatio} values={IMAGE_ASPECT_RATIOS} onChange={(aspectRatio) => update({ aspectRatio })} />
+                    <div>
+                        <label htmlFor="image-modalities" className="block text-[10px] font-medium text-gray-400 mb-0.5">Response</label>
+                        <select
+                            id="image-modalities"
+                            value={options.modalities ? options.modalities.join(',') : ''}
+                            onChange={(e) => update({ modalities: OUTPUTS.find(o => o.id === e.target.value)?.modalities || null })}
+                            className={selectClass}
+                        >
+                            {OUTPUTS.map(o => (
+                                <option key={o.id} value={o.id}>{o.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
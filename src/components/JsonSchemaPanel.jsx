@@ -0,0 +1,86 @@
+/* eslint-disable react/prop-types */
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { JSON_SCHEMA_PRESETS, parseJsonSchema } from '../utils/jsonSchema';
+
+const CUSTOM_SCHEMA_NAME = 'response';
+
+// JSON mode for the session: pick a preset or paste a JSON Schema the answers must follow
+export default function JsonSchemaPanel({ jsonSchema, onChange, onClose }) {
+    const [text, setText] = useState(jsonSchema ? JSON.stringify(jsonSchema.schema, null, 2) : '');
+    const [error, setError] = useState(null);
+
+    const isPreset = JSON_SCHEMA_PRESETS.some(p => p.name === jsonSchema?.name);
+
+    const selectPreset = (name) => {
+        const preset = JSON_SCHEMA_PRESETS.find(p => p.name === name);
+        if (!preset) return;
+        setText(JSON.stringify(preset.schema, null, 2));
+        setError(null);
+        onChange({ name: preset.name, schema: preset.schema });
+    };
+
+    const applySchema = () => {
+        const { schema, error: parseError } = parseJsonSchema(text);
+        setError(parseError || null);
+        if (schema) onChange({ name: CUSTOM_SCHEMA_NAME, schema });
+    };
+
+    return (
+        <div data-testid="json-schema-panel" className="border border-brand-border rounded-lg bg-brand-input/60 p-3 animate-in fade-in slide-in-from-bottom-2 duration-150">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xs font-bold text-gray-300">
+                    JSON mode <span className={jsonSchema ? 'text-brand-cyan' : 'text-gray-500'}>{jsonSchema ? 'on' : 'off'}</span>
+                </h3>
+                <button
+                    onClick={onClose}
+                    className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10"
+                    title="Close JSON mode"
+                >
+                    <X size={12} />
+                </button>
+            </div>
+
+            <label htmlFor="json-schema-preset" className="block text-[10px] font-medium text-gray-400 mb-0.5">Schema</label>
+            <select
+                id="json-schema-preset"
+                value={isPreset ? jsonSchema.name : ''}
+                onChange={(e) => selectPreset(e.target.value)}
+                className="w-full mb-2 p-1 bg-brand-input border border-brand-border rounded text-xs text-white outline-none focus:ring-1 focus:ring-brand-cyan"
+            >
+                <option value="">Custom</option>
+                {JSON_SCHEMA_PRESETS.map(p => (
+                    <option key={p.name} value={p.name}>{p.label}</option>
+                ))}
+            </select>
+
+            <textarea
+                aria-label="JSON Schema"
+                rows={6}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder='{ "type": "object", "properties": { ... } }'
+                className="w-full p-1.5 bg-brand-input border border-brand-border rounded text-[11px] text-white font-mono outline-none focus:ring-1 focus:ring-brand-cyan"
+            />
+            {error && <p className="text-[11px] text-red-400 mt-1">{error}</p>}
+
+            <div className="flex justify-end gap-2 mt-2">
+                {jsonSchema && (
+                    <button
+                        onClick={() => onChange(null)}
+                        className="px-2 py-1 rounded text-xs text-gray-400 hover:text-white hover:bg-white/10"
+                    >
+                        Turn off
+                    </button>
+                )}
+                <button
+                    onClick={applySchema}
+                    disabled={!text.trim()}
+                    className="px-2 py-1 rounded text-xs bg-brand-cyan/20 text-brand-cyan hover:bg-brand-cyan/30 disabled:opacity-40"
+                >
+                    Use schema
+                </button>
+            </div>
+        </div>
+    );
+}
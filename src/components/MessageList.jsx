@@ -1,5 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { FileText, Download, Image as ImageIcon, Copy, Check, Bookmark, ChevronDown, ChevronUp, Pencil, X, RotateCcw } from 'lucide-react';
+import { FileText, Download, Image as ImageIcon, Copy, Check, Bookmark, ChevronDown, ChevronUp, Pencil, X, RotateCcw, Loader2, Brain, Wrench, Globe, Braces, AlertTriangle, ChevronRight, Pin } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
@@ -61,8 +61,538 @@ const SavePromptButton = ({ text, className, iconSize = 14 }) => {
     );
 };
 
+// Collapsible model reasoning ("Thinking"), kept apart from the answer text
+const ReasoningSection = ({ reasoning, isLive = false }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    // Stay open while the model is still thinking and no answer text has arrived
+    const expanded = isOpen || isLive;
+
+    return (
+        <div className="mb-3 border border-brand-border/60 rounded-lg bg-black/20 overflow-hidden">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center gap-1.5 px-2.5 py-1.5 text-[11px] font-medium text-gray-400 hover:text-gray-200 transition-colors"
+                aria-expanded={expanded}
+                title={expanded ? "Hide thinking" : "Show thinking"}
+            >
+                <Brain size={12} className={isLive ? 'text-brand-cyan animate-pulse' : 'text-gray-500'} />
+                <span>{isLive ? 'Thinking...' : 'Thinking'}</span>
+                <span className="ml-auto">{expanded ? <ChevronUp size={12} /> : <ChevronDown size={12} />}</span>
+            </button>
+            {expanded && (
+                <div data-testid="reasoning-content" className="px-2.5 pb-2 text-xs text-gray-400 whitespace-pre-wrap leading-relaxed max-h-60 overflow-y-auto">
+                    {reasoning}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Collapsible trace of the tool calls the model made before answering
+const ToolStepsSection = ({ steps }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="mb-3 border border-brand-border/60 rounded-lg bg-black/20 overflow-hidden">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center gap-1.5 px-2.5 py-1.5 text-[11px] font-medium text-gray-400 hover:text-gray-200 transition-colors"
+                aria-expanded={isOpen}
+                title={isOpen ? "Hide tool calls" : "Show tool calls"}
+            >
+                <Wrench size={12} className="text-gray-500" />
+                <span>Used {steps.length} tool call{steps.length === 1 ? '' : 's'}</span>
+                <span className="ml-auto">{isOpen ? <ChevronUp size={12} /> : <ChevronDown size={12} />}</span>
+            </button>
+            {isOpen && (
+                <ol data-testid="tool-steps" className="px-2.5 pb-2 space-y-2 text-xs">
+                    {steps.map((step, idx) => (
+                        <li key={idx} className="border-l-2 border-brand-border pl-2">
+                            <div className="font-mono text-gray-300">
+                                {step.name}({Object.keys(step.args || {}).length > 0 ? JSON.stringify(step.args) : ''})
+                            </div>
+                            <pre className={`mt-1 whitespace-pre-wrap break-words max-h-32 overflow-y-auto text-[11px] ${step.isError ? 'text-red-400' : 'text-gray-500'}`}>
+                                {step.result}
+                            </pre>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+// Collapsible list of the web pages an answer cites; numbers match the inline citations
+const SourcesSection = ({ sources }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="mt-3 border border-brand-border/60 rounded-lg bg-black/20 overflow-hidden">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center gap-1.5 px-2.5 py-1.5 text-[11px] font-medium text-gray-400 hover:text-gray-200 transition-colors"
+                aria-expanded={isOpen}
+                title={isOpen ? "Hide sources" : "Show sources"}
+            >
+                <Globe size={12} className="text-gray-500" />
+                <span>Sources ({sources.length})</span>
+                <span className="ml-auto">{isOpen ? <ChevronUp size={12} /> : <ChevronDown size={12} />}</span>
+            </button>
+            {isOpen && (
+                <ol data-testid="sources-list" className="px-2.5 pb-2 space-y-2 text-xs">
+                    {sources.map((source, idx) => (
+                        <li key={source.url} className="flex gap-2">
+                            <span className="text-gray-500 font-mono">{idx + 1}.</span>
+                            <div className="min-w-0">
+                                <a
+                                    href={source.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="text-brand-cyan hover:underline break-words"
+                                >
+                                    {source.title || source.url}
+                                </a>
+                                {source.snippet && (
+                                    <blockquote className="mt-1 border-l-2 border-brand-border pl-2 italic text-gray-500 line-clamp-3">
+                                        {source.snippet}
+                                    </blockquote>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+// One node of the JSON result tree; objects and arrays below the first two levels start collapsed
+const JsonNode = ({ name, value, depth = 0 }) => {
+    const isContainer = value !== null && typeof value === 'object';
+    const [isOpen, setIsOpen] = useState(depth < 2);
+    const label = name !== undefined && <span className="text-gray-400">{name}: </span>;
+
+    if (!isContainer) {
+        const color = typeof value === 'string' ? 'text-green-300' : (typeof value === 'number' ? 'text-brand-cyan' : 'text-purple-300');
+        return (
+            <div className="pl-4 break-words">
+                {label}<span className={color}>{JSON.stringify(value)}</span>
+            </div>
+        );
+    }
+
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+    return (
+        <div className={depth > 0 ? 'pl-4' : ''}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="inline-flex items-center gap-0.5 hover:text-white"
+                aria-expanded={isOpen}
+            >
+                {isOpen ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+                {label}
+                <span className="text-gray-500">{open}{!isOpen && ` ${entries.length} ${entries.length === 1 ? 'item' : 'items'} ${close}`}</span>
+            </button>
+            {isOpen && (
+                <>
+                    {entries.map(([key, child]) => (
+                        <JsonNode key={key} name={key} value={child} depth={depth + 1} />
+                    ))}
+                    <div className="text-gray-500 pl-3">{close}</div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// JSON mode answer: validation result, collapsible tree, copy and download
+const JsonResultSection = ({ json }) => {
+    const [isOpen, setIsOpen] = useState(true);
+    const hasData = json.data !== undefined;
+    const text = hasData ? JSON.stringify(json.data, null, 2) : '';
+    const errors = json.errors || [];
+
+    return (
+        <div data-testid="json-result" className="mt-1 border border-brand-border/60 rounded-lg bg-black/20 overflow-hidden">
+            <div className="flex items-center gap-1.5 px-2.5 py-1.5 text-[11px] font-medium text-gray-400">
+                <button
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="flex items-center gap-1.5 hover:text-gray-200 transition-colors"
+                    aria-expanded={isOpen}
+                    title={isOpen ? "Hide JSON" : "Show JSON"}
+                >
+                    <Braces size={12} className="text-gray-500" />
+                    <span>JSON</span>
+                    {isOpen ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+                </button>
+                {errors.length === 0
+                    ? <span className="text-green-400">valid</span>
+                    : <span className="text-amber-400">{errors.length} {errors.length === 1 ? 'error' : 'errors'}</span>}
+                {hasData && (
+                    <div className="ml-auto flex items-center gap-1">
+                        <CopyButton text={text} label="Copy JSON" iconSize={12} className="!p-1" />
+                        <a
+                            href={`data:application/json;charset=utf-8,${encodeURIComponent(text)}`}
+                            download="response.json"
+                            className="p-1 hover:bg-white/10 rounded-md text-gray-400 hover:text-white transition-colors"
+                            title="Download JSON"
+                            aria-label="Download JSON"
+                        >
+                            <Download size={12} />
+                        </a>
+                    </div>
+                )}
+            </div>
+            {errors.length > 0 && (
+                <ul data-testid="json-errors" className="px-2.5 pb-1.5 space-y-0.5 text-[11px] text-amber-300/90">
+                    {errors.map((error, idx) => (
+                        <li key={idx} className="flex gap-1.5 items-start">
+                            <AlertTriangle size={11} className="mt-0.5 shrink-0" />
+                            <span className="break-words">{error}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {isOpen && hasData && (
+                <div data-testid="json-tree" className="px-2.5 pb-2 text-xs font-mono text-gray-300 overflow-x-auto">
+                    <JsonNode value={json.data} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Summary that replaces the older turns in requests (context window strategy "summarize"),
+// pinned to the top of the chat while the full history stays visible below
+const PinnedSummary = ({ summary }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div data-testid="pinned-summary" className="sticky top-0 z-10 border border-brand-border/60 rounded-lg bg-brand-card/95 backdrop-blur-sm overflow-hidden">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center gap-1.5 px-2.5 py-1.5 text-[11px] font-medium text-gray-400 hover:text-gray-200 transition-colors"
+                aria-expanded={isOpen}
+                title={isOpen ? "Hide summary" : "Show summary"}
+            >
+                <Pin size={12} className="text-brand-cyan" />
+                <span>Earlier messages summarized ({summary.messageCount})</span>
+                <span className="ml-auto">{isOpen ? <ChevronUp size={12} /> : <ChevronDown size={12} />}</span>
+            </button>
+            {isOpen && (
+                <div className="px-2.5 pb-2 text-xs text-gray-300 whitespace-pre-wrap break-words max-h-60 overflow-y-auto">
+                    {summary.content}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// A failed request. Error entries stay in the chat but are never sent to a model;
+// Retry re-sends the user message above it, optionally with another model
+const ErrorNotice = ({ message, models = [], onRetry, onSwitchModel }) => {
+    const [isSwitching, setIsSwitching] = useState(false);
+    const canRetry = Boolean(message.retryOptions && onRetry);
+    const canSwitch = Boolean(onSwitchModel && models.length > 0);
+
+    return (
+        <div data-testid="error-message" role="alert" className="flex justify-start animate-in fade-in slide-in-from-bottom-2 duration-300">
+            <div className="max-w-[88%] p-3 rounded-2xl rounded-tl-none border border-red-500/30 bg-red-500/10 text-sm text-red-200">
+                <div className="flex items-start gap-2">
+                    <AlertTriangle size={14} className="mt-0.5 shrink-0 text-red-400" />
+                    <span className="break-words">{message.content}</span>
+                </div>
+                {(canRetry || canSwitch) && (
+                    <div className="flex flex-wrap items-center gap-2 mt-2 ml-6">
+                        {canRetry && (
+                            <button
+                                onClick={onRetry}
+                                className="flex items-center gap-1 px-2 py-0.5 rounded-md text-xs text-gray-200 bg-white/10 hover:bg-white/20 transition-colors"
+                            >
+                                <RotateCcw size={12} /> Retry
+                            </button>
+                        )}
+                        {canSwitch && (isSwitching ? (
+                            <select
+                                aria-label="Switch model"
+                                defaultValue=""
+                                onChange={(e) => e.target.value && onSwitchModel(e.target.value)}
+                                className="max-w-[200px] p-0.5 bg-brand-input border border-brand-border rounded text-xs text-white outline-none"
+                            >
+                                <option value="" disabled>Choose a model...</option>
+                                {models.map(model => (
+                                    <option key={model.id} value={model.id}>{model.name || model.id}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <button
+                                onClick={() => setIsSwitching(true)}
+                                className="px-2 py-0.5 rounded-md text-xs text-gray-300 hover:text-white hover:bg-white/10 transition-colors"
+                            >
+                                Switch model
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Markdown link renderer. A link whose text is the number of one of the message's sources
+// (e.g. "[2](https://...)") is an inline citation and is shown as a superscript badge.
+const renderLink = (sources) => ({ node, children, ...props }) => {
+    const index = (sources || []).findIndex(s => s.url === props.href);
+    if (index >= 0 && String(children) === String(index + 1)) {
+        return (
+            <sup>
+                <a
+                    {...props}
+                    data-testid="citation"
+                    className="px-1 rounded bg-brand-cyan/10 text-brand-cyan no-underline hover:bg-brand-cyan/20"
+                    title={sources[index].title}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                >
+                    {index + 1}
+                </a>
+            </sup>
+        );
+    }
+    return <a className="text-brand-cyan hover:underline decoration-brand-cyan/30 underline-offset-4" target="_blank" rel="noopener noreferrer" {...props}>{children}</a>;
+};
+
+// Answer text as sanitized markdown; generated images (data URLs) are allowed
+const MarkdownContent = ({ children, sources }) => (
+    <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[
+            [rehypeSanitize, {
+                ...defaultSchema,
+                attributes: {
+                    ...defaultSchema.attributes,
+                    img: [
+                        ['src', /^(https?:\/\/|data:image\/)/],
+                        'alt',
+                        'title',
+                        'width',
+                        'height'
+                    ]
+                },
+                protocols: {
+                    ...defaultSchema.protocols,
+                    src: ['http', 'https', 'data', 'blob']
+                }
+            }]
+        ]}
+        urlTransform={(url) => url}
+        components={{
+            code({ node, inline, className, children, ...props }) {
+                const match = /language-(\w+)/.exec(className || '')
+                return !inline && match ? (
+                    <div className="my-3 border border-brand-border rounded-lg bg-black/40 overflow-hidden relative group/code shadow-inner">
+                        <div className="absolute top-2 right-2 z-10 opacity-0 group-hover/code:opacity-100 transition-opacity flex items-center gap-2 bg-brand-card/90 backdrop-blur-md border border-brand-border/50 rounded-md p-0.5 shadow-sm">
+                            <div className="text-[10px] uppercase text-gray-500 font-bold px-1.5 select-none">
+                                {match[1]}
+                            </div>
+                            <div className="w-[1px] h-3 bg-brand-border/50"></div>
+                            <CopyButton text={String(children).replace(/\n$/, '')} label="Copy code" className="!p-1" />
+                        </div>
+                        <div className="overflow-x-auto p-3 pt-4">
+                            <code className={`${className} block min-w-max`} {...props}>
+                                {children}
+                            </code>
+                        </div>
+                    </div>
+                ) : (
+                    <code className="bg-white/10 rounded px-1.5 py-0.5 text-[11px] font-mono text-brand-cyan/90" {...props}>
+                        {children}
+                    </code>
+                )
+            },
+            p: ({ node, ...props }) => <p className="mb-2.5 last:mb-0" {...props} />,
+            a: renderLink(sources),
+            ul: ({ node, ...props }) => <ul className="list-disc list-outside mb-2.5 ml-4 space-y-1" {...props} />,
+            ol: ({ node, ...props }) => <ol className="list-decimal list-outside mb-2.5 ml-4 space-y-1" {...props} />,
+            li: ({ node, ...props }) => <li className="pl-1" {...props} />,
+            h1: ({ node, ...props }) => <h1 className="text-base font-bold mb-3 text-white" {...props} />,
+            h2: ({ node, ...props }) => <h2 className="text-sm font-bold mb-2 text-white" {...props} />,
+            h3: ({ node, ...props }) => <h3 className="text-xs font-bold mb-1 text-white" {...props} />,
+            blockquote: ({ node, ...props }) => <blockquote className="border-l-2 border-brand-cyan/30 pl-3 italic text-gray-400 my-2" {...props} />,
+        }}
+    >
+        {children}
+    </ReactMarkdown>
+);
+
+// Tokens, timing and cost of an answer
+const MessageMetadata = ({ metadata }) => (
+    <div className="mt-3 pt-2.5 border-t border-brand-border/40 flex items-center gap-3 text-[10px] text-gray-500 font-mono opacity-80">
+        {metadata.tokens > 0 && (
+            <span className="flex items-center gap-0.5">
+                <span className="opacity-50">tokens:</span> {metadata.tokens}
+            </span>
+        )}
+        {metadata.reasoningTokens > 0 && (
+            <span className="flex items-center gap-0.5">
+                <span className="opacity-50">reasoning:</span> {metadata.reasoningTokens}
+            </span>
+        )}
+        {metadata.cacheReadTokens > 0 && (
+            <span className="flex items-center gap-0.5" title="Prompt tokens read from the cache">
+                <span className="opacity-50">cached:</span> {metadata.cacheReadTokens}
+            </span>
+        )}
+        {metadata.cacheWriteTokens > 0 && (
+            <span className="flex items-center gap-0.5" title="Prompt tokens written to the cache">
+                <span className="opacity-50">cache write:</span> {metadata.cacheWriteTokens}
+            </span>
+        )}
+        {metadata.latency > 0 && (
+            <span className="flex items-center gap-0.5">
+                <span className="opacity-50">time:</span> {(metadata.latency / 1000).toFixed(1)}s
+            </span>
+        )}
+        {metadata.ttft > 0 && (
+            <span className="flex items-center gap-0.5" title="Time to first token">
+                <span className="opacity-50">ttft:</span> {(metadata.ttft / 1000).toFixed(1)}s
+            </span>
+        )}
+        {metadata.cost != null && metadata.cost > 0 && (
+            <span className={`flex items-center gap-0.5 ${getCostColorClass(metadata.cost)}`}>
+                <span className="opacity-50">cost:</span> ${metadata.cost.toFixed(6)}
+            </span>
+        )}
+        {metadata.stopped && (
+            <span className="italic text-gray-400">stopped</span>
+        )}
+        {metadata.fallbacks?.length > 0 && (
+            <span
+                className="flex items-center gap-0.5 text-amber-400/80 truncate"
+                title={metadata.fallbacks.map(f => `Skipped ${f.model}: ${f.reason}`).join('\n')}
+            >
+                <span className="opacity-50">via:</span> {metadata.model}
+            </span>
+        )}
+    </div>
+);
+
+// Images generated with an answer. They are kept as attachments only; answers saved before that
+// (and OpenRouter answers) also have them in their markdown, so those are not shown twice.
+const GeneratedImages = ({ attachments, content, onView }) => {
+    const images = (attachments || []).filter(att => att.type === 'image' && att.url && !(content || '').includes(att.url));
+    if (images.length === 0) return null;
+
+    return (
+        <div data-testid="generated-images" className="mt-2 flex flex-col gap-2">
+            {images.map((att, idx) => (
+                <img
+                    key={idx}
+                    src={att.url}
+                    alt={att.name || 'Generated image'}
+                    onClick={() => onView && onView(att)}
+                    className="max-w-full rounded-lg border border-brand-border cursor-pointer"
+                />
+            ))}
+        </div>
+    );
+};
+
+// Short metrics of a compared answer for its tab
+const formatAnswerStats = (answer, isStreaming) => {
+    if (answer.error) return 'failed';
+    if (isStreaming) return answer.content ? 'answering...' : 'waiting...';
+    const { latency, tokens, cost } = answer.metadata || {};
+    return [
+        latency > 0 && `${(latency / 1000).toFixed(1)}s`,
+        tokens > 0 && `${tokens} tok`,
+        cost > 0 && `$${cost.toFixed(4)}`
+    ].filter(Boolean).join(' · ');
+};
+
+// Compare mode: the answers of several models to the same prompt, one tab each.
+// Keeping an answer turns it into the assistant message the chat continues from.
+const ComparisonAnswers = ({ answers, isStreaming = false, onKeep }) => {
+    const [activeIndex, setActiveIndex] = useState(0);
+    const active = answers[Math.min(activeIndex, answers.length - 1)];
+    if (!active) return null;
+    const canKeep = !isStreaming && !active.error && onKeep;
+
+    return (
+        <div data-testid="comparison" className="flex justify-start animate-in fade-in slide-in-from-bottom-2 duration-300">
+            <div className="w-full max-w-[95%] rounded-2xl rounded-tl-none border border-brand-border bg-brand-card text-gray-200 shadow-sm overflow-hidden">
+                <div role="tablist" aria-label="Compared answers" className="flex border-b border-brand-border bg-black/20 overflow-x-auto">
+                    {answers.map((answer, idx) => (
+                        <button
+                            key={idx}
+                            role="tab"
+                            aria-selected={answer === active}
+                            onClick={() => setActiveIndex(idx)}
+                            title={answer.metadata?.model || answer.model}
+                            className={`flex-1 min-w-[90px] px-2.5 py-1.5 text-left border-b-2 transition-colors ${answer === active ? 'border-brand-cyan bg-white/5' : 'border-transparent hover:bg-white/5'}`}
+                        >
+                            <div className={`text-[11px] font-medium truncate ${answer === active ? 'text-brand-cyan' : 'text-gray-300'}`}>
+                                {(answer.metadata?.model || answer.model || '').split('/').pop()}
+                            </div>
+                            <div className={`text-[10px] font-mono truncate ${answer.error ? 'text-red-400' : 'text-gray-500'}`}>
+                                {formatAnswerStats(answer, isStreaming)}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+
+                <div role="tabpanel" className="p-3.5 text-[15px] leading-relaxed">
+                    {active.error ? (
+                        <div className="flex items-start gap-2 text-sm text-red-300">
+                            <AlertTriangle size={14} className="mt-0.5 shrink-0 text-red-400" />
+                            <span className="break-words">{active.error}</span>
+                        </div>
+                    ) : (
+                        <>
+                            {active.reasoning && (
+                                <ReasoningSection reasoning={active.reasoning} isLive={isStreaming && !active.content} />
+                            )}
+                            <div className="prose prose-invert prose-sm max-w-none break-words prose-p:leading-relaxed prose-pre:bg-black/40 prose-pre:border prose-pre:border-brand-border">
+                                <MarkdownContent sources={active.sources}>{active.content}</MarkdownContent>
+                                {isStreaming && active.status && (
+                                    <div data-testid="streaming-status" className="flex items-center gap-1.5 text-xs italic text-gray-400 mt-1">
+                                        <Loader2 size={12} className="animate-spin text-brand-cyan" />
+                                        {active.status}
+                                    </div>
+                                )}
+                                {isStreaming && !active.status && (
+                                    <span data-testid="streaming-cursor" className="inline-block w-1.5 h-3.5 ml-0.5 align-middle bg-brand-cyan/70 animate-pulse" aria-label="Generating..." />
+                                )}
+                            </div>
+                            <GeneratedImages attachments={active.attachments} content={active.content} />
+                            {active.sources && active.sources.length > 0 && !isStreaming && (
+                                <SourcesSection sources={active.sources} />
+                            )}
+                            {active.metadata && !isStreaming && <MessageMetadata metadata={active.metadata} />}
+                        </>
+                    )}
+
+                    {canKeep && (
+                        <div className="flex items-center gap-2 mt-3">
+                            <button
+                                onClick={() => onKeep(answers.indexOf(active))}
+                                className="flex items-center gap-1 px-2 py-0.5 rounded-md text-xs text-brand-dark bg-brand-cyan hover:bg-cyan-400 font-medium transition-colors"
+                            >
+                                <Check size={12} /> Keep this answer
+                            </button>
+                            <CopyButton text={active.content} label="Copy answer" iconSize={12} className="!p-1" />
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // Text Skeleton Loader Component (for chat models)
-const TextSkeletonLoader = () => (
+const TextSkeletonLoader = ({ status }) => (
     <div className="flex justify-start" aria-label="Thinking...">
         <div
             data-testid="skeleton-loader"
@@ -76,12 +606,21 @@ const TextSkeletonLoader = () => (
                 <div data-testid="skeleton-bar" className="h-3 rounded-full skeleton-shimmer" style={{ width: '75%', animationDelay: '0.2s' }}></div>
                 <div data-testid="skeleton-bar" className="h-3 rounded-full skeleton-shimmer" style={{ width: '45%', animationDelay: '0.3s' }}></div>
             </div>
+            {status && <SkeletonStatus status={status} />}
         </div>
     </div>
 );
 
+// Retry notice shown under the skeleton while a failed request waits to be sent again
+const SkeletonStatus = ({ status }) => (
+    <div data-testid="skeleton-status" className="flex items-center gap-1.5 text-[11px] italic text-gray-400 mt-3">
+        <Loader2 size={11} className="animate-spin text-brand-cyan" />
+        {status}
+    </div>
+);
+
 // Image Skeleton Loader Component (for image generation models)
-const ImageSkeletonLoader = () => (
+const ImageSkeletonLoader = ({ status }) => (
     <div className="flex justify-start" aria-label="Generating image...">
         <div
             data-testid="skeleton-loader"
@@ -99,16 +638,17 @@ const ImageSkeletonLoader = () => (
                     </svg>
                 </div>
             </div>
+            {status && <div className="px-3 pb-2"><SkeletonStatus status={status} /></div>}
         </div>
     </div>
 );
 
 // Unified Skeleton Loader
-const SkeletonLoader = ({ isImageModel = false }) => (
-    isImageModel ? <ImageSkeletonLoader /> : <TextSkeletonLoader />
+const SkeletonLoader = ({ isImageModel = false, status = null }) => (
+    isImageModel ? <ImageSkeletonLoader status={status} /> : <TextSkeletonLoader status={status} />
 );
 
-export default function MessageList({ messages, isLoading, isImageModel = false, onViewFile, onEditMessage }) {
+export default function MessageList({ messages, isLoading, streamingMessage = null, isImageModel = false, onViewFile, onEditMessage, onRetry, onSwitchModel, onKeepAnswer, models = [], summary = null }) {
     const containerRef = useRef(null);
     const [collapsedMessages, setCollapsedMessages] = useState({});
     const [editingMessage, setEditingMessage] = useState(null);
@@ -122,7 +662,7 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
                 behavior: 'smooth'
             });
         }
-    }, [messages, isLoading]);
+    }, [messages, isLoading, streamingMessage]);
 
     const toggleCollapse = (index) => {
         setCollapsedMessages(prev => ({
@@ -148,6 +688,15 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
         handleEditCancel();
     };
 
+    // Render the in-progress answer as a regular assistant bubble once the first token arrives.
+    // Compared answers are shown from the start, each tab waiting for its model.
+    const isStreaming = Boolean(streamingMessage?.comparison || streamingMessage?.content || streamingMessage?.reasoning || streamingMessage?.status);
+    const displayMessages = !isStreaming
+        ? messages
+        : streamingMessage.comparison
+            ? [...messages, { role: 'comparison', answers: streamingMessage.comparison, isStreaming: true }]
+            : [...messages, { role: 'assistant', ...streamingMessage, isStreaming: true }];
+
     if (messages.length === 0 && !isLoading) {
         return (
             <div className="flex-1 flex flex-col items-center justify-center text-gray-500 p-4 text-center">
@@ -160,7 +709,31 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
 
     return (
         <div ref={containerRef} className="flex-1 overflow-y-auto p-4 space-y-5">
-            {messages.map((m, i) => {
+            {summary?.content && <PinnedSummary summary={summary} />}
+            {displayMessages.map((m, i) => {
+                if (m.role === 'error') {
+                    return (
+                        <ErrorNotice
+                            key={i}
+                            message={m}
+                            models={models}
+                            onRetry={onRetry && (() => onRetry(i))}
+                            onSwitchModel={onSwitchModel && ((modelId) => onSwitchModel(i, modelId))}
+                        />
+                    );
+                }
+
+                if (m.role === 'comparison') {
+                    return (
+                        <ComparisonAnswers
+                            key={i}
+                            answers={m.answers || []}
+                            isStreaming={m.isStreaming}
+                            onKeep={onKeepAnswer && ((answerIndex) => onKeepAnswer(i, answerIndex))}
+                        />
+                    );
+                }
+
                 const isCollapsed = collapsedMessages[i];
                 const isLongMessage = m.content && m.content.length > COLLAPSE_THRESHOLD;
                 const isEditing = editingMessage === i;
@@ -231,6 +804,14 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
                                 </div>
                             ) : (
                                 <>
+                                    {m.role === 'assistant' && m.reasoning && (
+                                        <ReasoningSection reasoning={m.reasoning} isLive={m.isStreaming && !m.content} />
+                                    )}
+
+                                    {m.toolSteps && m.toolSteps.length > 0 && (
+                                        <ToolStepsSection steps={m.toolSteps} />
+                                    )}
+
                                     {m.files && m.files.length > 0 && (
                                         <div className="mb-3 flex flex-wrap gap-2">
                                             {m.files.map((f, idx) => (
@@ -250,67 +831,33 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
                                         </div>
                                     )}
 
-                                    <div className="prose prose-invert prose-sm max-w-none break-words prose-p:leading-relaxed prose-pre:bg-black/40 prose-pre:border prose-pre:border-brand-border">
-                                        <ReactMarkdown
-                                            remarkPlugins={[remarkGfm]}
-                                            rehypePlugins={[
-                                                [rehypeSanitize, {
-                                                    ...defaultSchema,
-                                                    attributes: {
-                                                        ...defaultSchema.attributes,
-                                                        img: [
-                                                            ['src', /^(https?:\/\/|data:image\/)/],
-                                                            'alt',
-                                                            'title',
-                                                            'width',
-                                                            'height'
-                                                        ]
-                                                    },
-                                                    protocols: {
-                                                        ...defaultSchema.protocols,
-                                                        src: ['http', 'https', 'data', 'blob']
-                                                    }
-                                                }]
-                                            ]}
-                                            urlTransform={(url) => url}
-                                            components={{
-                                                code({ node, inline, className, children, ...props }) {
-                                                    const match = /language-(\w+)/.exec(className || '')
-                                                    return !inline && match ? (
-                                                        <div className="my-3 border border-brand-border rounded-lg bg-black/40 overflow-hidden relative group/code shadow-inner">
-                                                            <div className="absolute top-2 right-2 z-10 opacity-0 group-hover/code:opacity-100 transition-opacity flex items-center gap-2 bg-brand-card/90 backdrop-blur-md border border-brand-border/50 rounded-md p-0.5 shadow-sm">
-                                                                <div className="text-[10px] uppercase text-gray-500 font-bold px-1.5 select-none">
-                                                                    {match[1]}
-                                                                </div>
-                                                                <div className="w-[1px] h-3 bg-brand-border/50"></div>
-                                                                <CopyButton text={String(children).replace(/\n$/, '')} label="Copy code" className="!p-1" />
-                                                            </div>
-                                                            <div className="overflow-x-auto p-3 pt-4">
-                                                                <code className={`${className} block min-w-max`} {...props}>
-                                                                    {children}
-                                                                </code>
-                                                            </div>
-                                                        </div>
-                                                    ) : (
-                                                        <code className="bg-white/10 rounded px-1.5 py-0.5 text-[11px] font-mono text-brand-cyan/90" {...props}>
-                                                            {children}
-                                                        </code>
-                                                    )
-                                                },
-                                                p: ({ node, ...props }) => <p className="mb-2.5 last:mb-0" {...props} />,
-                                                a: ({ node, ...props }) => <a className="text-brand-cyan hover:underline decoration-brand-cyan/30 underline-offset-4" target="_blank" rel="noopener noreferrer" {...props} />,
-                                                ul: ({ node, ...props }) => <ul className="list-disc list-outside mb-2.5 ml-4 space-y-1" {...props} />,
-                                                ol: ({ node, ...props }) => <ol className="list-decimal list-outside mb-2.5 ml-4 space-y-1" {...props} />,
-                                                li: ({ node, ...props }) => <li className="pl-1" {...props} />,
-                                                h1: ({ node, ...props }) => <h1 className="text-base font-bold mb-3 text-white" {...props} />,
-                                                h2: ({ node, ...props }) => <h2 className="text-sm font-bold mb-2 text-white" {...props} />,
-                                                h3: ({ node, ...props }) => <h3 className="text-xs font-bold mb-1 text-white" {...props} />,
-                                                blockquote: ({ node, ...props }) => <blockquote className="border-l-2 border-brand-cyan/30 pl-3 italic text-gray-400 my-2" {...props} />,
-                                            }}
-                                        >
-                                            {isCollapsed ? m.content.slice(0, COLLAPSE_THRESHOLD) + '...' : m.content}
-                                        </ReactMarkdown>
-                                    </div>
+                                    {m.json && !m.isStreaming && (
+                                        <JsonResultSection json={m.json} />
+                                    )}
+
+                                    {/* A parsed JSON answer is shown as a tree instead of its text */}
+                                    {(m.json?.data === undefined || m.isStreaming) && (
+                                        <div className="prose prose-invert prose-sm max-w-none break-words prose-p:leading-relaxed prose-pre:bg-black/40 prose-pre:border prose-pre:border-brand-border">
+                                            <MarkdownContent sources={m.sources}>
+                                                {isCollapsed ? m.content.slice(0, COLLAPSE_THRESHOLD) + '...' : m.content}
+                                            </MarkdownContent>
+                                            {m.isStreaming && (m.retryStatus || m.status) && (
+                                                <div data-testid="streaming-status" className="flex items-center gap-1.5 text-xs italic text-gray-400 mt-1">
+                                                    <Loader2 size={12} className="animate-spin text-brand-cyan" />
+                                                    {m.retryStatus || m.status}
+                                                </div>
+                                            )}
+                                            {m.isStreaming && !m.retryStatus && !m.status && (
+                                                <span data-testid="streaming-cursor" className="inline-block w-1.5 h-3.5 ml-0.5 align-middle bg-brand-cyan/70 animate-pulse" aria-label="Generating..." />
+                                            )}
+                                        </div>
+                                    )}
+
+                                    <GeneratedImages attachments={m.attachments} content={m.content} onView={onViewFile} />
+
+                                    {m.sources && m.sources.length > 0 && !m.isStreaming && (
+                                        <SourcesSection sources={m.sources} />
+                                    )}
 
                                     {/* Attachments Section (Generated Images) */}
                                     {m.attachments && m.attachments.length > 0 && (
@@ -339,23 +886,7 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
                                         </div>
                                     )}
                                     {m.role === 'assistant' && m.metadata && (
-                                        <div className="mt-3 pt-2.5 border-t border-brand-border/40 flex items-center gap-3 text-[10px] text-gray-500 font-mono opacity-80">
-                                            {m.metadata.tokens > 0 && (
-                                                <span className="flex items-center gap-0.5">
-                                                    <span className="opacity-50">tokens:</span> {m.metadata.tokens}
-                                                </span>
-                                            )}
-                                            {m.metadata.latency > 0 && (
-                                                <span className="flex items-center gap-0.5">
-                                                    <span className="opacity-50">time:</span> {(m.metadata.latency / 1000).toFixed(1)}s
-                                                </span>
-                                            )}
-                                            {m.metadata.cost != null && m.metadata.cost > 0 && (
-                                                <span className={`flex items-center gap-0.5 ${getCostColorClass(m.metadata.cost)}`}>
-                                                    <span className="opacity-50">cost:</span> ${m.metadata.cost.toFixed(6)}
-                                                </span>
-                                            )}
-                                        </div>
+                                        <MessageMetadata metadata={m.metadata} />
                                     )}
                                 </>
                             )}
@@ -380,7 +911,7 @@ export default function MessageList({ messages, isLoading, isImageModel = false,
                 );
             })}
 
-            {isLoading && <SkeletonLoader isImageModel={isImageModel} />}
+            {isLoading && !isStreaming && <SkeletonLoader isImageModel={isImageModel} status={streamingMessage?.retryStatus} />}
 
             <div className="h-4" />
         </div>
@@ -51,6 +51,19 @@ describe('MessageList', () => {
         expect(screen.getByText('test.pdf')).toBeDefined();
     });
 
+    it('should show generated images from the attachments once', () => {
+        const image = { type: 'image', url: 'data:image/png;base64,iVBORw0KGgo=', name: 'generated_image_1.png' };
+        const inline = { type: 'image', url: 'data:image/png;base64,aW5saW5l', name: 'generated_image.png' };
+        const messages = [
+            { role: 'assistant', content: 'Here is your cat.', attachments: [image] },
+            { role: 'assistant', content: `Older answer\n\n![Generated Image](${inline.url})`, attachments: [inline] }
+        ];
+        const { container } = render(<MessageList messages={messages} />);
+
+        expect(screen.getByAltText('generated_image_1.png').getAttribute('src')).toBe(image.url);
+        expect(container.querySelectorAll(`img[src="${inline.url}"]`)).toHaveLength(1);
+    });
+
     it('should show loading indicator', () => {
         render(<MessageList messages={[]} isLoading={true} />);
         expect(screen.getByText('Thinking...')).toBeDefined();
@@ -155,6 +168,286 @@ describe('MessageList', () => {
         });
     });
 
+    // Streaming Tests
+    describe('Streaming', () => {
+        it('should render the partial answer instead of the skeleton once tokens arrive', () => {
+            const messages = [{ role: 'user', content: 'Hello AI' }];
+            render(<MessageList messages={messages} isLoading={true} streamingMessage={{ content: 'Partial ans' }} />);
+
+            expect(screen.getByText('Partial ans')).toBeDefined();
+            expect(screen.getByTestId('streaming-cursor')).toBeDefined();
+            expect(screen.queryByTestId('skeleton-loader')).toBeNull();
+        });
+
+        it('should keep the skeleton while no token has arrived', () => {
+            render(<MessageList messages={[]} isLoading={true} streamingMessage={{ content: '' }} />);
+            expect(screen.getByTestId('skeleton-loader')).toBeDefined();
+        });
+
+        it('should show the retry status in the skeleton', () => {
+            render(<MessageList messages={[]} isLoading={true} streamingMessage={{ content: '', retryStatus: 'Retrying in 2s (attempt 2/4)' }} />);
+
+            expect(screen.getByTestId('skeleton-loader')).toBeDefined();
+            expect(screen.getByTestId('skeleton-status').textContent).toBe('Retrying in 2s (attempt 2/4)');
+        });
+
+        it('should show prompt cache tokens in the footer', () => {
+            const messages = [{
+                role: 'assistant',
+                content: 'Summary',
+                metadata: { latency: 1000, tokens: 3530, cacheReadTokens: 3000, cacheWriteTokens: 500, cost: 0 }
+            }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByTitle('Prompt tokens read from the cache').textContent).toContain('3000');
+            expect(screen.getByTitle('Prompt tokens written to the cache').textContent).toContain('500');
+        });
+
+        it('should show time to first token and stopped marker in the footer', () => {
+            const messages = [{
+                role: 'assistant',
+                content: 'Half an answer',
+                metadata: { latency: 3000, ttft: 400, tokens: 0, cost: 0, stopped: true }
+            }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByText('ttft:')).toBeDefined();
+            expect(screen.getByText('stopped')).toBeDefined();
+        });
+    });
+
+    // Reasoning Tests
+    describe('Reasoning', () => {
+        it('should show a collapsed Thinking section that expands on click', async () => {
+            const messages = [{ role: 'assistant', content: 'Answer', reasoning: 'Step by step' }];
+            render(<MessageList messages={messages} />);
+
+            const toggle = screen.getByTitle('Show thinking');
+            expect(screen.queryByTestId('reasoning-content')).toBeNull();
+
+            fireEvent.click(toggle);
+
+            await waitFor(() => {
+                expect(screen.getByTestId('reasoning-content').textContent).toBe('Step by step');
+            });
+        });
+
+        it('should keep reasoning open while the model is still thinking', () => {
+            render(<MessageList messages={[]} isLoading={true} streamingMessage={{ content: '', reasoning: 'Working it out' }} />);
+            expect(screen.getByTestId('reasoning-content').textContent).toBe('Working it out');
+        });
+
+        it('should show reasoning tokens in the metadata footer', () => {
+            const messages = [{
+                role: 'assistant',
+                content: 'Answer',
+                metadata: { tokens: 100, reasoningTokens: 64, latency: 1000 }
+            }];
+            render(<MessageList messages={messages} />);
+            expect(screen.getByText('reasoning:')).toBeDefined();
+            expect(screen.getByText('64')).toBeDefined();
+        });
+    });
+
+    describe('Tool Trace', () => {
+        it('should list each tool call when expanded', async () => {
+            const messages = [{
+                role: 'assistant',
+                content: 'It is 42.',
+                toolSteps: [
+                    { name: 'calculator', args: { expression: '6*7' }, result: '42', isError: false },
+                    { name: 'web_search', args: { query: 'x' }, result: 'Error: quota', isError: true }
+                ]
+            }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByText('Used 2 tool calls')).toBeDefined();
+            expect(screen.queryByTestId('tool-steps')).toBeNull();
+
+            fireEvent.click(screen.getByTitle('Show tool calls'));
+
+            await waitFor(() => {
+                const trace = screen.getByTestId('tool-steps');
+                expect(trace.textContent).toContain('calculator({"expression":"6*7"})');
+                expect(trace.textContent).toContain('Error: quota');
+            });
+        });
+    });
+
+    describe('Sources', () => {
+        const sources = [
+            { title: 'Match report', url: 'https://news.dev/final', snippet: 'Argentina won on penalties.' },
+            { title: 'Wiki', url: 'https://wiki.dev/cup', snippet: '' }
+        ];
+
+        it('should render numbered citations as badges', () => {
+            const messages = [{ role: 'assistant', content: 'Argentina won [1](https://news.dev/final). See [the wiki](https://wiki.dev/cup).', sources }];
+            render(<MessageList messages={messages} />);
+
+            const citation = screen.getByTestId('citation');
+            expect(citation.textContent).toBe('1');
+            expect(citation.getAttribute('href')).toBe('https://news.dev/final');
+            expect(citation.getAttribute('title')).toBe('Match report');
+            expect(screen.getByText('the wiki').getAttribute('href')).toBe('https://wiki.dev/cup');
+        });
+
+        it('should list the sources with their snippets when expanded', async () => {
+            const messages = [{ role: 'assistant', content: 'Argentina won [1](https://news.dev/final).', sources }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByText('Sources (2)')).toBeDefined();
+            expect(screen.queryByTestId('sources-list')).toBeNull();
+
+            fireEvent.click(screen.getByTitle('Show sources'));
+
+            await waitFor(() => {
+                const list = screen.getByTestId('sources-list');
+                expect(list.textContent).toContain('Match report');
+                expect(list.textContent).toContain('Argentina won on penalties.');
+                expect(list.textContent).toContain('Wiki');
+            });
+        });
+
+        it('should not show the sources panel without sources', () => {
+            render(<MessageList messages={[{ role: 'assistant', content: 'Hi' }]} />);
+            expect(screen.queryByText(/^Sources/)).toBeNull();
+        });
+    });
+
+    describe('JSON Result', () => {
+        const data = { items: [{ name: 'Lamp', price: 19.5 }], inStock: true };
+
+        it('should show a valid answer as a collapsible tree instead of its text', () => {
+            const messages = [{ role: 'assistant', content: JSON.stringify(data), json: { data, errors: [] } }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByText('valid')).toBeDefined();
+            const tree = screen.getByTestId('json-tree');
+            expect(tree.textContent).toContain('inStock: true');
+            // Deeper levels start collapsed
+            expect(tree.textContent).toContain('{ 2 items }');
+            expect(tree.textContent).not.toContain('Lamp');
+
+            fireEvent.click(screen.getByText('0:'));
+            expect(tree.textContent).toContain('name: "Lamp"');
+
+            fireEvent.click(screen.getByTitle('Hide JSON'));
+            expect(screen.queryByTestId('json-tree')).toBeNull();
+        });
+
+        it('should offer copy and download of the data', () => {
+            const messages = [{ role: 'assistant', content: JSON.stringify(data), json: { data, errors: [] } }];
+            render(<MessageList messages={messages} />);
+
+            const download = screen.getByLabelText('Download JSON');
+            expect(download.getAttribute('download')).toBe('response.json');
+            expect(decodeURIComponent(download.getAttribute('href'))).toBe(`data:application/json;charset=utf-8,${JSON.stringify(data, null, 2)}`);
+            expect(screen.getByLabelText('Copy JSON')).toBeDefined();
+        });
+
+        it('should list validation errors and keep the text of unparsable answers', () => {
+            const messages = [{ role: 'assistant', content: 'Sorry, no prices found', json: { errors: ['The response is not valid JSON: Unexpected token'] } }];
+            render(<MessageList messages={messages} />);
+
+            expect(screen.getByText('1 error')).toBeDefined();
+            expect(screen.getByTestId('json-errors').textContent).toContain('not valid JSON');
+            expect(screen.getByText('Sorry, no prices found')).toBeDefined();
+            expect(screen.queryByLabelText('Download JSON')).toBeNull();
+        });
+    });
+
+    describe('Error Entries', () => {
+        it('should call onRetry with the index of the error entry', () => {
+            const onRetry = vi.fn();
+            const messages = [
+                { role: 'user', content: 'Hello' },
+                { role: 'error', content: 'API Error 500', retryOptions: { webSearch: false } }
+            ];
+            render(<MessageList messages={messages} onRetry={onRetry} onSwitchModel={vi.fn()} models={[]} />);
+
+            expect(screen.getByRole('alert').textContent).toContain('API Error 500');
+            expect(screen.queryByText('Switch model')).toBeNull();
+
+            fireEvent.click(screen.getByText('Retry'));
+            expect(onRetry).toHaveBeenCalledWith(1);
+        });
+
+        it('should only offer Switch model when there is nothing to retry', () => {
+            const onSwitchModel = vi.fn();
+            const messages = [{ role: 'error', content: 'Model x does not support image inputs.' }];
+            render(<MessageList messages={messages} onRetry={vi.fn()} onSwitchModel={onSwitchModel} models={[{ id: 'openai/gpt-4o', name: 'GPT-4o' }]} />);
+
+            expect(screen.queryByText('Retry')).toBeNull();
+            fireEvent.click(screen.getByText('Switch model'));
+            fireEvent.change(screen.getByLabelText('Switch model'), { target: { value: 'openai/gpt-4o' } });
+
+            expect(onSwitchModel).toHaveBeenCalledWith(0, 'openai/gpt-4o');
+        });
+    });
+
+    describe('Comparison', () => {
+        const comparison = {
+            role: 'comparison',
+            content: '',
+            answers: [
+                { role: 'assistant', content: 'Answer from Claude', metadata: { model: 'anthropic/claude-sonnet-4', latency: 2400, tokens: 320, cost: 0.0042 } },
+                { role: 'assistant', content: 'Answer from GPT', metadata: { model: 'openai/gpt-4o', latency: 1100, tokens: 280, cost: 0.0021 } },
+                { content: '', error: 'Rate limited', metadata: { model: 'google/gemini-2.5-pro' } }
+            ]
+        };
+
+        it('should show one tab per model with its latency, tokens and cost', () => {
+            render(<MessageList messages={[{ role: 'user', content: 'Hi' }, comparison]} onKeepAnswer={vi.fn()} />);
+
+            const tabs = screen.getAllByRole('tab');
+            expect(tabs).toHaveLength(3);
+            expect(tabs[0].textContent).toContain('claude-sonnet-4');
+            expect(tabs[0].textContent).toContain('2.4s · 320 tok · $0.0042');
+            expect(tabs[2].textContent).toContain('failed');
+            expect(screen.getByText('Answer from Claude')).toBeDefined();
+
+            fireEvent.click(tabs[1]);
+            expect(screen.getByText('Answer from GPT')).toBeDefined();
+            expect(screen.queryByText('Answer from Claude')).toBeNull();
+        });
+
+        it('should keep the selected answer', () => {
+            const onKeepAnswer = vi.fn();
+            render(<MessageList messages={[{ role: 'user', content: 'Hi' }, comparison]} onKeepAnswer={onKeepAnswer} />);
+
+            fireEvent.click(screen.getAllByRole('tab')[1]);
+            fireEvent.click(screen.getByText('Keep this answer'));
+
+            expect(onKeepAnswer).toHaveBeenCalledWith(1, 1);
+        });
+
+        it('should show a failed answer without a keep button', () => {
+            render(<MessageList messages={[{ role: 'user', content: 'Hi' }, comparison]} onKeepAnswer={vi.fn()} />);
+
+            fireEvent.click(screen.getAllByRole('tab')[2]);
+
+            expect(screen.getByText('Rate limited')).toBeDefined();
+            expect(screen.queryByText('Keep this answer')).toBeNull();
+        });
+
+        it('should stream compared answers side by side', () => {
+            const streamingMessage = {
+                comparison: [
+                    { provider: 'openrouter', model: 'openai/gpt-4o', content: 'Partial', reasoning: '', status: null },
+                    { provider: 'openrouter', model: 'anthropic/claude-sonnet-4', content: '', reasoning: '', status: null }
+                ]
+            };
+            render(<MessageList messages={[{ role: 'user', content: 'Hi' }]} isLoading={true} streamingMessage={streamingMessage} onKeepAnswer={vi.fn()} />);
+
+            const tabs = screen.getAllByRole('tab');
+            expect(tabs[0].textContent).toContain('answering...');
+            expect(tabs[1].textContent).toContain('waiting...');
+            expect(screen.getByText('Partial')).toBeDefined();
+            expect(screen.queryByTestId('skeleton-loader')).toBeNull();
+            expect(screen.queryByText('Keep this answer')).toBeNull();
+        });
+    });
+
     // Collapsible Message Tests
     describe('Collapsible Messages', () => {
         const longContent = 'A'.repeat(200); // Long message to test truncation
@@ -0,0 +1,86 @@
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { GENERATION_PARAMETERS } from '../utils/generationParams';
+import { supportsParameter } from '../utils/modelCapabilities';
+
+// Per-session generation parameters. Empty fields use the provider default;
+// parameters the model does not accept are disabled and never sent.
+export default function ParametersDrawer({ parameters = {}, model, onChange, onClose }) {
+    const update = (key, value) => {
+        const { [key]: _, ...rest } = parameters;
+        onChange(value === undefined ? rest : { ...rest, [key]: value });
+    };
+
+    const hasValues = Object.keys(parameters).length > 0;
+
+    return (
+        <div data-testid="parameters-drawer" className="border border-brand-border rounded-lg bg-brand-input/60 p-3 animate-in fade-in slide-in-from-bottom-2 duration-150">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xs font-bold text-gray-300">Generation parameters</h3>
+                <div className="flex items-center gap-1">
+                    <button
+                        onClick={() => onChange({})}
+                        disabled={!hasValues}
+                        className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10 disabled:text-gray-600 disabled:hover:bg-transparent"
+                        title="Reset to defaults"
+                    >
+                        <RotateCcw size={12} />
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="p-1 rounded text-gray-400 hover:text-white hover:bg-white/10"
+                        title="Close parameters"
+                    >
+                        <X size={12} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-3 gap-y-2">
+                {GENERATION_PARAMETERS.map(def => {
+                    const supported = supportsParameter(model, def.key);
+                    const id = `param-${def.key}`;
+
+                    if (def.list) {
+                        return (
+                            <div key={def.key} className="col-span-2">
+                                <label htmlFor={id} className="block text-[10px] font-medium text-gray-400 mb-0.5">
+                                    {def.label} <span className="text-gray-600">(one per line)</span>
+                                </label>
+                                <textarea
+                                    id={id}
+                                    rows={2}
+                                    disabled={!supported}
+                                    title={supported ? undefined : 'Not supported by this model'}
+                                    value={(parameters[def.key] || []).join('\n')}
+                                    onChange={(e) => update(def.key, e.target.value ? e.target.value.split('\n') : undefined)}
+                                    className="w-full p-1 bg-brand-input border border-brand-border rounded text-xs text-white font-mono outline-none focus:ring-1 focus:ring-brand-cyan disabled:opacity-40"
+                                />
+                            </div>
+                        );
+                    }
+
+                    return (
+                        <div key={def.key}>
+                            <label htmlFor={id} className="block text-[10px] font-medium text-gray-400 mb-0.5">{def.label}</label>
+                            <input
+                                id={id}
+                                type="number"
+                                min={def.min}
+                                max={def.max}
+                                step={def.step}
+                                placeholder="default"
+                                disabled={!supported}
+                                title={supported ? undefined : 'Not supported by this model'}
+                                value={parameters[def.key] ?? ''}
+                                onChange={(e) => update(def.key, e.target.value === '' ? undefined : Number(e.target.value))}
+                                className="w-full p-1 bg-brand-input border border-brand-border rounded text-xs text-white outline-none focus:ring-1 focus:ring-brand-cyan disabled:opacity-40"
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+/* eslint-disable react/prop-types */
+import React, { useState, useEffect } from 'react';
+import { encryptData, decryptData } from '../utils/encryption';
+import { parseHeaders, formatHeaders } from '../utils/providerProfiles';
+
+const inputClass = "w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white mt-1";
+
+// Settings of a provider profile (any OpenAI-compatible endpoint). Without a profile it creates one.
+export default function ProviderProfileForm({ profile, onSave, onDelete, onCancel }) {
+    const [name, setName] = useState(profile?.name || '');
+    const [baseUrl, setBaseUrl] = useState(profile?.baseUrl || '');
+    const [apiKey, setApiKey] = useState('');
+    const [headersText, setHeadersText] = useState(formatHeaders(profile?.headers));
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!profile?.encryptedApiKey) return;
+        decryptData(profile.encryptedApiKey)
+            .then(key => setApiKey(key || ''))
+            .catch(e => console.error(e));
+    }, [profile?.encryptedApiKey]);
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            setError('Enter a name for the provider.');
+            return;
+        }
+        if (!/^https?:\/\//.test(baseUrl.trim())) {
+            setError('Enter the base URL of the API, e.g. https://api.groq.com/openai/v1');
+            return;
+        }
+        const { headers, error: headersError } = parseHeaders(headersText);
+        if (headersError) {
+            setError(headersError);
+            return;
+        }
+
+        setError(null);
+        onSave({
+            name: name.trim(),
+            baseUrl: baseUrl.trim().replace(/\/$/, ''),
+            encryptedApiKey: apiKey.trim() ? await encryptData(apiKey.trim()) : '',
+            headers
+        });
+    };
+
+    return (
+        <div data-testid="provider-profile-form" className="space-y-3 pt-2">
+            <div>
+                <label htmlFor="profile-name" className="block text-sm font-medium text-gray-300">Name</label>
+                <input id="profile-name" type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Groq" className={inputClass} />
+            </div>
+            <div>
+                <label htmlFor="profile-base-url" className="block text-sm font-medium text-gray-300">Base URL</label>
+                <input id="profile-base-url" type="text" value={baseUrl} onChange={(e) => setBaseUrl(e.target.value)} placeholder="https://api.groq.com/openai/v1" className={inputClass} />
+            </div>
+            <div>
+                <label htmlFor="profile-api-key" className="block text-sm font-medium text-gray-300">API Key</label>
+                <input id="profile-api-key" type="password" value={apiKey} onChange={(e) => setApiKey(e.target.value)} placeholder="Optional for gateways without auth" className={inputClass} />
+            </div>
+            <div>
+                <label htmlFor="profile-headers" className="block text-sm font-medium text-gray-300">Extra Headers</label>
+                <textarea
+                    id="profile-headers"
+                    rows={3}
+                    value={headersText}
+                    onChange={(e) => setHeadersText(e.target.value)}
+                    placeholder="X-Team: research"
+                    className={`${inputClass} font-mono text-xs`}
+                />
+                <p className="text-xs text-gray-500 mt-1">One "Name: value" per line, sent with every request.</p>
+            </div>
+            {error && <p className="text-xs text-red-400">{error}</p>}
+
+            <div className="flex gap-2">
+                {(onDelete || onCancel) && (
+                    <button
+                        onClick={onDelete || onCancel}
+                        className="flex-1 py-2 rounded border border-brand-border text-sm text-gray-400 hover:text-white hover:bg-white/5 transition-colors"
+                    >
+                        {onDelete ? 'Delete Provider' : 'Cancel'}
+                    </button>
+                )}
+                <button
+                    onClick={handleSave}
+                    className="flex-1 bg-brand-cyan text-brand-dark py-2 rounded hover:bg-cyan-400 font-bold transition-colors"
+                >
+                    {profile ? 'Save Provider' : 'Add Provider'}
+                </button>
+            </div>
+            <p className="text-xs text-gray-500">
+                Any OpenAI-compatible API (Groq, DeepSeek, Mistral, Together, LiteLLM). Keys are stored encrypted locally.
+            </p>
+        </div>
+    );
+}
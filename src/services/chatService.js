@@ -4,64 +4,168 @@
  * Handles payload formatting and API calls for different providers.
  */
 import { manualToolAdapter } from './manualToolAdapter';
-import { webSearchService } from './webSearchService';
+import { toolRegistry } from './toolRegistry';
+import { extractThinkTags, createThinkTagStream } from '../utils/thinkTags';
+import { mergeSources, formatCitation, insertCitations, byteOffsetToIndex } from '../utils/citations';
+import { parseJsonResponse, validateJson, toGeminiSchema, supportsStrictMode } from '../utils/jsonSchema';
+import { supportsNativePdf, getOpenAIImageOptions, MAX_NATIVE_PDF_BYTES } from '../utils/modelCapabilities';
+import { DEFAULT_AZURE_API_VERSION } from '../utils/azureOpenAI';
+
+// Tool loops: model round trips before the model is told to answer without tools
+// (overridable per request with options.maxToolRounds)
+const DEFAULT_MAX_TOOL_ROUNDS = 5;
+
+// Retries for rate limits and transient provider errors (529 = Anthropic overloaded)
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 529];
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000; // A longer Retry-After (e.g. a daily quota) is reported instead of waited out
+
+// Anthropic prompt caching: text this long (about 1024 tokens, the smallest cacheable prefix)
+// gets a cache breakpoint; Claude allows at most 4 per request
+const CACHE_MIN_CHARS = 4000;
+const MAX_CACHE_BREAKPOINTS = 4;
+
+// Generation parameters from the session drawer, in OpenAI terms (see formatGenerationParams)
+const GENERATION_PARAM_KEYS = ['temperature', 'top_p', 'max_tokens', 'stop', 'seed', 'frequency_penalty', 'presence_penalty'];
+
+// File extensions of generated images, by mime type
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+// Markdown images with a data URL, as answers with generated images used to include them
+const INLINE_DATA_IMAGES = /!\[[^\]]*\]\(data:[^)]*\)/g;
+
+// Name of the tool Claude must answer with in JSON mode; its input is the structured answer
+const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+
+// Thinking token budgets for providers that take a budget instead of an effort level
+const THINKING_BUDGETS = {
+    anthropic: { low: 2048, medium: 8192, high: 24576 },
+    google: { low: 1024, medium: 8192, high: 24576 }
+};
 
 export const chatService = {
     /**
      * Send a chat completion request to the specified provider.
      * 
      * @param {Object} params
-     * @param {string} params.provider - 'openrouter', 'openai', 'anthropic', 'google', 'local'
+     * @param {string} params.provider - 'openrouter', 'openai', 'azure', 'anthropic', 'google', 'local'
      * @param {string} params.baseUrl - Base API URL
      * @param {string} params.apiKey - API Key
+     * @param {Object} [params.headers] - Extra request headers of a provider profile (OpenAI-compatible APIs only)
+     * @param {string} [params.apiVersion] - Azure OpenAI only: the api-version query parameter. baseUrl is the
+     *   resource endpoint and model the deployment name
      * @param {string} params.model - Model ID
-     * @param {Array} params.messages - Array of message objects {role, content, files?}
-     * @param {Object} [params.options] - Extra options (temperature, etc.)
-     * @returns {Promise<Object>} - { content: string, usage: object }
+     * @param {Array} params.messages - Array of message objects {role, content, files?}; 'error' and 'comparison' entries are skipped
+     * @param {Object} [params.options] - Extra options. Generation parameters (temperature, top_p, max_tokens,
+     *   stop, seed, frequency_penalty, presence_penalty) are given in OpenAI terms and translated per provider
+     * @param {string} [params.options.reasoningEffort] - 'low' | 'medium' | 'high', mapped to each provider's thinking parameter
+     * @param {boolean} [params.options.enableTools] - Advertise the toolRegistry tools and run the calls the model makes
+     * @param {number} [params.options.maxToolRounds] - Tool round trips before the model must answer
+     * @param {boolean} [params.options.pageAccess] - Also offer the tools that read the current page and fetch URLs
+     * @param {Object} [params.options.jsonSchema] - JSON mode: { name, schema }. The answer is constrained to the schema
+     *   where the provider supports it, then parsed and validated into `json: { data?, errors }`
+     * @param {Object} [params.options.imageOptions] - Image output of image-generation models. OpenRouter and Gemini:
+     *   { aspectRatio?: '16:9', modalities?: ['text', 'image'] | ['image'] }; OpenAI Images API:
+     *   { size?, quality?, background?, editLastImage? } (editLastImage edits the chat's last image)
+     * @param {AbortSignal} [params.signal] - Cancels the request (and enables streaming where supported)
+     * @param {Function} [params.onDelta] - Called with { content } or { reasoning } for each streamed chunk,
+     *   { status } while a tool runs and { retryStatus } while waiting to retry a failed request
+     * @returns {Promise<Object>} - { content: string, reasoning?: string, attachments?: Array, usage: object, sources?: Array, toolSteps?: Array, json?: Object }
      */
-    async sendMessage({ provider, baseUrl, apiKey, model, messages, options = {}, signal }) {
+    async sendMessage({ provider, baseUrl, apiKey, headers, apiVersion, model, messages, options = {}, signal, onDelta }) {
         console.log(`[ChatService] Sending message via ${provider} to ${model}`);
 
+        // Error entries and unresolved compare-mode answers are only shown in the chat; the model never sees them.
+        // Generated images are attachments: inline copies in older answers would resend megabytes of base64 as text.
+        messages = messages
+            .filter(m => m.role !== 'error' && m.role !== 'comparison')
+            .map(m => m.role === 'assistant' && typeof m.content === 'string' && m.content.includes('](data:')
+                ? { ...m, content: m.content.replace(INLINE_DATA_IMAGES, '').trim() }
+                : m);
+
+        let result;
         switch (provider) {
             case 'anthropic':
-                return this.sendAnthropic({ baseUrl, apiKey, model, messages, options, signal });
+                result = await this.sendAnthropic({ baseUrl, apiKey, model, messages, options, signal, onDelta });
+                break;
             case 'google':
-                return this.sendGoogle({ baseUrl, apiKey, model, messages, options, signal });
+                result = await this.sendGoogle({ baseUrl, apiKey, model, messages, options, signal, onDelta });
+                break;
+            case 'azure':
+                if (!baseUrl) {
+                    throw new Error('Azure OpenAI needs the resource endpoint. Add it in Settings.');
+                }
+                result = await this.sendOpenAICompatible({ provider, baseUrl, apiKey, headers, apiVersion, model, messages, options, signal, onDelta });
+                break;
             case 'openai':
             case 'openrouter':
             case 'local':
             default:
-                return this.sendOpenAICompatible({ provider, baseUrl, apiKey, model, messages, options, signal });
+                result = await this.sendOpenAICompatible({ provider, baseUrl, apiKey, headers, model, messages, options, signal, onDelta });
+        }
+
+        return options.jsonSchema ? this.validateJsonResult(result, options.jsonSchema) : result;
+    },
+
+    // JSON mode: providers do not all enforce the schema (or only loosely), so the answer is always checked here
+    validateJsonResult(result, { schema }) {
+        let data;
+        try {
+            data = parseJsonResponse(result.content);
+        } catch (e) {
+            return { ...result, json: { errors: [`The response is not valid JSON: ${e.message}`] } };
         }
+        return { ...result, json: { data, errors: validateJson(data, schema) } };
     },
 
     // --- OpenAI / OpenRouter / Local Adapter ---
-    async sendOpenAICompatible({ provider, baseUrl, apiKey, model, messages, options, signal }) {
+    async sendOpenAICompatible({ provider, baseUrl, apiKey, headers: extraHeaders, apiVersion, model, messages, options, signal, onDelta, toolRound = 0 }) {
         // OpenRouter Free Model Check
         if (provider === 'openrouter' && model.endsWith(':free') && options.webSearch) {
             console.warn('[ChatService] Web search requested for free model, disabling to avoid error.');
             options.webSearch = false;
         }
 
+        // Image models (gpt-image, dall-e) have no chat endpoint
+        if (provider === 'openai' && getOpenAIImageOptions(model)) {
+            return this.sendOpenAIImages({ baseUrl, apiKey, model, messages, options, signal, onDelta });
+        }
+
         // OpenAI Responses API redirection for Web Search
         if (provider === 'openai' && options.webSearch) {
-            return this.sendOpenAIResponses({ baseUrl, apiKey, model, messages, options });
+            return this.sendOpenAIResponses({ baseUrl, apiKey, model, messages, options, signal, onDelta });
         }
 
-        const { webSearch, webSearchConfig, ...otherOptions } = options;
+        const { params, rest } = this.splitGenerationParams(options);
+        const { webSearch, webSearchConfig, pageAccess, reasoningEffort, enableTools, maxToolRounds = DEFAULT_MAX_TOOL_ROUNDS, jsonSchema, imageOptions, ...otherOptions } = rest;
 
-        let finalMessages = messages;
-        let isLocalWebSearch = false;
+        // Local models call tools through the XML protocol of manualToolAdapter.
+        // The tool list is injected on every round until the limit is reached.
+        const localTools = provider === 'local' ? this.getLocalTools({ webSearch, enableTools, webSearchConfig, pageAccess }) : [];
+        const isLocalToolLoop = localTools.length > 0;
+        const canCallLocalTool = isLocalToolLoop && toolRound < maxToolRounds;
 
-        if (provider === 'local' && webSearch) {
-            isLocalWebSearch = true;
-            finalMessages = manualToolAdapter.injectHelper(messages);
+        let finalMessages = messages;
+        if (canCallLocalTool) {
+            finalMessages = manualToolAdapter.injectHelper(messages, localTools);
         }
 
-        const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+        // Azure addresses a deployment (named by the model field) and versions the API per request
+        const url = provider === 'azure'
+            ? `${baseUrl.replace(/\/$/, '')}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion || DEFAULT_AZURE_API_VERSION)}`
+            : `${baseUrl.replace(/\/$/, '')}/chat/completions`;
 
         // Format messages: Handle Multi-modal
         const formattedMessages = finalMessages.map(m => {
+            // Tool call plumbing from earlier rounds of the native tool loop
+            if (m.role === 'tool') {
+                return { role: 'tool', tool_call_id: m.tool_call_id, content: m.content };
+            }
+            if (m.tool_calls) {
+                return { role: m.role, content: m.content || null, tool_calls: m.tool_calls };
+            }
+
             if (!m.files || m.files.length === 0) {
                 return { role: m.role, content: m.content };
             }
@@ -96,39 +200,85 @@ export const chatService = {
             "Content-Type": "application/json"
         };
 
-        // Only add OpenRouter-specific headers for non-local requests or if explicitly OpenRouter
-        if (provider !== 'local') {
+        // OpenRouter app attribution; other endpoints (profiles included) only get their own extra headers
+        if (provider === 'openrouter') {
             headers["HTTP-Referer"] = "https://github.com/flecomet/tacit-sidebar";
             headers["X-Title"] = "Tacit";
         }
 
-        if (apiKey) {
+        if (apiKey && provider === 'azure') {
+            headers["api-key"] = apiKey;
+        } else if (apiKey) {
             headers["Authorization"] = `Bearer ${apiKey}`;
         }
 
+        // Extra headers of a provider profile (e.g. a gateway's team or routing header)
+        Object.assign(headers, extraHeaders);
+
         const payload = {
             model: model,
             messages: formattedMessages,
-            ...otherOptions
+            ...otherOptions,
+            ...this.formatGenerationParams(provider, params)
         };
 
         if (provider === 'openrouter' && webSearch) {
             payload.plugins = [{ id: "web" }];
         }
 
-        // Enable streaming for OpenRouter to support proper cancellation
-        // When streaming is enabled, aborting the connection stops billing
-        const useStreaming = provider === 'openrouter' && signal;
+        if (provider === 'openrouter' && imageOptions) {
+            Object.assign(payload, this.formatImageOptions('openrouter', imageOptions));
+        }
+
+        // Native function calling with the registered tools (local models use manualToolAdapter instead)
+        const toolContext = { webSearchConfig, pageAccess, signal };
+        const tools = enableTools && provider !== 'local' ? toolRegistry.toOpenAITools(toolContext) : [];
+        if (tools.length > 0) {
+            payload.tools = tools;
+            if (toolRound >= maxToolRounds) {
+                payload.tool_choice = 'none';
+            }
+        }
+
+        // The XML tool protocol of local models needs free text, so JSON is only enforced on the answering round
+        if (jsonSchema && !canCallLocalTool) {
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: {
+                    name: jsonSchema.name || 'response',
+                    schema: jsonSchema.schema,
+                    ...(supportsStrictMode(jsonSchema.schema) && { strict: true })
+                }
+            };
+        }
+
+        if (reasoningEffort) {
+            if (provider === 'openrouter') {
+                payload.reasoning = { effort: reasoningEffort };
+            } else {
+                payload.reasoning_effort = reasoningEffort;
+            }
+        }
+
+        // Enable streaming to support proper cancellation and live output
+        // When streaming is enabled, aborting the connection stops billing (cloud) or generation (local)
+        // Every OpenAI-compatible endpoint (provider profiles included) streams
+        const useStreaming = Boolean(signal);
         if (useStreaming) {
             payload.stream = true;
+            // OpenAI and Azure only report usage on streams when asked. Other OpenAI-compatible servers
+            // (local ones, provider profiles) may reject the unknown field, and OpenRouter always reports it.
+            if (provider === 'openai' || provider === 'azure') {
+                payload.stream_options = { include_usage: true };
+            }
         }
 
-        const response = await fetch(url, {
+        const response = await this.fetchWithRetry(url, {
             method: "POST",
             headers,
             body: JSON.stringify(payload),
             signal
-        });
+        }, { onDelta });
 
         if (!response.ok) {
             const errText = await response.text();
@@ -143,9 +293,60 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             throw new Error(`API Error ${response.status}: ${errText || response.statusText}`);
         }
 
-        // Handle streaming response for OpenRouter
+        // Handle streaming response
         if (useStreaming) {
-            return await this.parseStreamResponse(response, signal);
+            // Local models (DeepSeek R1 style) put their reasoning inline in <think> tags
+            const streamOptions = { parseThinkTags: provider === 'local' };
+
+            if (!isLocalToolLoop) {
+                const result = await this.parseStreamResponse(response, onDelta, streamOptions);
+                if (tools.length > 0 && result.toolCalls) {
+                    return this.runOpenAIToolCalls({
+                        provider, baseUrl, apiKey, headers: extraHeaders, apiVersion, model, options, signal, onDelta, toolRound,
+                        messages: finalMessages,
+                        result
+                    });
+                }
+                return result;
+            }
+
+            // Hold back tool call markup while it streams so raw XML never reaches the UI
+            let streamed = '';
+            let displayed = 0;
+            const result = await this.parseStreamResponse(response, (delta) => {
+                if (!delta.content) {
+                    onDelta?.(delta);
+                    return;
+                }
+                streamed += delta.content;
+                const displayable = manualToolAdapter.getDisplayableLength(streamed);
+                if (displayable > displayed) {
+                    onDelta?.({ content: streamed.slice(displayed, displayable) });
+                    displayed = displayable;
+                }
+            }, streamOptions);
+
+            const toolCall = manualToolAdapter.parseToolCall(result.content);
+            if (!toolCall) {
+                // Flush anything held back for a marker that never completed
+                if (streamed.length > displayed) {
+                    onDelta?.({ content: streamed.slice(displayed) });
+                }
+                return result;
+            }
+
+            // Keep only the text the user already saw before the tool call
+            const turn = { ...result, content: streamed.slice(0, displayed).trim() };
+            if (!canCallLocalTool) {
+                return turn; // Out of rounds: drop the call instead of running it
+            }
+
+            return this.runLocalToolCall({
+                provider, baseUrl, apiKey, headers: extraHeaders, apiVersion, model, messages, options, signal, onDelta, toolRound,
+                turn,
+                rawContent: result.content,
+                toolCall
+            });
         }
 
         const text = await response.text();
@@ -169,51 +370,53 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
         }
 
         let content = data.choices[0].message.content || '';
+        let reasoning = this.getOpenAIReasoning(data.choices[0].message);
+
+        // Local models (DeepSeek R1 style) put their reasoning inline in <think> tags
+        if (provider === 'local') {
+            const split = extractThinkTags(content);
+            content = split.content;
+            reasoning = [reasoning, split.reasoning].filter(Boolean).join('\n\n');
+        }
 
-        // Handle Local Web Search Tool Call
-        if (isLocalWebSearch) {
+        // Handle Local Tool Call (XML protocol)
+        if (isLocalToolLoop) {
             const toolCall = manualToolAdapter.parseToolCall(content);
             if (toolCall) {
-                console.log('[ChatService] Local Model Tool Call:', toolCall);
-
-                let searchResults = [];
-                try {
-                    // Use config passed in options, or fallback to mock/defaults if testing
-                    if (webSearchConfig) {
-                        searchResults = await webSearchService.search(
-                            webSearchConfig.provider,
-                            toolCall.args.query,
-                            webSearchConfig
-                        );
-                    } else {
-                        // If no config but webSearch=true (maybe testing), mock or fail.
-                        // In prod, App.jsx ensures config is passed. 
-                        console.warn('Web Search Config missing, returning error.');
-                        throw new Error("Web Search Config missing. Please configure in Settings.");
-                    }
-                } catch (e) {
-                    console.error("Web Search Error", e);
-                    searchResults = [{ title: "Error", link: "", snippet: e.message }];
+                const turn = {
+                    content: content.slice(0, manualToolAdapter.getDisplayableLength(content)).trim(),
+                    reasoning,
+                    attachments: [],
+                    usage: data.usage || { total_tokens: 0 }
+                };
+                if (!canCallLocalTool) {
+                    return turn; // Out of rounds: drop the call instead of running it
                 }
 
-                const toolOutput = manualToolAdapter.formatToolResult(searchResults);
-
-                // Recursion: Send back to model
-                const followUpMessages = [
-                    ...finalMessages,
-                    { role: 'assistant', content: content },
-                    { role: 'user', content: toolOutput }
-                ];
-
-                // Recursive call (disable webSearch to prevent loops)
-                return this.sendOpenAICompatible({
-                    provider, baseUrl, apiKey, model,
-                    messages: followUpMessages,
-                    options: { ...otherOptions, webSearch: false, webSearchConfig }
+                return this.runLocalToolCall({
+                    provider, baseUrl, apiKey, headers: extraHeaders, apiVersion, model, messages, options, signal, onDelta, toolRound,
+                    turn,
+                    rawContent: content,
+                    toolCall
                 });
             }
         }
 
+        // Run calls to registered tools and continue the conversation
+        if (tools.length > 0 && data.choices[0].message.tool_calls?.length > 0) {
+            return this.runOpenAIToolCalls({
+                provider, baseUrl, apiKey, headers: extraHeaders, apiVersion, model, options, signal, onDelta, toolRound,
+                messages: finalMessages,
+                result: {
+                    content,
+                    reasoning,
+                    attachments: [],
+                    usage: data.usage || { total_tokens: 0 },
+                    toolCalls: data.choices[0].message.tool_calls
+                }
+            });
+        }
+
         // Handle Tool Calls (e.g. if Native Search returns a call instead of result, or fallbacks)
         if (data.choices[0].message.tool_calls) {
             const calls = data.choices[0].message.tool_calls.map(tc => {
@@ -267,19 +470,310 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
 
         return {
             content: content,
+            reasoning: reasoning,
             attachments: attachments,
-            usage: data.usage || { total_tokens: 0 }
+            usage: data.usage || { total_tokens: 0 },
+            sources: this.getOpenAISources(data.choices[0].message.annotations)
+        };
+    },
+
+    // Sources from `url_citation` annotations. OpenRouter nests them under `url_citation`
+    // (its web plugin puts the quoted page text in `content`); the Responses API keeps them flat.
+    getOpenAISources(annotations) {
+        if (!Array.isArray(annotations)) return [];
+        return mergeSources(annotations
+            .filter(a => a.type === 'url_citation')
+            .map(a => {
+                const citation = a.url_citation || a;
+                return { title: citation.title, url: citation.url, snippet: citation.content };
+            }));
+    },
+
+    // Separates the generation parameters from the other request options
+    splitGenerationParams(options = {}) {
+        const params = {};
+        const rest = {};
+        Object.entries(options).forEach(([key, value]) => {
+            if (GENERATION_PARAM_KEYS.includes(key)) {
+                if (value !== undefined && value !== null) params[key] = value;
+            } else {
+                rest[key] = value;
+            }
+        });
+        return { params, rest };
+    },
+
+    // Generation parameters under each API's names; ones an API does not accept are dropped
+    formatGenerationParams(api, params) {
+        const { temperature, top_p, max_tokens, stop, seed, frequency_penalty, presence_penalty } = params;
+        const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+        switch (api) {
+            case 'openai':
+            case 'azure':
+                // max_tokens is deprecated (and rejected by reasoning models) in favour of max_completion_tokens
+                return defined({ temperature, top_p, max_completion_tokens: max_tokens, stop, seed, frequency_penalty, presence_penalty });
+            case 'openai-responses':
+                return defined({ temperature, top_p, max_output_tokens: max_tokens });
+            case 'anthropic':
+                return defined({ temperature, top_p, max_tokens, stop_sequences: stop });
+            case 'google':
+                return defined({
+                    temperature,
+                    topP: top_p,
+                    maxOutputTokens: max_tokens,
+                    stopSequences: stop,
+                    seed,
+                    frequencyPenalty: frequency_penalty,
+                    presencePenalty: presence_penalty
+                });
+            default:
+                // OpenRouter and local servers take the OpenAI chat completions names
+                return defined(params);
+        }
+    },
+
+    // Base64 data of a PDF attachment (see fileProcessor) for models that read PDFs natively, or null
+    // when the extracted text has to be sent instead
+    getNativePdf(file, model) {
+        if (file.mimeType !== 'application/pdf' || !file.originalContent || !supportsNativePdf(model)) return null;
+        const base64 = file.originalContent.split(',')[1];
+        if (!base64 || base64.length * 0.75 > MAX_NATIVE_PDF_BYTES) return null;
+        return base64;
+    },
+
+    // Image output settings ({ aspectRatio, modalities }) under each API's names.
+    // modalities is ['text', 'image'] or ['image'] for pictures without commentary.
+    formatImageOptions(api, { aspectRatio, modalities } = {}) {
+        if (api === 'google') {
+            return {
+                ...(modalities?.length > 0 && { responseModalities: modalities.map(m => m.toUpperCase()) }),
+                ...(aspectRatio && { imageConfig: { aspectRatio } })
+            };
+        }
+        // OpenRouter
+        return {
+            ...(modalities?.length > 0 && { modalities }),
+            ...(aspectRatio && { image_config: { aspect_ratio: aspectRatio } })
         };
     },
 
-    // --- Parse SSE Stream Response ---
-    async parseStreamResponse(response) {
+    // Reasoning text from an OpenAI-compatible message or delta.
+    // OpenRouter sends `reasoning` (and structured `reasoning_details`), DeepSeek-style APIs `reasoning_content`.
+    getOpenAIReasoning(message) {
+        if (!message) return '';
+        if (typeof message.reasoning === 'string') return message.reasoning;
+        if (typeof message.reasoning_content === 'string') return message.reasoning_content;
+        if (Array.isArray(message.reasoning_details)) {
+            return message.reasoning_details.map(d => {
+                if (d.type === 'reasoning.text') return d.text || '';
+                if (d.type === 'reasoning.summary') return d.summary || '';
+                return ''; // reasoning.encrypted carries no readable text
+            }).join('');
+        }
+        return '';
+    },
+
+    // --- Native Tool Loop (OpenAI-compatible) ---
+    // Runs the calls from one model turn, sends the results back as `tool` messages and continues
+    // until the model answers. Each call is recorded as a step for the message's tool trace.
+    async runOpenAIToolCalls({ provider, baseUrl, apiKey, headers, apiVersion, model, messages, result, options, signal, onDelta, toolRound }) {
+        const calls = result.toolCalls.map(call => {
+            let args;
+            try {
+                args = JSON.parse(call.function?.arguments || '{}');
+            } catch (e) {
+                args = null;
+            }
+            return { name: call.function?.name, args };
+        });
+
+        const steps = await this.executeToolCalls(calls, { webSearchConfig: options.webSearchConfig, pageAccess: options.pageAccess, signal, onDelta });
+        const toolMessages = steps.map((step, i) => ({
+            role: 'tool',
+            tool_call_id: result.toolCalls[i].id,
+            content: step.result
+        }));
+
+        const followUp = await this.sendOpenAICompatible({
+            provider, baseUrl, apiKey, headers, apiVersion, model, options, signal, onDelta,
+            toolRound: toolRound + 1,
+            messages: [
+                ...messages,
+                { role: 'assistant', content: result.content, tool_calls: result.toolCalls },
+                ...toolMessages
+            ]
+        });
+
+        return this.mergeToolRound(result, steps, followUp);
+    },
+
+    // Runs the calls from one model turn in order and returns one trace step per call.
+    // Calls whose arguments could not be parsed (args === null) are reported back as errors.
+    async executeToolCalls(calls, { webSearchConfig, pageAccess, signal, onDelta }) {
+        const steps = [];
+        for (const { name, args } of calls) {
+            // Stop pressed while an earlier tool was running
+            if (signal?.aborted) {
+                throw new DOMException('The operation was aborted.', 'AbortError');
+            }
+            onDelta?.({ status: toolRegistry.getStatus(name, args) });
+            const output = args
+                ? await toolRegistry.execute(name, args, { webSearchConfig, pageAccess, signal })
+                : { result: `Error: Arguments for ${name} are not valid JSON`, isError: true };
+            steps.push({
+                name,
+                args: args || {},
+                result: output.result,
+                isError: output.isError,
+                ...(output.sources?.length > 0 && { sources: output.sources })
+            });
+        }
+        return steps;
+    },
+
+    // Combines a tool-calling turn with the model's follow-up into one answer.
+    // Sources found by the tools are listed with the answer rather than in the persisted trace.
+    mergeToolRound(turn, steps, followUp) {
+        return {
+            content: [turn.content, followUp.content].filter(Boolean).join('\n\n'),
+            reasoning: [turn.reasoning, followUp.reasoning].filter(Boolean).join('\n\n'),
+            attachments: [...(turn.attachments || []), ...(followUp.attachments || [])],
+            usage: this.sumUsage(turn.usage, followUp.usage),
+            sources: mergeSources(turn.sources || [], ...steps.map(s => s.sources || []), followUp.sources || []),
+            toolSteps: [...steps.map(({ sources, ...step }) => step), ...(followUp.toolSteps || [])]
+        };
+    },
+
+    // Adds up the numeric usage fields of two responses (tokens and OpenRouter cost)
+    sumUsage(a = {}, b = {}) {
+        const total = { ...a, ...b };
+        Object.keys(total).forEach(key => {
+            if (typeof a[key] === 'number' && typeof b[key] === 'number') {
+                total[key] = a[key] + b[key];
+            }
+        });
+        return total;
+    },
+
+    // --- Local Model Tool Execution ---
+    // Tools offered to a local model: every available registered tool when tools are enabled,
+    // plus web search whenever the Globe toggle is on (so a missing search key is reported back).
+    getLocalTools({ webSearch, enableTools, webSearchConfig, pageAccess }) {
+        const tools = enableTools ? toolRegistry.list({ webSearchConfig, pageAccess }) : [];
+        if (webSearch && !tools.some(t => t.name === 'web_search')) {
+            tools.unshift(toolRegistry.get('web_search'));
+        }
+        return tools;
+    },
+
+    // Runs the tool a local model asked for and sends the output back in a user turn.
+    // The model may call further tools until options.maxToolRounds is reached.
+    async runLocalToolCall({ provider, baseUrl, apiKey, headers, model, messages, turn, rawContent, toolCall, options, signal, onDelta, toolRound }) {
+        console.log('[ChatService] Local Model Tool Call:', toolCall);
+        const maxToolRounds = options.maxToolRounds ?? DEFAULT_MAX_TOOL_ROUNDS;
+
+        const steps = await this.executeToolCalls(
+            [{ name: manualToolAdapter.resolveToolName(toolCall.tool), args: toolCall.args }],
+            { webSearchConfig: options.webSearchConfig, pageAccess: options.pageAccess, signal, onDelta }
+        );
+
+        const toolOutput = manualToolAdapter.formatToolResult(toolCall.tool, steps[0].result, {
+            isLastRound: toolRound + 1 >= maxToolRounds
+        });
+
+        const followUp = await this.sendOpenAICompatible({
+            provider, baseUrl, apiKey, headers, model, options, signal, onDelta,
+            toolRound: toolRound + 1,
+            messages: [
+                ...messages,
+                { role: 'assistant', content: rawContent },
+                { role: 'user', content: toolOutput }
+            ]
+        });
+
+        return this.mergeToolRound(turn, steps, followUp);
+    },
+
+    // --- Retry With Backoff ---
+    // Sends the request again while the provider answers with a retryable status. Nothing has been
+    // generated at that point, so the request is safe to repeat. The wait honours Retry-After
+    // (seconds or an HTTP date, sent by OpenAI and Anthropic) and otherwise backs off exponentially
+    // with jitter. The last response is returned as-is so the caller reports the error.
+    // `statuses` narrows the retried statuses for requests that are not safe to repeat after a server error.
+    // A rejected fetch (the endpoint could not be reached) is tagged as `networkError` for the fallback chain.
+    async fetchWithRetry(url, init, { onDelta, statuses = RETRYABLE_STATUSES } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(url, init);
+            } catch (err) {
+                if (err?.name !== 'AbortError') err.networkError = true;
+                throw err;
+            }
+            if (response.ok || !statuses.includes(response.status) || attempt >= MAX_ATTEMPTS) {
+                return response;
+            }
+
+            const delay = this.getRetryDelay(response, attempt);
+            if (delay > MAX_RETRY_DELAY_MS) {
+                return response;
+            }
+
+            // The failed attempt's body is never read: release its connection before waiting
+            response.body?.cancel().catch(() => { });
+
+            console.warn(`[ChatService] ${response.status} from provider, retrying in ${delay}ms`);
+            onDelta?.({ retryStatus: `Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${MAX_ATTEMPTS})` });
+            await this.waitForRetry(delay, init.signal);
+            onDelta?.({ retryStatus: null });
+        }
+    },
+
+    // Milliseconds to wait before the next attempt
+    getRetryDelay(response, attempt) {
+        const retryAfterMs = Number(response.headers?.get?.('retry-after-ms'));
+        if (retryAfterMs > 0) return retryAfterMs;
+
+        const retryAfter = response.headers?.get?.('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+        }
+
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const backoff = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    },
+
+    // Resolves after `ms`, or rejects with an AbortError as soon as Stop is pressed
+    waitForRetry(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    // --- Read SSE Stream ---
+    // Calls onData with the payload of every `data:` line until the stream ends or sends [DONE].
+    async readSSE(response, onData) {
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
-        let content = '';
-        let usage = { total_tokens: 0 };
-        const attachments = [];
 
         try {
             while (true) {
@@ -296,44 +790,93 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
                     const line = buffer.slice(0, lineEnd).trim();
                     buffer = buffer.slice(lineEnd + 1);
 
-                    // Skip comments (OpenRouter processing indicators)
-                    if (line.startsWith(':')) continue;
-
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') break;
+                    // Skip comments (OpenRouter processing indicators) and event names
+                    if (!line.startsWith('data:')) continue;
 
-                        try {
-                            const parsed = JSON.parse(data);
-
-                            // Check for streaming error
-                            if (parsed.error) {
-                                throw new Error(parsed.error.message || 'Stream error');
-                            }
+                    const data = line.slice(5).trim();
+                    if (data === '[DONE]') return;
 
-                            // Accumulate content from delta
-                            const delta = parsed.choices?.[0]?.delta?.content;
-                            if (delta) {
-                                content += delta;
-                            }
-
-                            // Capture usage from final chunk
-                            if (parsed.usage) {
-                                usage = parsed.usage;
-                            }
-                        } catch (e) {
-                            if (e.message !== 'Stream error') {
-                                // Ignore JSON parse errors for malformed chunks
-                            } else {
-                                throw e;
-                            }
-                        }
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch (e) {
+                        // Ignore JSON parse errors for malformed chunks
+                        continue;
                     }
+
+                    onData(parsed);
                 }
             }
         } finally {
             reader.cancel();
         }
+    },
+
+    // --- Parse SSE Stream Response (OpenAI-compatible) ---
+    async parseStreamResponse(response, onDelta, { parseThinkTags = false } = {}) {
+        let content = '';
+        let reasoning = '';
+        let usage = { total_tokens: 0 };
+        const attachments = [];
+        const toolCalls = [];
+        const annotations = [];
+        const thinkStream = parseThinkTags ? createThinkTagStream() : null;
+
+        const emit = (piece) => {
+            if (piece.reasoning) {
+                reasoning += piece.reasoning;
+                onDelta?.({ reasoning: piece.reasoning });
+            }
+            if (piece.content) {
+                content += piece.content;
+                onDelta?.({ content: piece.content });
+            }
+        };
+
+        await this.readSSE(response, (parsed) => {
+            // Check for streaming error
+            if (parsed.error) {
+                throw new Error(parsed.error.message || 'Stream error');
+            }
+
+            // Accumulate reasoning and content from delta
+            const delta = parsed.choices?.[0]?.delta;
+            const reasoningDelta = this.getOpenAIReasoning(delta);
+            if (reasoningDelta) {
+                emit({ reasoning: reasoningDelta });
+            }
+            if (delta?.content) {
+                emit(thinkStream ? thinkStream.push(delta.content) : { content: delta.content });
+            }
+
+            // Tool calls arrive in fragments keyed by index; arguments are streamed as JSON text
+            delta?.tool_calls?.forEach(fragment => {
+                const index = fragment.index ?? toolCalls.length;
+                if (!toolCalls[index]) {
+                    toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                }
+                const call = toolCalls[index];
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.function.name += fragment.function.name;
+                if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            });
+
+            // Web search citations (OpenRouter sends them with the last content chunks)
+            if (Array.isArray(delta?.annotations)) {
+                annotations.push(...delta.annotations);
+            }
+
+            // Capture usage from final chunk
+            if (parsed.usage) {
+                usage = parsed.usage;
+            }
+        });
+
+        if (thinkStream) {
+            emit(thinkStream.flush());
+            content = content.trim();
+            reasoning = reasoning.trim();
+        }
 
         // Scan content for markdown images
         const markdownImageRegex = /!\[.*?\]\((.*?)\)/g;
@@ -349,42 +892,179 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             }
         }
 
-        return {
+        const result = {
             content: content,
+            reasoning: reasoning,
             attachments: attachments,
-            usage: usage
+            usage: usage,
+            sources: this.getOpenAISources(annotations)
+        };
+        if (toolCalls.length > 0) {
+            result.toolCalls = toolCalls.filter(Boolean);
+        }
+        return result;
+    },
+
+    // --- OpenAI Images API (gpt-image, dall-e) ---
+    // The last user message is the prompt. With editLastImage the chat's latest image (generated or
+    // uploaded) is sent to the edits endpoint instead; models without edit support always generate.
+    async sendOpenAIImages({ baseUrl, apiKey, model, messages, options, signal, onDelta }) {
+        const capabilities = getOpenAIImageOptions(model);
+        const { size, quality, background, editLastImage } = options.imageOptions || {};
+        const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+        const editSource = editLastImage && capabilities.canEdit ? this.findLastImage(messages) : null;
+
+        const settings = {
+            model,
+            prompt,
+            n: 1,
+            ...(capabilities.sizes.includes(size) && { size }),
+            ...(capabilities.qualities.includes(quality) && { quality }),
+            ...(capabilities.backgrounds.includes(background) && { background }),
+            // gpt-image always returns base64; dall-e would return a link that expires after an hour
+            ...(/dall-e/i.test(model) && { response_format: 'b64_json' })
+        };
+
+        onDelta?.({ status: editSource ? 'Editing image...' : 'Generating image...' });
+
+        const headers = { "Authorization": `Bearer ${apiKey}` };
+        let body;
+        if (editSource) {
+            body = new FormData();
+            Object.entries(settings).forEach(([key, value]) => body.append(key, String(value)));
+            const image = await this.imageToBlob(editSource, signal);
+            body.append('image', image, `image.${IMAGE_EXTENSIONS[image.type] || 'png'}`);
+        } else {
+            headers["Content-Type"] = "application/json";
+            body = JSON.stringify(settings);
+        }
+
+        const url = `${baseUrl.replace(/\/$/, '')}/images/${editSource ? 'edits' : 'generations'}`;
+        // A server error may come after the image was generated (and billed), so only rate limits are retried
+        const response = await this.fetchWithRetry(url, { method: "POST", headers, body, signal }, { onDelta, statuses: [429] });
+
+        if (!response.ok) {
+            const errText = await response.text();
+            let message = errText || response.statusText;
+            try {
+                message = JSON.parse(errText).error?.message || message;
+            } catch (e) {
+                // Keep raw text
+            }
+            throw new Error(`OpenAI Images API Error ${response.status}: ${message}`);
+        }
+
+        const data = await response.json();
+        const mimeType = `image/${data.output_format === 'jpeg' ? 'jpeg' : (data.output_format || 'png')}`;
+        const images = (data.data || []).filter(img => img.b64_json || img.url);
+        if (images.length === 0) {
+            throw new Error('No image returned from OpenAI Images API');
+        }
+
+        const attachments = images.map((img, i) => ({
+            type: 'image',
+            url: img.b64_json ? `data:${mimeType};base64,${img.b64_json}` : img.url,
+            mimeType,
+            name: `generated_image_${i + 1}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`
+        }));
+
+        // dall-e-3 rewrites the prompt; showing it explains what was actually drawn.
+        // The images are only attachments (shown under the answer), so they are never resent as text.
+        const revisedPrompt = images.find(img => img.revised_prompt)?.revised_prompt;
+        return {
+            content: revisedPrompt ? `*${revisedPrompt}*` : '',
+            attachments,
+            usage: {
+                prompt_tokens: data.usage?.input_tokens || 0,
+                completion_tokens: data.usage?.output_tokens || 0,
+                total_tokens: data.usage?.total_tokens || 0
+            }
         };
     },
 
+    // Latest image in the conversation: a generated attachment or an uploaded file (original resolution)
+    findLastImage(messages) {
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const m = messages[i];
+            const images = [
+                ...(m.attachments || []).filter(a => a.type === 'image').map(a => a.url),
+                ...(m.files || []).filter(f => f.type === 'image').map(f => f.originalContent || f.content)
+            ].filter(Boolean);
+            if (images.length > 0) return images[images.length - 1];
+        }
+        return null;
+    },
+
+    // Data URLs are decoded locally; other image links are downloaded
+    async imageToBlob(source, signal) {
+        if (!source.startsWith('data:')) {
+            const response = await fetch(source, { signal });
+            if (!response.ok) throw new Error(`Could not load the image to edit: ${response.status}`);
+            return response.blob();
+        }
+        const [meta, base64] = source.split(',');
+        const type = meta.split(':')[1].split(';')[0];
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return new Blob([bytes], { type });
+    },
+
     // --- OpenAI Responses API (Web Search) ---
-    async sendOpenAIResponses({ baseUrl, apiKey, model, messages, options }) {
+    async sendOpenAIResponses({ baseUrl, apiKey, model, messages, options, signal, onDelta }) {
         const url = `${baseUrl.replace(/\/$/, '')}/responses`;
 
-        // Use the last user message as the input prompt
-        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
-        const input = lastUserMessage ? lastUserMessage.content : 'Hello';
+        const systemMessage = messages.find(m => m.role === 'system');
 
         const payload = {
             model: model,
             tools: [{ type: "web_search" }],
-            input: input
+            input: this.formatResponsesInput(messages.filter(m => m.role !== 'system'))
         };
 
-        const response = await fetch(url, {
+        if (systemMessage) {
+            payload.instructions = systemMessage.content;
+        }
+
+        Object.assign(payload, this.formatGenerationParams('openai-responses', this.splitGenerationParams(options).params));
+
+        if (options.reasoningEffort) {
+            payload.reasoning = { effort: options.reasoningEffort };
+        }
+
+        if (options.jsonSchema) {
+            payload.text = {
+                format: {
+                    type: 'json_schema',
+                    name: options.jsonSchema.name || 'response',
+                    schema: options.jsonSchema.schema,
+                    ...(supportsStrictMode(options.jsonSchema.schema) && { strict: true })
+                }
+            };
+        }
+
+        // Stream when cancellable so the Stop button ends the search and the answer early
+        const useStreaming = Boolean(signal);
+        if (useStreaming) {
+            payload.stream = true;
+        }
+
+        const response = await this.fetchWithRetry(url, {
             method: "POST",
             headers: {
                 "Content-Type": "application/json",
                 "Authorization": `Bearer ${apiKey}`
             },
-            body: JSON.stringify(payload)
-        });
+            body: JSON.stringify(payload),
+            signal
+        }, { onDelta });
 
         if (!response.ok) {
             const errText = await response.text();
             throw new Error(`OpenAI Responses API Error ${response.status}: ${errText}`);
         }
 
-        const data = await response.json();
+        const data = useStreaming
+            ? await this.parseResponsesStream(response, onDelta)
+            : await response.json();
 
         // Fallback: Check if the endpoint returned a standard Chat Completion response (choices array)
         if (data.choices && data.choices.length > 0 && data.choices[0].message) {
@@ -396,6 +1076,7 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
         }
 
         let content = '';
+        let sources = [];
         const items = Array.isArray(data) ? data : (data.output || []);
 
         // Strategy 1: Look for "message" items (Standard Responses API)
@@ -404,17 +1085,13 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             if (Array.isArray(messageItem.content)) {
                 messageItem.content.forEach(c => {
                     if (c.type === 'output_text') {
-                        content += c.text;
-
-                        // Handle annotations (citations)
-                        if (c.annotations && c.annotations.length > 0) {
-                            content += '\n\n**Sources:**\n';
-                            c.annotations.forEach(a => {
-                                if (a.type === 'url_citation') {
-                                    content += `- [${a.title || a.url}](${a.url})\n`;
-                                }
-                            });
-                        }
+                        // Citations mark the end of the text they support (end_index); a JSON answer is kept intact
+                        const citations = (c.annotations || []).filter(a => a.type === 'url_citation');
+                        sources = mergeSources(sources, this.getOpenAISources(citations));
+                        content += options.jsonSchema ? c.text : insertCitations(c.text, citations.map(a => ({
+                            index: a.end_index ?? c.text.length,
+                            citation: formatCitation(sources, sources.findIndex(s => s.url === a.url))
+                        })));
                     }
                 });
             } else if (typeof messageItem.content === 'string') {
@@ -432,6 +1109,7 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
         if (!content && items.some(i => i.type === 'search_result')) {
             const results = items.filter(i => i.type === 'search_result');
             content = "**Search Results:**\n\n" + results.map(r => `- [${r.title || r.url}](${r.url}): ${r.snippet || ''}`).join('\n\n');
+            sources = mergeSources(sources, results.map(r => ({ title: r.title, url: r.url, snippet: r.snippet })));
         }
 
         // If no message found, look for raw text or fallback
@@ -442,12 +1120,85 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
         return {
             content: content,
             attachments: [],
-            usage: { total_tokens: 0 }
+            usage: this.formatResponsesUsage(data.usage),
+            sources: sources
+        };
+    },
+
+    // Chat history as Responses API input items. Earlier assistant answers go back as plain text;
+    // images become input_image parts and text files are appended to the message text.
+    formatResponsesInput(messages) {
+        return messages.map(m => {
+            if (m.role !== 'user' || !m.files || m.files.length === 0) {
+                return { role: m.role, content: m.content };
+            }
+
+            let text = m.content;
+            const images = [];
+            m.files.forEach(f => {
+                if (f.type === 'image') {
+                    images.push({ type: 'input_image', image_url: f.content });
+                } else {
+                    text += `\n\n--- ${f.name} ---\n${f.content}`;
+                }
+            });
+
+            return {
+                role: m.role,
+                content: [
+                    ...(text.trim() ? [{ type: 'input_text', text }] : []),
+                    ...images
+                ]
+            };
+        });
+    },
+
+    // --- Parse OpenAI Responses API SSE Stream ---
+    // Text deltas are forwarded as they arrive; the final
+    // `response.completed` event carries the full response, which is returned for parsing.
+    async parseResponsesStream(response, onDelta) {
+        let completed = null;
+
+        await this.readSSE(response, (event) => {
+            switch (event.type) {
+                case 'response.output_text.delta':
+                    onDelta?.({ content: event.delta });
+                    break;
+                case 'response.web_search_call.searching':
+                    onDelta?.({ status: 'Searching the web...' });
+                    break;
+                case 'response.completed':
+                case 'response.incomplete':
+                    completed = event.response;
+                    break;
+                case 'response.failed':
+                    throw new Error(`OpenAI Responses API Error: ${event.response?.error?.message || 'Response failed'}`);
+                case 'error':
+                    throw new Error(`OpenAI Responses API Error: ${event.message || event.error?.message || 'Stream error'}`);
+                default:
+                    break;
+            }
+        });
+
+        if (!completed) {
+            throw new Error('OpenAI Responses API stream ended without a response');
+        }
+        return completed;
+    },
+
+    // Responses API usage ({ input_tokens, output_tokens, output_tokens_details }) in chat completions terms
+    formatResponsesUsage(usage) {
+        if (!usage) return { total_tokens: 0 };
+        return {
+            prompt_tokens: usage.input_tokens || 0,
+            completion_tokens: usage.output_tokens || 0,
+            reasoning_tokens: usage.output_tokens_details?.reasoning_tokens || 0,
+            total_tokens: usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0)
         };
     },
 
     // --- Anthropic Adapter ---
-    async sendAnthropic({ baseUrl, apiKey, model, messages, options, signal }) {
+    async sendAnthropic({ baseUrl, apiKey, model, messages, options, signal, onDelta, toolRound = 0 }) {
         const url = `${(baseUrl || 'https://api.anthropic.com').replace(/\/$/, '')}/v1/messages`;
 
         // Filter out system messages, they go to top-level parameter
@@ -456,6 +1207,10 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
 
         // Format for Claude: 
         // content: string | [{ type: 'text', text: '...' }, { type: 'image', source: { type: 'base64', media_type, data } }]
+        // Content that is already an array of blocks (tool loop turns) is passed through unchanged.
+        // Large text attachments (page context, PDFs) get their own block so they can be cached;
+        // PDFs go as document blocks when the model reads them natively.
+        const attachmentBlocks = [];
         const formattedMessages = conversationMessages.map(m => {
             if (!m.files || m.files.length === 0) {
                 return { role: m.role, content: m.content };
@@ -466,6 +1221,7 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             ];
 
             m.files.forEach(f => {
+                const pdfData = this.getNativePdf(f, model);
                 if (f.type === 'image') {
                     // data:image/png;base64,.....
                     // Use 'content' which is now the Compressed/Low-Res version
@@ -480,12 +1236,25 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
                             data: base64
                         }
                     });
+                } else if (pdfData) {
+                    const block = {
+                        type: 'document',
+                        source: { type: 'base64', media_type: 'application/pdf', data: pdfData },
+                        title: f.name
+                    };
+                    attachmentBlocks.push(block);
+                    contentParts.push(block);
+                } else if (f.content.length >= CACHE_MIN_CHARS) {
+                    const block = { type: 'text', text: `--- ${f.name} ---\n${f.content}` };
+                    attachmentBlocks.push(block);
+                    contentParts.push(block);
                 } else {
                     contentParts[0].text += `\n\n--- ${f.name} ---\n${f.content}`;
                 }
             });
 
-            return { role: m.role, content: contentParts };
+            // Claude rejects empty text blocks (e.g. an attachment sent without a question)
+            return { role: m.role, content: contentParts.filter(part => part.type !== 'text' || part.text.trim()) };
         });
 
         const headers = {
@@ -495,15 +1264,28 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             "anthropic-dangerous-direct-browser-access": "true" // Required for browser usage
         };
 
-        const { webSearch, ...restOptions } = options;
+        const { params, rest } = this.splitGenerationParams(options);
+        const { webSearch, webSearchConfig, pageAccess, reasoningEffort, enableTools, maxToolRounds = DEFAULT_MAX_TOOL_ROUNDS, jsonSchema, imageOptions, ...restOptions } = rest;
 
         const payload = {
             model: model,
-            max_tokens: 4096,
+            max_tokens: 4096, // Required by Claude; the parameters drawer can raise it
             messages: formattedMessages,
-            ...restOptions
+            ...restOptions,
+            ...this.formatGenerationParams('anthropic', params)
         };
 
+        // Forcing the structured output tool (JSON mode) is not allowed together with thinking
+        const thinkingBudget = jsonSchema ? null : THINKING_BUDGETS.anthropic[reasoningEffort];
+        if (thinkingBudget) {
+            // max_tokens must exceed the budget, leaving room for the answer itself
+            payload.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+            payload.max_tokens = Math.max(payload.max_tokens, thinkingBudget + 4096);
+            // Claude rejects sampling changes while thinking
+            delete payload.temperature;
+            delete payload.top_p;
+        }
+
         if (webSearch) {
             // For built-in web search, likely we just need the name.
             // If we provide a schema, the model treats it as a client-side tool it must "call".
@@ -515,54 +1297,283 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
             }];
         }
 
+        // Client-side tools from the registry; Anthropic's own web search wins over ours when both are on.
+        const clientTools = enableTools
+            ? toolRegistry.toAnthropicTools({ webSearchConfig, pageAccess, signal }).filter(t => !(webSearch && t.name === 'web_search'))
+            : [];
+        if (clientTools.length > 0) {
+            payload.tools = [...(payload.tools || []), ...clientTools];
+            if (toolRound >= maxToolRounds) {
+                payload.tool_choice = { type: 'none' };
+            }
+        }
+
+        // JSON mode: Claude has no response format, so it must answer by calling a tool whose input schema is
+        // the schema. While other tools can still be used it may call any tool (and answer with ours last);
+        // on the final round, or without other tools, our tool is forced.
+        if (jsonSchema) {
+            const canUseOtherTools = Boolean(payload.tools) && !(clientTools.length > 0 && toolRound >= maxToolRounds);
+            payload.tools = [...(payload.tools || []), {
+                name: STRUCTURED_OUTPUT_TOOL,
+                description: 'Returns the answer as structured data matching the schema. Call it once you have everything needed for the answer.',
+                input_schema: jsonSchema.schema
+            }];
+            payload.tool_choice = canUseOtherTools ? { type: 'any' } : { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+        }
+
+        // Cache breakpoints cover everything before them, so a large system prompt and the most
+        // recent large attachments are marked; later turns then read that prefix from the cache
+        let breakpoints = MAX_CACHE_BREAKPOINTS;
         if (systemMessage) {
-            payload.system = systemMessage.content;
+            if (systemMessage.content.length >= CACHE_MIN_CHARS) {
+                payload.system = [{ type: 'text', text: systemMessage.content, cache_control: { type: 'ephemeral' } }];
+                breakpoints--;
+            } else {
+                payload.system = systemMessage.content;
+            }
+        }
+        attachmentBlocks.slice(-breakpoints).forEach(block => {
+            block.cache_control = { type: 'ephemeral' };
+        });
+
+        // Stream when cancellable so the Stop button drops the connection mid-answer
+        const useStreaming = Boolean(signal);
+        if (useStreaming) {
+            payload.stream = true;
         }
 
-        const response = await fetch(url, {
+        const response = await this.fetchWithRetry(url, {
             method: "POST",
             headers,
             body: JSON.stringify(payload),
             signal
-        });
+        }, { onDelta });
 
-        const data = await response.json();
+        if (useStreaming) {
+            if (!response.ok) {
+                const errText = await response.text();
+                let message = errText || response.statusText;
+                try {
+                    message = JSON.parse(errText).error?.message || message;
+                } catch (e) {
+                    // Keep raw text
+                }
+                throw new Error(`Anthropic API Error ${response.status}: ${message}`);
+            }
+        }
+
+        const data = useStreaming
+            ? await this.parseAnthropicStream(response, onDelta)
+            : await response.json();
 
         if (data.error) {
             throw new Error(data.error.message || 'Anthropic API Error');
         }
 
-        // Anthropic returns { content: [{ type: 'text', text: '...' }, { type: 'tool_use', ... }] }
-        let content = '';
-        if (data.content) {
-            content = data.content.map(c => {
-                if (c.type === 'text') return c.text;
-                if (c.type === 'tool_use') {
-                    return `[Tool Use: ${c.name} Input: ${JSON.stringify(c.input)}]`;
-                }
-                return '';
-            }).join('');
+        // JSON mode ends with the call of the structured output tool
+        const structured = data.content?.find(b => b.type === 'tool_use' && b.name === STRUCTURED_OUTPUT_TOOL);
+        if (jsonSchema && structured) {
+            return {
+                content: JSON.stringify(structured.input, null, 2),
+                usage: this.formatAnthropicUsage(data.usage),
+                sources: this.getAnthropicSources(data.content)
+            };
         }
 
+        // Claude paused to call one of our tools: run it and continue until it ends its turn.
+        // Server tools (web_search_20250305) are executed by Anthropic and never stop here.
+        if (clientTools.length > 0 && data.stop_reason === 'tool_use') {
+            return this.runAnthropicToolCalls({ baseUrl, apiKey, model, messages, data, options, signal, onDelta, toolRound });
+        }
+
+        const sources = this.getAnthropicSources(data.content);
         return {
-            content,
-            usage: {
-                input_tokens: data.usage?.input_tokens || 0,
-                output_tokens: data.usage?.output_tokens || 0,
-                total_tokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+            content: this.formatAnthropicContent(data.content, sources),
+            reasoning: this.formatAnthropicReasoning(data.content),
+            usage: this.formatAnthropicUsage(data.usage),
+            sources: sources
+        };
+    },
+
+    // --- Native Tool Loop (Anthropic) ---
+    // Sends tool_result blocks back in a user turn. The assistant turn is replayed with all of its
+    // blocks, since Claude requires thinking blocks (with signatures) to precede their tool_use.
+    async runAnthropicToolCalls({ baseUrl, apiKey, model, messages, data, options, signal, onDelta, toolRound }) {
+        const toolUses = data.content.filter(b => b.type === 'tool_use');
+        const steps = await this.executeToolCalls(
+            toolUses.map(b => ({ name: b.name, args: b.input || {} })),
+            { webSearchConfig: options.webSearchConfig, pageAccess: options.pageAccess, signal, onDelta }
+        );
+
+        const toolResults = steps.map((step, i) => ({
+            type: 'tool_result',
+            tool_use_id: toolUses[i].id,
+            content: step.result,
+            ...(step.isError && { is_error: true })
+        }));
+
+        const followUp = await this.sendAnthropic({
+            baseUrl, apiKey, model, options, signal, onDelta,
+            toolRound: toolRound + 1,
+            messages: [
+                ...messages,
+                { role: 'assistant', content: data.content },
+                { role: 'user', content: toolResults }
+            ]
+        });
+
+        const sources = this.getAnthropicSources(data.content);
+        const turn = {
+            // In JSON mode the answer is only the structured output, without the text before tool calls
+            content: options.jsonSchema ? '' : this.formatAnthropicContent(data.content.filter(b => b.type !== 'tool_use'), sources),
+            reasoning: this.formatAnthropicReasoning(data.content),
+            usage: this.formatAnthropicUsage(data.usage),
+            sources: sources
+        };
+        return this.mergeToolRound(turn, steps, followUp);
+    },
+
+    // --- Parse Anthropic Messages SSE Stream ---
+    // Reassembles the message from its events so it has the same shape as a non-streaming response.
+    async parseAnthropicStream(response, onDelta) {
+        const blocks = [];
+        const usage = {};
+        let stopReason = null;
+
+        await this.readSSE(response, (event) => {
+            switch (event.type) {
+                case 'message_start':
+                    Object.assign(usage, event.message?.usage);
+                    break;
+                case 'content_block_start':
+                    blocks[event.index] = { ...event.content_block };
+                    if (blocks[event.index].type === 'tool_use') {
+                        // Input arrives as partial JSON strings
+                        blocks[event.index].partialJson = '';
+                    }
+                    break;
+                case 'content_block_delta': {
+                    const block = blocks[event.index];
+                    if (!block) break;
+                    if (event.delta.type === 'text_delta') {
+                        block.text = (block.text || '') + event.delta.text;
+                        onDelta?.({ content: event.delta.text });
+                    } else if (event.delta.type === 'thinking_delta') {
+                        block.thinking = (block.thinking || '') + event.delta.thinking;
+                        onDelta?.({ reasoning: event.delta.thinking });
+                    } else if (event.delta.type === 'signature_delta') {
+                        block.signature = event.delta.signature;
+                    } else if (event.delta.type === 'input_json_delta') {
+                        block.partialJson = (block.partialJson || '') + event.delta.partial_json;
+                    } else if (event.delta.type === 'citations_delta') {
+                        block.citations = [...(block.citations || []), event.delta.citation];
+                    }
+                    break;
+                }
+                case 'content_block_stop': {
+                    const block = blocks[event.index];
+                    if (block && block.partialJson !== undefined) {
+                        try {
+                            block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+                        } catch (e) {
+                            block.input = {};
+                        }
+                        delete block.partialJson;
+                    }
+                    break;
+                }
+                case 'message_delta':
+                    // Final usage event carries the output token count
+                    Object.assign(usage, event.usage);
+                    stopReason = event.delta?.stop_reason || stopReason;
+                    break;
+                case 'error':
+                    throw new Error(event.error?.message || 'Anthropic stream error');
+                default:
+                    break;
             }
+        });
+
+        return {
+            content: blocks.filter(Boolean),
+            usage: usage,
+            stop_reason: stopReason
+        };
+    },
+
+    // Anthropic returns { content: [{ type: 'text', text: '...' }, { type: 'tool_use', ... }] }
+    // Text blocks backed by web search citations get inline links to their sources.
+    formatAnthropicContent(contentBlocks, sources = []) {
+        if (!contentBlocks) return '';
+        return contentBlocks.map(c => {
+            if (c.type === 'text') {
+                const indexes = [...new Set((c.citations || [])
+                    .map(citation => sources.findIndex(s => s.url === citation.url))
+                    .filter(i => i >= 0))];
+                if (indexes.length === 0) return c.text;
+                return c.text + indexes.map(i => ` ${formatCitation(sources, i)}`).join('');
+            }
+            if (c.type === 'tool_use') {
+                return `[Tool Use: ${c.name} Input: ${JSON.stringify(c.input)}]`;
+            }
+            return '';
+        }).join('');
+    },
+
+    // Sources from server-side web search: the results Claude read (web_search_tool_result)
+    // and the passages it cited in its text blocks (cited_text becomes the snippet)
+    getAnthropicSources(contentBlocks) {
+        if (!contentBlocks) return [];
+        const cited = contentBlocks
+            .filter(c => c.type === 'text' && c.citations)
+            .flatMap(c => c.citations)
+            .filter(citation => citation.type === 'web_search_result_location')
+            .map(citation => ({ title: citation.title, url: citation.url, snippet: citation.cited_text }));
+        const results = contentBlocks
+            .filter(c => c.type === 'web_search_tool_result' && Array.isArray(c.content))
+            .flatMap(c => c.content)
+            .filter(r => r.type === 'web_search_result')
+            .map(r => ({ title: r.title, url: r.url }));
+        return mergeSources(cited, results);
+    },
+
+    // Extended thinking arrives as separate `thinking` blocks (redacted_thinking has no readable text)
+    formatAnthropicReasoning(contentBlocks) {
+        if (!contentBlocks) return '';
+        return contentBlocks
+            .filter(c => c.type === 'thinking' && c.thinking)
+            .map(c => c.thinking)
+            .join('\n\n');
+    },
+
+    // input_tokens excludes cached prompt tokens, which are reported (and billed) separately
+    formatAnthropicUsage(usage) {
+        const cacheRead = usage?.cache_read_input_tokens || 0;
+        const cacheWrite = usage?.cache_creation_input_tokens || 0;
+        return {
+            input_tokens: usage?.input_tokens || 0,
+            output_tokens: usage?.output_tokens || 0,
+            total_tokens: (usage?.input_tokens || 0) + (usage?.output_tokens || 0) + cacheRead + cacheWrite,
+            ...(cacheRead > 0 && { cache_read_tokens: cacheRead }),
+            ...(cacheWrite > 0 && { cache_write_tokens: cacheWrite })
         };
     },
 
     // --- Google Gemini Adapter ---
-    async sendGoogle({ baseUrl, apiKey, model, messages, options, signal }) {
+    async sendGoogle({ baseUrl, apiKey, model, messages, options, signal, onDelta, toolRound = 0 }) {
         // https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=YOUR_API_KEY
+        // Streaming: .../models/gemini-pro:streamGenerateContent?alt=sse&key=YOUR_API_KEY
+
+        // Stream when cancellable so the Stop button ends generation (and billing) early
+        const useStreaming = Boolean(signal);
 
         // Default URL if not provided or custom
         const base = baseUrl || 'https://generativelanguage.googleapis.com';
-        const url = `${base.replace(/\/$/, '')}/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const url = useStreaming
+            ? `${base.replace(/\/$/, '')}/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+            : `${base.replace(/\/$/, '')}/v1beta/models/${model}:generateContent?key=${apiKey}`;
 
-        // Google Content Format: { parts: [{ text: "..." }, { inline_data: { mime_type, data } }] }
+        // Google Content Format: { parts: [{ text: "..." }, { inline_data: { mime_type, data } }] } (images and native PDFs)
         // Roles: 'user', 'model' (instead of assistant)
 
         const contents = messages.map(m => {
@@ -573,12 +1584,16 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
 
             if (m.role === 'system') return null; // We'll handle system separately
 
+            // Raw parts from the tool loop (functionCall / functionResponse turns)
+            if (m.parts) return { role, parts: m.parts };
+
             const parts = [
                 { text: m.content }
             ];
 
             if (m.files) {
                 m.files.forEach(f => {
+                    const pdfData = this.getNativePdf(f, model);
                     if (f.type === 'image') {
                         const [meta, base64] = f.content.split(',');
                         const mimeType = meta.split(':')[1].split(';')[0];
@@ -588,6 +1603,13 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
                                 data: base64
                             }
                         });
+                    } else if (pdfData) {
+                        parts.push({
+                            inline_data: {
+                                mime_type: 'application/pdf',
+                                data: pdfData
+                            }
+                        });
                     } else {
                         parts[0].text += `\n\n--- ${f.name} ---\n${f.content}`;
                     }
@@ -599,54 +1621,256 @@ Windows/Linux: Run 'OLLAMA_ORIGINS="*" ollama serve'`);
 
         const systemMessage = messages.find(m => m.role === 'system');
 
-        const { webSearch, webSearchConfig, ...generationConfig } = options;
+        const { params, rest } = this.splitGenerationParams(options);
+        const { webSearch, webSearchConfig, pageAccess, reasoningEffort, enableTools, maxToolRounds = DEFAULT_MAX_TOOL_ROUNDS, jsonSchema, imageOptions, ...generationConfig } = rest;
 
         const payload = {
             contents: contents,
             generationConfig: {
-                ...generationConfig
+                ...generationConfig,
+                ...this.formatGenerationParams('google', params)
             }
         };
 
+        const thinkingBudget = THINKING_BUDGETS.google[reasoningEffort];
+        if (thinkingBudget) {
+            payload.generationConfig.thinkingConfig = { thinkingBudget, includeThoughts: true };
+        }
+
+        if (imageOptions) {
+            Object.assign(payload.generationConfig, this.formatImageOptions('google', imageOptions));
+        }
+
+        if (jsonSchema) {
+            payload.generationConfig.responseMimeType = 'application/json';
+            payload.generationConfig.responseSchema = toGeminiSchema(jsonSchema.schema);
+        }
+
         if (webSearch) {
             payload.tools = [{ google_search: {} }];
         }
 
+        // Registered tools as function declarations. Gemini rejects built-in search combined with
+        // function calling, so Google Search takes precedence when both are on.
+        const functionDeclarations = enableTools && !webSearch
+            ? toolRegistry.toGeminiFunctionDeclarations({ webSearchConfig, pageAccess, signal })
+            : [];
+        if (functionDeclarations.length > 0) {
+            payload.tools = [{ functionDeclarations }];
+            if (toolRound >= maxToolRounds) {
+                payload.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+            }
+        }
+
         if (systemMessage) {
             payload.system_instruction = {
                 parts: [{ text: systemMessage.content }]
             };
         }
 
-        const response = await fetch(url, {
+        const response = await this.fetchWithRetry(url, {
             method: "POST",
             headers: {
                 "Content-Type": "application/json"
             },
             body: JSON.stringify(payload),
             signal
-        });
+        }, { onDelta });
 
         if (!response.ok) {
             const errText = await response.text();
             throw new Error(`Google API Error: ${response.status} - ${errText}`);
         }
 
-        const data = await response.json();
+        let parts;
+        let usageMetadata;
+        let groundingMetadata;
+
+        if (useStreaming) {
+            ({ parts, usageMetadata, groundingMetadata } = await this.parseGoogleStream(response, onDelta));
+        } else {
+            const data = await response.json();
+
+            // Extract content
+            // candidates[0].content.parts[0].text
+            const blockError = this.getGoogleBlockError(data);
+            if (blockError) {
+                throw new Error(blockError);
+            }
+
+            if (!data.candidates || !data.candidates[0]) {
+                throw new Error('No response from Google AI');
+            }
 
-        // Extract content
-        // candidates[0].content.parts[0].text
-        if (!data.candidates || !data.candidates[0]) {
-            throw new Error('No response from Google AI');
+            parts = data.candidates[0].content?.parts || [];
+            usageMetadata = data.usageMetadata;
+            groundingMetadata = data.candidates[0].groundingMetadata;
         }
 
-        const content = data.candidates[0].content.parts.map(p => p.text).join('') || '';
+        // Parts flagged `thought` are reasoning summaries (and draft images), not answer text
+        const content = parts.filter(p => !p.thought).map(p => p.text || '').join('');
+        const grounding = this.formatGoogleGrounding(content, groundingMetadata);
+        const attachments = this.getGoogleImageAttachments(parts);
+        const result = {
+            // Inline citation links would break a JSON answer; the sources are still returned.
+            // Images are only returned as attachments (shown under the answer), never in the text.
+            content: jsonSchema ? content : grounding.content,
+            reasoning: parts.filter(p => p.thought).map(p => p.text || '').join(''),
+            attachments,
+            usage: this.formatGoogleUsage(usageMetadata),
+            sources: grounding.sources
+        };
 
-        return {
-            content,
-            usage: {
-                total_tokens: data.usageMetadata?.totalTokenCount || 0
+        if (functionDeclarations.length > 0 && parts.some(p => p.functionCall)) {
+            return this.runGoogleToolCalls({ baseUrl, apiKey, model, messages, parts, result, options, signal, onDelta, toolRound });
+        }
+
+        return result;
+    },
+
+    // Images from image-generation models arrive as inlineData parts (base64) between the text parts
+    getGoogleImageAttachments(parts) {
+        return parts
+            .filter(p => !p.thought)
+            .map(p => p.inlineData || p.inline_data)
+            .filter(data => data?.data && (data.mimeType || data.mime_type || '').startsWith('image/'))
+            .map((data, i) => {
+                const mimeType = data.mimeType || data.mime_type;
+                return {
+                    type: 'image',
+                    url: `data:${mimeType};base64,${data.data}`,
+                    mimeType,
+                    name: `generated_image_${i + 1}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`
+                };
+            });
+    },
+
+    // --- Native Tool Loop (Gemini) ---
+    // Replays the model turn unchanged (functionCall parts carry thought signatures) and answers
+    // every call with a functionResponse part in the next user turn.
+    async runGoogleToolCalls({ baseUrl, apiKey, model, messages, parts, result, options, signal, onDelta, toolRound }) {
+        const functionCalls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+        const steps = await this.executeToolCalls(
+            functionCalls.map(call => ({ name: call.name, args: call.args || {} })),
+            { webSearchConfig: options.webSearchConfig, pageAccess: options.pageAccess, signal, onDelta }
+        );
+
+        const functionResponses = steps.map((step, i) => ({
+            functionResponse: {
+                name: functionCalls[i].name,
+                response: step.isError ? { error: step.result } : { result: step.result }
+            }
+        }));
+
+        const followUp = await this.sendGoogle({
+            baseUrl, apiKey, model, options, signal, onDelta,
+            toolRound: toolRound + 1,
+            messages: [
+                ...messages,
+                { role: 'assistant', parts },
+                { role: 'user', parts: functionResponses }
+            ]
+        });
+
+        return this.mergeToolRound(result, steps, followUp);
+    },
+
+    // --- Parse Gemini streamGenerateContent SSE Stream ---
+    // Each event is a partial GenerateContentResponse; usageMetadata on the last one is cumulative.
+    // Returns every part received (text arrives in fragments) plus the final usage.
+    async parseGoogleStream(response, onDelta) {
+        const parts = [];
+        let usageMetadata = null;
+        let groundingMetadata = null;
+
+        await this.readSSE(response, (chunk) => {
+            if (chunk.error) {
+                throw new Error(`Google API Error: ${chunk.error.message || 'Stream error'}`);
+            }
+
+            if (chunk.usageMetadata) {
+                usageMetadata = chunk.usageMetadata;
+            }
+
+            // Google Search grounding is sent with the final chunks and covers the whole answer
+            if (chunk.candidates?.[0]?.groundingMetadata) {
+                groundingMetadata = chunk.candidates[0].groundingMetadata;
+            }
+
+            const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+            chunkParts.forEach(p => {
+                parts.push(p);
+                if (!p.text) return;
+                if (p.thought) {
+                    onDelta?.({ reasoning: p.text });
+                } else {
+                    onDelta?.({ content: p.text });
+                }
+            });
+
+            const blockError = this.getGoogleBlockError(chunk);
+            if (blockError) {
+                throw new Error(blockError);
             }
+        });
+
+        return { parts, usageMetadata, groundingMetadata };
+    },
+
+    // Google Search grounding: groundingChunks are the pages, groundingSupports map answer segments
+    // (UTF-8 byte offsets) to them. Citations are inserted where each supported segment ends.
+    formatGoogleGrounding(content, groundingMetadata) {
+        const chunks = groundingMetadata?.groundingChunks || [];
+        if (chunks.length === 0) return { content, sources: [] };
+
+        const supports = groundingMetadata.groundingSupports || [];
+        const sources = mergeSources(chunks.map((chunk, i) => ({
+            title: chunk.web?.title,
+            url: chunk.web?.uri,
+            snippet: supports.find(s => s.groundingChunkIndices?.includes(i))?.segment?.text
+        })));
+
+        const insertions = supports.flatMap(support => {
+            const index = byteOffsetToIndex(content, support.segment?.endIndex ?? 0);
+            const sourceIndexes = [...new Set((support.groundingChunkIndices || [])
+                .map(i => sources.findIndex(s => s.url === chunks[i]?.web?.uri))
+                .filter(i => i >= 0))];
+            return sourceIndexes.map(i => ({ index, citation: formatCitation(sources, i) }));
+        });
+
+        return { content: insertCitations(content, insertions), sources };
+    },
+
+    // Returns a readable error when Gemini refused or cut off the answer, null otherwise
+    getGoogleBlockError(data) {
+        if (data.promptFeedback?.blockReason) {
+            return `Google AI blocked the prompt (${data.promptFeedback.blockReason}).`;
+        }
+
+        const finishReason = data.candidates?.[0]?.finishReason;
+        if (finishReason && !['STOP', 'MAX_TOKENS', 'FINISH_REASON_UNSPECIFIED'].includes(finishReason)) {
+            const explanations = {
+                SAFETY: 'it was flagged by safety filters',
+                RECITATION: 'it closely recited copyrighted material',
+                BLOCKLIST: 'it contained blocked terms',
+                PROHIBITED_CONTENT: 'it contained prohibited content',
+                SPII: 'it contained sensitive personal information'
+            };
+            const reason = explanations[finishReason] || 'of a provider-side restriction';
+            return `Google AI stopped the response (${finishReason}) because ${reason}.`;
+        }
+
+        return null;
+    },
+
+    // Thinking tokens are billed as output, so they are folded into completion_tokens (as OpenAI does)
+    formatGoogleUsage(usageMetadata) {
+        const reasoningTokens = usageMetadata?.thoughtsTokenCount || 0;
+        return {
+            prompt_tokens: usageMetadata?.promptTokenCount || 0,
+            completion_tokens: (usageMetadata?.candidatesTokenCount || 0) + reasoningTokens,
+            reasoning_tokens: reasoningTokens,
+            total_tokens: usageMetadata?.totalTokenCount || 0
         };
     }
 };
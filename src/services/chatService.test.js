@@ -47,6 +47,7 @@ describe('chatService', () => {
         });
 
         it('should handle Empty API Error', async () => {
+            vi.useFakeTimers();
             const mockResponse = {
                 ok: false,
                 status: 500,
@@ -55,8 +56,12 @@ describe('chatService', () => {
             };
             global.fetch.mockResolvedValue(mockResponse);
 
-            await expect(chatService.sendMessage(mockParams))
+            // 500 is retried before the error is reported
+            const result = expect(chatService.sendMessage(mockParams))
                 .rejects.toThrow('API Error 500: Internal Server Error');
+            await vi.runAllTimersAsync();
+            await result;
+            vi.useRealTimers();
         });
 
         it('should handle Empty Success Response (Unexpected end of JSON input prevention)', async () => {
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockSSEResponse } from '../test/mockResponses';
+
+const azureRequest = (overrides = {}) => ({
+    provider: 'azure',
+    baseUrl: 'https://contoso.openai.azure.com/',
+    apiKey: 'azure-key',
+    apiVersion: '2025-01-01-preview',
+    model: 'gpt-4o-prod',
+    messages: [{ role: 'user', content: 'Hello' }],
+    ...overrides
+});
+
+describe('chatService Azure OpenAI', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should call the deployment URL with the api-key header instead of Bearer auth', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({ choices: [{ message: { content: 'Hi' } }], usage: { total_tokens: 3 } }));
+
+        const result = await chatService.sendMessage(azureRequest({ options: { max_tokens: 500 } }));
+
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://contoso.openai.azure.com/openai/deployments/gpt-4o-prod/chat/completions?api-version=2025-01-01-preview');
+        expect(init.headers['api-key']).toBe('azure-key');
+        expect(init.headers.Authorization).toBeUndefined();
+        expect(init.headers['HTTP-Referer']).toBeUndefined();
+        expect(JSON.parse(init.body).max_completion_tokens).toBe(500);
+        expect(result.content).toBe('Hi');
+    });
+
+    it('should use the default API version when none is set', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({ choices: [{ message: { content: 'Hi' } }] }));
+
+        await chatService.sendMessage(azureRequest({ apiVersion: '' }));
+
+        expect(global.fetch.mock.calls[0][0]).toContain('?api-version=2024-10-21');
+    });
+
+    it('should send images as image_url parts', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({ choices: [{ message: { content: 'A cat' } }] }));
+
+        await chatService.sendMessage(azureRequest({
+            messages: [{ role: 'user', content: 'What is this?', files: [{ type: 'image', content: 'data:image/png;base64,abc' }] }]
+        }));
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.messages[0].content).toEqual([
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,abc' } }
+        ]);
+    });
+
+    it('should stream with usage and pass the abort signal', async () => {
+        global.fetch.mockResolvedValue(mockSSEResponse(
+            'data: {"choices":[],"prompt_filter_results":[]}\n\n' +
+            'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n' +
+            'data: {"choices":[{"delta":{"content":"lo"}}]}\n\n' +
+            'data: {"choices":[],"usage":{"total_tokens":5}}\n\n' +
+            'data: [DONE]\n'
+        ));
+        const controller = new AbortController();
+        const onDelta = vi.fn();
+
+        const result = await chatService.sendMessage(azureRequest({ signal: controller.signal, onDelta }));
+
+        const [, init] = global.fetch.mock.calls[0];
+        expect(init.signal).toBe(controller.signal);
+        expect(JSON.parse(init.body)).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+        expect(onDelta).toHaveBeenCalledWith({ content: 'Hel' });
+        expect(result.content).toBe('Hello');
+        expect(result.usage.total_tokens).toBe(5);
+    });
+
+    it('should ask for the resource endpoint when it is missing', async () => {
+        await expect(chatService.sendMessage(azureRequest({ baseUrl: '' }))).rejects.toThrow('Azure OpenAI needs the resource endpoint');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
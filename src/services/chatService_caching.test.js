@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse } from '../test/mockResponses';
+
+/**
+ * Tests for Anthropic prompt caching (cache_control breakpoints and cache usage).
+ */
+
+const bigText = (label) => `${label} `.repeat(1000);
+
+const send = (messages) => chatService.sendMessage({
+    provider: 'anthropic',
+    apiKey: 'key',
+    model: 'claude-sonnet-4-5',
+    messages
+});
+
+const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+describe('chatService Anthropic Prompt Caching', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            content: [{ type: 'text', text: 'Summary' }],
+            usage: { input_tokens: 20, output_tokens: 10, cache_read_input_tokens: 3000, cache_creation_input_tokens: 500 }
+        }));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should send large attachments as their own cached blocks', async () => {
+        await send([
+            { role: 'user', content: 'Summarize this page', files: [
+                { type: 'text', name: 'page.md', content: bigText('page') },
+                { type: 'text', name: 'note.txt', content: 'short note' }
+            ] }
+        ]);
+
+        const content = sentPayload().messages[0].content;
+        expect(content).toEqual([
+            { type: 'text', text: 'Summarize this page\n\n--- note.txt ---\nshort note' },
+            { type: 'text', text: `--- page.md ---\n${bigText('page')}`, cache_control: { type: 'ephemeral' } }
+        ]);
+    });
+
+    it('should cache a large system prompt and only the latest attachments', async () => {
+        const files = (n) => [{ type: 'text', name: `doc${n}.pdf`, content: bigText(`doc${n}`) }];
+
+        await send([
+            { role: 'system', content: bigText('rules') },
+            { role: 'user', content: 'One', files: files(1) },
+            { role: 'assistant', content: 'Ok' },
+            { role: 'user', content: 'Two', files: files(2) },
+            { role: 'assistant', content: 'Ok' },
+            { role: 'user', content: 'Three', files: [...files(3), ...files(4)] }
+        ]);
+
+        const payload = sentPayload();
+        expect(payload.system).toEqual([{ type: 'text', text: bigText('rules'), cache_control: { type: 'ephemeral' } }]);
+
+        const cached = payload.messages.flatMap(m => Array.isArray(m.content) ? m.content : []).filter(b => b.cache_control);
+        expect(cached.map(b => b.text.split('\n')[0])).toEqual(['--- doc2.pdf ---', '--- doc3.pdf ---', '--- doc4.pdf ---']);
+    });
+
+    it('should keep small system prompts as plain text', async () => {
+        await send([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+
+        expect(sentPayload().system).toBe('Be brief.');
+    });
+
+    it('should drop the empty question block when only an attachment is sent', async () => {
+        await send([{ role: 'user', content: '', files: [{ type: 'text', name: 'page.md', content: bigText('page') }] }]);
+
+        expect(sentPayload().messages[0].content).toHaveLength(1);
+    });
+
+    it('should report cache reads and writes in usage', async () => {
+        const result = await send([{ role: 'user', content: 'Hi' }]);
+
+        expect(result.usage).toEqual({
+            input_tokens: 20,
+            output_tokens: 10,
+            total_tokens: 3530,
+            cache_read_tokens: 3000,
+            cache_write_tokens: 500
+        });
+    });
+});
@@ -85,4 +85,84 @@ describe('chatService Google Provider', () => {
         await expect(chatService.sendMessage(mockParams))
             .rejects.toThrow('Google API Error: 400');
     });
+
+    it('should split usageMetadata into prompt and candidate tokens', async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 12, totalTokenCount: 42 }
+            })
+        });
+
+        const result = await chatService.sendMessage(mockParams);
+
+        expect(result.usage).toEqual({ prompt_tokens: 30, completion_tokens: 12, reasoning_tokens: 0, total_tokens: 42 });
+    });
+
+    it('should throw a clear error when the candidate was blocked and has no parts', async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                candidates: [{ finishReason: 'SAFETY' }]
+            })
+        });
+
+        await expect(chatService.sendMessage(mockParams))
+            .rejects.toThrow('Google AI stopped the response (SAFETY)');
+    });
+
+    describe('Streaming', () => {
+        const mockStreamResponse = (events) => {
+            const encoded = new TextEncoder().encode(events.map(e => `data: ${JSON.stringify(e)}\r\n\r\n`).join(''));
+            let done = false;
+            return {
+                ok: true,
+                body: {
+                    getReader: () => ({
+                        read: () => {
+                            if (done) return Promise.resolve({ done: true, value: undefined });
+                            done = true;
+                            return Promise.resolve({ done: false, value: encoded });
+                        },
+                        cancel: () => Promise.resolve()
+                    })
+                }
+            };
+        };
+
+        it('should call streamGenerateContent with alt=sse and emit incremental parts', async () => {
+            global.fetch.mockResolvedValue(mockStreamResponse([
+                { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello' }] } }] },
+                { candidates: [{ content: { role: 'model', parts: [{ text: ' Gemini' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, totalTokenCount: 8 } }
+            ]));
+
+            const onDelta = vi.fn();
+            const result = await chatService.sendMessage({
+                ...mockParams,
+                signal: new AbortController().signal,
+                onDelta
+            });
+
+            expect(global.fetch.mock.calls[0][0]).toBe(
+                'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse&key=test-api-key'
+            );
+            expect(onDelta).toHaveBeenNthCalledWith(1, { content: 'Hello' });
+            expect(onDelta).toHaveBeenNthCalledWith(2, { content: ' Gemini' });
+            expect(result.content).toBe('Hello Gemini');
+            expect(result.usage).toEqual({ prompt_tokens: 5, completion_tokens: 3, reasoning_tokens: 0, total_tokens: 8 });
+        });
+
+        it('should throw on a mid-stream RECITATION finish reason', async () => {
+            global.fetch.mockResolvedValue(mockStreamResponse([
+                { candidates: [{ content: { role: 'model', parts: [{ text: 'Once upon' }] } }] },
+                { candidates: [{ finishReason: 'RECITATION' }] }
+            ]));
+
+            await expect(chatService.sendMessage({
+                ...mockParams,
+                signal: new AbortController().signal
+            })).rejects.toThrow('Google AI stopped the response (RECITATION)');
+        });
+    });
 });
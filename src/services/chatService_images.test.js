@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockSSEResponse } from '../test/mockResponses';
+
+/**
+ * Image output of image-generation models: Gemini inlineData parts become attachments,
+ * and the session's aspect ratio / response modalities are sent under each API's names.
+ */
+describe('chatService Image Output', () => {
+    const googleParams = {
+        provider: 'google',
+        baseUrl: 'https://generativelanguage.googleapis.com',
+        apiKey: 'test-api-key',
+        model: 'gemini-2.5-flash-image',
+        messages: [{ role: 'user', content: 'Draw a cat' }]
+    };
+
+    const mockJson = (data) => global.fetch.mockResolvedValue(mockJsonResponse(data));
+    const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('Gemini', () => {
+        it('should return inlineData image parts as attachments with their mime type', async () => {
+            mockJson({
+                candidates: [{
+                    content: {
+                        parts: [
+                            { text: 'Here is your cat.' },
+                            { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+                            { inlineData: { mimeType: 'image/jpeg', data: '/9j/4AAQ' } }
+                        ]
+                    }
+                }]
+            });
+
+            const result = await chatService.sendMessage(googleParams);
+
+            expect(result.attachments).toEqual([
+                { type: 'image', url: 'data:image/png;base64,iVBORw0KGgo=', mimeType: 'image/png', name: 'generated_image_1.png' },
+                { type: 'image', url: 'data:image/jpeg;base64,/9j/4AAQ', mimeType: 'image/jpeg', name: 'generated_image_2.jpg' }
+            ]);
+            // The images are only attachments, so they are not sent back as text with the history
+            expect(result.content).toBe('Here is your cat.');
+        });
+
+        it('should skip draft images from thought parts', async () => {
+            mockJson({
+                candidates: [{
+                    content: {
+                        parts: [
+                            { thought: true, inlineData: { mimeType: 'image/png', data: 'draft' } },
+                            { inlineData: { mimeType: 'image/png', data: 'final' } }
+                        ]
+                    }
+                }]
+            });
+
+            const result = await chatService.sendMessage(googleParams);
+
+            expect(result.attachments.map(a => a.url)).toEqual(['data:image/png;base64,final']);
+            expect(result.content).toBe('');
+        });
+
+        it('should collect images from a streamed response', async () => {
+            const events = [
+                { candidates: [{ content: { parts: [{ text: 'A cat' }] } }] },
+                { candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/webp', data: 'UklGR' } }] }, finishReason: 'STOP' }] }
+            ];
+            global.fetch.mockResolvedValue(mockSSEResponse(events.map(e => `data: ${JSON.stringify(e)}\r\n\r\n`).join('')));
+
+            const onDelta = vi.fn();
+            const result = await chatService.sendMessage({ ...googleParams, signal: new AbortController().signal, onDelta });
+
+            expect(onDelta).toHaveBeenCalledTimes(1);
+            expect(result.attachments).toEqual([
+                { type: 'image', url: 'data:image/webp;base64,UklGR', mimeType: 'image/webp', name: 'generated_image_1.webp' }
+            ]);
+        });
+
+        it('should send aspect ratio and response modalities in generationConfig', async () => {
+            mockJson({ candidates: [{ content: { parts: [{ text: 'ok' }] } }] });
+
+            await chatService.sendMessage({
+                ...googleParams,
+                options: { imageOptions: { aspectRatio: '16:9', modalities: ['image'] } }
+            });
+
+            const payload = sentPayload();
+            expect(payload.generationConfig.responseModalities).toEqual(['IMAGE']);
+            expect(payload.generationConfig.imageConfig).toEqual({ aspectRatio: '16:9' });
+            expect(payload.generationConfig).not.toHaveProperty('imageOptions');
+        });
+    });
+
+    describe('OpenRouter', () => {
+        it('should send modalities and image_config', async () => {
+            mockJson({ choices: [{ message: { content: 'ok' } }] });
+
+            await chatService.sendMessage({
+                provider: 'openrouter',
+                baseUrl: 'https://openrouter.ai/api/v1',
+                apiKey: 'key',
+                model: 'google/gemini-2.5-flash-image',
+                messages: [{ role: 'user', content: 'Draw a cat' }],
+                options: { imageOptions: { aspectRatio: '3:2', modalities: ['text', 'image'] } }
+            });
+
+            const payload = sentPayload();
+            expect(payload.modalities).toEqual(['text', 'image']);
+            expect(payload.image_config).toEqual({ aspect_ratio: '3:2' });
+            expect(payload).not.toHaveProperty('imageOptions');
+        });
+
+        it('should not send image options to other providers', async () => {
+            mockJson({ content: [{ type: 'text', text: 'ok' }], usage: {} });
+
+            await chatService.sendMessage({
+                provider: 'anthropic',
+                baseUrl: 'https://api.anthropic.com/v1',
+                apiKey: 'key',
+                model: 'claude-sonnet-4',
+                messages: [{ role: 'user', content: 'Hi' }],
+                options: { imageOptions: { aspectRatio: '1:1' } }
+            });
+
+            expect(sentPayload()).not.toHaveProperty('imageOptions');
+        });
+    });
+
+    it('should not resend images that older answers have inline', async () => {
+        mockJson({ choices: [{ message: { content: 'A tabby.' } }] });
+
+        await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'key',
+            model: 'openai/gpt-4o',
+            messages: [
+                { role: 'user', content: 'Draw a cat' },
+                { role: 'assistant', content: 'Here is your cat.\n\n![Generated Image](data:image/png;base64,iVBORw0KGgo=)' },
+                { role: 'user', content: 'Which breed is it?' }
+            ]
+        });
+
+        expect(sentPayload().messages[1]).toEqual({ role: 'assistant', content: 'Here is your cat.' });
+    });
+
+    describe('OpenAI Images API', () => {
+        const openaiParams = {
+            provider: 'openai',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: 'sk-test',
+            model: 'gpt-image-1',
+            messages: [{ role: 'user', content: 'A lighthouse at dusk' }]
+        };
+
+        it('should call the generations endpoint with size, quality and background', async () => {
+            mockJson({ data: [{ b64_json: 'iVBORw0KGgo=' }], output_format: 'png', usage: { input_tokens: 10, output_tokens: 4160, total_tokens: 4170 } });
+
+            const result = await chatService.sendMessage({
+                ...openaiParams,
+                options: { webSearch: false, imageOptions: { size: '1536x1024', quality: 'high', background: 'transparent' } }
+            });
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.openai.com/v1/images/generations');
+            expect(sentPayload()).toEqual({
+                model: 'gpt-image-1',
+                prompt: 'A lighthouse at dusk',
+                n: 1,
+                size: '1536x1024',
+                quality: 'high',
+                background: 'transparent'
+            });
+            expect(result.attachments).toEqual([
+                { type: 'image', url: 'data:image/png;base64,iVBORw0KGgo=', mimeType: 'image/png', name: 'generated_image_1.png' }
+            ]);
+            expect(result.content).toBe('');
+            expect(result.usage).toEqual({ prompt_tokens: 10, completion_tokens: 4160, total_tokens: 4170 });
+        });
+
+        it('should drop settings the model does not take and request base64 from dall-e', async () => {
+            mockJson({ data: [{ b64_json: 'abc', revised_prompt: 'A tall lighthouse at dusk' }] });
+
+            const result = await chatService.sendMessage({
+                ...openaiParams,
+                model: 'dall-e-3',
+                options: { imageOptions: { size: '1536x1024', quality: 'hd', background: 'transparent' } }
+            });
+
+            expect(sentPayload()).toEqual({
+                model: 'dall-e-3',
+                prompt: 'A lighthouse at dusk',
+                n: 1,
+                quality: 'hd',
+                response_format: 'b64_json'
+            });
+            expect(result.content).toBe('*A tall lighthouse at dusk*');
+        });
+
+        it('should send the last image of the chat to the edits endpoint', async () => {
+            mockJson({ data: [{ b64_json: 'edited' }] });
+
+            await chatService.sendMessage({
+                ...openaiParams,
+                messages: [
+                    { role: 'user', content: 'A lighthouse at dusk' },
+                    { role: 'assistant', content: '', attachments: [{ type: 'image', url: 'data:image/png;base64,iVBORw0KGgo=' }] },
+                    { role: 'user', content: 'Make it snow' }
+                ],
+                options: { imageOptions: { editLastImage: true, quality: 'low' } }
+            });
+
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://api.openai.com/v1/images/edits');
+            expect(init.headers).toEqual({ Authorization: 'Bearer sk-test' });
+            expect(init.body).toBeInstanceOf(FormData);
+            expect(init.body.get('prompt')).toBe('Make it snow');
+            expect(init.body.get('quality')).toBe('low');
+            const image = init.body.get('image');
+            expect(image.type).toBe('image/png');
+            expect(image.name).toBe('image.png');
+        });
+
+        it('should generate when editing is requested but the chat has no image', async () => {
+            mockJson({ data: [{ b64_json: 'new' }] });
+
+            await chatService.sendMessage({ ...openaiParams, options: { imageOptions: { editLastImage: true } } });
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.openai.com/v1/images/generations');
+        });
+
+        it('should report API errors', async () => {
+            global.fetch.mockResolvedValue({
+                ok: false,
+                status: 400,
+                text: () => Promise.resolve(JSON.stringify({ error: { message: 'Your request was rejected by the safety system.' } }))
+            });
+
+            await expect(chatService.sendMessage(openaiParams))
+                .rejects.toThrow('OpenAI Images API Error 400: Your request was rejected by the safety system.');
+        });
+
+        it('should not repeat an image request after a server error', async () => {
+            global.fetch.mockResolvedValue({
+                ok: false,
+                status: 500,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify({ error: { message: 'Internal error' } }))
+            });
+
+            await expect(chatService.sendMessage(openaiParams)).rejects.toThrow('OpenAI Images API Error 500: Internal error');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse } from '../test/mockResponses';
+
+/**
+ * Tests for JSON mode: schema enforcement per provider and client-side validation of the answer.
+ */
+
+const jsonSchema = {
+    name: 'prices',
+    schema: {
+        type: 'object',
+        properties: { price: { type: ['number', 'null'] } },
+        required: ['price'],
+        additionalProperties: false
+    }
+};
+const messages = [{ role: 'user', content: 'Extract the price' }];
+
+const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+describe('chatService JSON Mode', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('OpenAI-compatible', () => {
+        beforeEach(() => {
+            global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+                choices: [{ message: { content: '{"price": 19.99}' } }]
+            }));
+        });
+
+        it('should send the schema as response_format and return the parsed answer', async () => {
+            const result = await chatService.sendMessage({
+                provider: 'openrouter', baseUrl: 'https://openrouter.ai/api/v1', apiKey: 'key', model: 'openai/gpt-4o',
+                messages, options: { jsonSchema }
+            });
+
+            expect(sentPayload().response_format).toEqual({
+                type: 'json_schema',
+                json_schema: { name: 'prices', schema: jsonSchema.schema, strict: true }
+            });
+            expect(sentPayload().jsonSchema).toBeUndefined();
+            expect(result.json).toEqual({ data: { price: 19.99 }, errors: [] });
+        });
+
+        it('should not ask for strict mode when the schema does not allow it', async () => {
+            const loose = { name: 'prices', schema: { type: 'object', properties: { price: { type: 'number' } } } };
+
+            await chatService.sendMessage({
+                provider: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'key', model: 'gpt-4o',
+                messages, options: { jsonSchema: loose }
+            });
+
+            expect(sentPayload().response_format.json_schema).toEqual({ name: 'prices', schema: loose.schema });
+        });
+
+        it('should report answers that do not match the schema', async () => {
+            global.fetch.mockResolvedValue(mockJsonResponse({
+                choices: [{ message: { content: '{"price": "19.99", "currency": "EUR"}' } }]
+            }));
+
+            const result = await chatService.sendMessage({
+                provider: 'local', baseUrl: 'http://localhost:11434/v1', model: 'llama3', messages, options: { jsonSchema }
+            });
+
+            expect(result.json.errors).toEqual([
+                '$.price: expected number or null, got string',
+                '$: unexpected property "currency"'
+            ]);
+        });
+
+        it('should report answers that are not JSON', async () => {
+            global.fetch.mockResolvedValue(mockJsonResponse({
+                choices: [{ message: { content: 'The price is 19.99' } }]
+            }));
+
+            const result = await chatService.sendMessage({
+                provider: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'key', model: 'gpt-4o', messages, options: { jsonSchema }
+            });
+
+            expect(result.json.data).toBeUndefined();
+            expect(result.json.errors[0]).toMatch(/^The response is not valid JSON/);
+        });
+    });
+
+    it('should use text.format with the Responses API', async () => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            output: [{ type: 'message', content: [{ type: 'output_text', text: '{"price": 5}', annotations: [
+                { type: 'url_citation', url: 'https://shop.example', title: 'Shop', start_index: 10, end_index: 11 }
+            ] }] }]
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'key', model: 'gpt-4o',
+            messages, options: { webSearch: true, jsonSchema }
+        });
+
+        expect(sentPayload().text).toEqual({ format: { type: 'json_schema', name: 'prices', schema: jsonSchema.schema, strict: true } });
+        // Citations are not inserted into the JSON
+        expect(result.content).toBe('{"price": 5}');
+        expect(result.json.data).toEqual({ price: 5 });
+    });
+
+    it('should force the structured output tool on Anthropic', async () => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            content: [{ type: 'tool_use', id: 'tu_1', name: 'structured_output', input: { price: 12 } }],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 30, output_tokens: 10 }
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'anthropic', apiKey: 'key', model: 'claude-sonnet-4-5',
+            messages, options: { jsonSchema, reasoningEffort: 'high' }
+        });
+
+        const payload = sentPayload();
+        expect(payload.tools).toEqual([{
+            name: 'structured_output',
+            description: expect.any(String),
+            input_schema: jsonSchema.schema
+        }]);
+        expect(payload.tool_choice).toEqual({ type: 'tool', name: 'structured_output' });
+        expect(payload.thinking).toBeUndefined();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(result.content)).toEqual({ price: 12 });
+        expect(result.json).toEqual({ data: { price: 12 }, errors: [] });
+        expect(result.usage.total_tokens).toBe(40);
+    });
+
+    it('should keep the Anthropic tools in JSON mode and answer with the structured output tool last', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(mockJsonResponse({
+                content: [
+                    { type: 'text', text: 'Let me compute the total.' },
+                    { type: 'tool_use', id: 'tu_1', name: 'calculator', input: { expression: '2 * 6' } }
+                ],
+                stop_reason: 'tool_use',
+                usage: { input_tokens: 30, output_tokens: 10 }
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({
+                content: [{ type: 'tool_use', id: 'tu_2', name: 'structured_output', input: { price: 12 } }],
+                stop_reason: 'tool_use',
+                usage: { input_tokens: 50, output_tokens: 10 }
+            }));
+
+        const result = await chatService.sendMessage({
+            provider: 'anthropic', apiKey: 'key', model: 'claude-sonnet-4-5',
+            messages, options: { jsonSchema, enableTools: true, maxToolRounds: 1 }
+        });
+
+        const first = sentPayload();
+        expect(first.tools.map(t => t.name)).toEqual(expect.arrayContaining(['calculator', 'structured_output']));
+        expect(first.tool_choice).toEqual({ type: 'any' });
+
+        // The last allowed round must answer
+        const second = JSON.parse(global.fetch.mock.calls[1][1].body);
+        expect(second.tool_choice).toEqual({ type: 'tool', name: 'structured_output' });
+
+        expect(result.toolSteps).toEqual([{ name: 'calculator', args: { expression: '2 * 6' }, result: '12', isError: false }]);
+        expect(result.content).toBe(JSON.stringify({ price: 12 }, null, 2));
+        expect(result.json).toEqual({ data: { price: 12 }, errors: [] });
+    });
+
+    it('should send responseSchema to Gemini', async () => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            candidates: [{ content: { parts: [{ text: '{"price": null}' }] } }]
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'google', apiKey: 'key', model: 'gemini-2.5-flash', messages, options: { jsonSchema }
+        });
+
+        const { generationConfig } = sentPayload();
+        expect(generationConfig.responseMimeType).toBe('application/json');
+        expect(generationConfig.responseSchema).toEqual({
+            type: 'object',
+            properties: { price: { type: 'number', nullable: true } },
+            required: ['price']
+        });
+        expect(generationConfig.jsonSchema).toBeUndefined();
+        expect(result.json).toEqual({ data: { price: null }, errors: [] });
+    });
+});
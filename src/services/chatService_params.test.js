@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse } from '../test/mockResponses';
+
+/**
+ * Tests for translating the session generation parameters to each provider's request format.
+ */
+
+const options = { temperature: 0.2, top_p: 0.9, max_tokens: 512, seed: 7, stop: ['###'] };
+const messages = [{ role: 'user', content: 'Hello' }];
+
+const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+describe('chatService Generation Parameters', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            choices: [{ message: { content: 'Hi' } }],
+            content: [{ type: 'text', text: 'Hi' }],
+            candidates: [{ content: { parts: [{ text: 'Hi' }] } }]
+        }));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should send max_completion_tokens to OpenAI', async () => {
+        await chatService.sendMessage({ provider: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'key', model: 'gpt-4o', messages, options });
+
+        const payload = sentPayload();
+        expect(payload).toMatchObject({ temperature: 0.2, top_p: 0.9, max_completion_tokens: 512, seed: 7, stop: ['###'] });
+        expect(payload.max_tokens).toBeUndefined();
+    });
+
+    it('should pass the OpenAI names through to OpenRouter', async () => {
+        await chatService.sendMessage({ provider: 'openrouter', baseUrl: 'https://openrouter.ai/api/v1', apiKey: 'key', model: 'openai/gpt-4o', messages, options });
+
+        expect(sentPayload()).toMatchObject(options);
+    });
+
+    it('should override the Anthropic max_tokens default and send stop_sequences', async () => {
+        await chatService.sendMessage({ provider: 'anthropic', apiKey: 'key', model: 'claude-sonnet-4-5', messages, options });
+
+        const payload = sentPayload();
+        expect(payload).toMatchObject({ temperature: 0.2, top_p: 0.9, max_tokens: 512, stop_sequences: ['###'] });
+        expect(payload.seed).toBeUndefined();
+        expect(payload.stop).toBeUndefined();
+    });
+
+    it('should put the Gemini parameters in generationConfig', async () => {
+        await chatService.sendMessage({ provider: 'google', apiKey: 'key', model: 'gemini-2.5-flash', messages, options });
+
+        const payload = sentPayload();
+        expect(payload.generationConfig).toMatchObject({ temperature: 0.2, topP: 0.9, maxOutputTokens: 512, seed: 7, stopSequences: ['###'] });
+        expect(payload.generationConfig.max_tokens).toBeUndefined();
+    });
+});
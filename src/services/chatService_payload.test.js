@@ -81,4 +81,118 @@ describe('chatService Payload Formatting', () => {
         // Note: vitest doesn't reset mocks automatically between tests unless we configure it.
         // It's safer to check the last call or clear mocks.
     });
+
+    it('should never send error entries to the model', async () => {
+        global.fetch.mockClear();
+        global.fetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ content: [{ type: 'text', text: 'Hi again' }], usage: {} })
+        });
+
+        await chatService.sendMessage({
+            provider: 'anthropic',
+            apiKey: 'test-key',
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'user', content: 'Hello' },
+                { role: 'error', content: 'Anthropic API Error 529: Overloaded' },
+                { role: 'user', content: 'Hello?' }
+            ]
+        });
+
+        const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(payload.system).toBeUndefined();
+        expect(payload.messages).toHaveLength(2);
+        expect(JSON.stringify(payload)).not.toContain('Overloaded');
+    });
+
+    it('should not send compared answers until one is kept', async () => {
+        global.fetch.mockClear();
+        global.fetch.mockResolvedValue({
+            ok: true,
+            text: () => Promise.resolve(JSON.stringify({ choices: [{ message: { content: 'Hi' } }] }))
+        });
+
+        await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'test-key',
+            model: 'openai/gpt-4o',
+            messages: [
+                { role: 'user', content: 'Hello' },
+                { role: 'comparison', content: '', answers: [{ role: 'assistant', content: 'Compared answer' }] },
+                { role: 'user', content: 'Go on' }
+            ]
+        });
+
+        const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(payload.messages.map(m => m.content)).toEqual(['Hello', 'Go on']);
+    });
+
+    it('should send the extra headers of a provider profile', async () => {
+        global.fetch.mockClear();
+        global.fetch.mockResolvedValue({
+            ok: true,
+            text: () => Promise.resolve(JSON.stringify({ choices: [{ message: { content: 'Hi' } }] }))
+        });
+
+        await chatService.sendMessage({
+            provider: 'litellm',
+            baseUrl: 'http://litellm.internal:4000',
+            apiKey: '',
+            headers: { 'X-Team': 'research' },
+            model: 'claude-sonnet',
+            messages: [{ role: 'user', content: 'Hello' }]
+        });
+
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://litellm.internal:4000/chat/completions');
+        expect(init.headers['X-Team']).toBe('research');
+        expect(init.headers).not.toHaveProperty('Authorization');
+        expect(init.headers).not.toHaveProperty('HTTP-Referer');
+        expect(init.headers).not.toHaveProperty('X-Title');
+    });
+
+    it('should stream provider profile requests that can be cancelled', async () => {
+        global.fetch.mockClear();
+        const sse = new TextEncoder().encode(
+            'data: {"choices":[{"delta":{"content":"Fast"}}]}\n\n' +
+            'data: {"choices":[],"usage":{"total_tokens":7}}\n\n' +
+            'data: [DONE]\n'
+        );
+        let sent = false;
+        global.fetch.mockResolvedValue({
+            ok: true,
+            body: {
+                getReader: () => ({
+                    read: () => {
+                        if (sent) return Promise.resolve({ done: true, value: undefined });
+                        sent = true;
+                        return Promise.resolve({ done: false, value: sse });
+                    },
+                    cancel: () => Promise.resolve()
+                })
+            }
+        });
+        const controller = new AbortController();
+        const onDelta = vi.fn();
+
+        const result = await chatService.sendMessage({
+            provider: 'groq',
+            baseUrl: 'https://api.groq.com/openai/v1',
+            apiKey: 'gsk-key',
+            model: 'llama-3.3-70b-versatile',
+            messages: [{ role: 'user', content: 'Hello' }],
+            signal: controller.signal,
+            onDelta
+        });
+
+        const [, init] = global.fetch.mock.calls[0];
+        expect(init.signal).toBe(controller.signal);
+        expect(JSON.parse(init.body)).toMatchObject({ stream: true });
+        expect(JSON.parse(init.body).stream_options).toBeUndefined();
+        expect(onDelta).toHaveBeenCalledWith({ content: 'Fast' });
+        expect(result.content).toBe('Fast');
+        expect(result.usage.total_tokens).toBe(7);
+    });
 });
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse } from '../test/mockResponses';
+
+/**
+ * PDF attachments: Claude and Gemini models that read PDFs natively get the original document,
+ * everything else gets the text extracted by fileProcessor.
+ */
+describe('chatService Native PDF', () => {
+    const pdfFile = {
+        type: 'text',
+        name: 'report.pdf',
+        content: '--- BEGIN FILE: report.pdf ---\n[Page 1]\nQuarterly report\n--- END FILE ---',
+        originalContent: 'data:application/pdf;base64,JVBERi0xLjQ=',
+        mimeType: 'application/pdf'
+    };
+    const messages = [{ role: 'user', content: 'Summarize the table', files: [pdfFile] }];
+
+    const mockJson = (data) => global.fetch.mockResolvedValue(mockJsonResponse(data));
+    const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    const sendAnthropic = (model, files = [pdfFile]) => {
+        mockJson({ content: [{ type: 'text', text: 'ok' }], usage: {} });
+        return chatService.sendMessage({
+            provider: 'anthropic',
+            baseUrl: 'https://api.anthropic.com',
+            apiKey: 'key',
+            model,
+            messages: [{ ...messages[0], files }]
+        });
+    };
+
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should send a document block to Claude', async () => {
+        await sendAnthropic('claude-sonnet-4-20250514');
+
+        const content = sentPayload().messages[0].content;
+        expect(content).toEqual([
+            { type: 'text', text: 'Summarize the table' },
+            {
+                type: 'document',
+                source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0xLjQ=' },
+                title: 'report.pdf',
+                cache_control: { type: 'ephemeral' }
+            }
+        ]);
+    });
+
+    it('should fall back to the extracted text for Claude models without PDF support', async () => {
+        await sendAnthropic('claude-3-haiku-20240307');
+
+        const body = JSON.stringify(sentPayload());
+        expect(body).toContain('Quarterly report');
+        expect(body).not.toContain('"document"');
+    });
+
+    it('should fall back to the extracted text when the original bytes are missing or too large', async () => {
+        await sendAnthropic('claude-sonnet-4-20250514', [{ ...pdfFile, originalContent: undefined }]);
+        expect(JSON.stringify(sentPayload())).not.toContain('"document"');
+
+        global.fetch.mockClear();
+        const huge = `data:application/pdf;base64,${'A'.repeat(28 * 1024 * 1024)}`;
+        await sendAnthropic('claude-sonnet-4-20250514', [{ ...pdfFile, originalContent: huge }]);
+        expect(JSON.stringify(sentPayload())).not.toContain('"document"');
+    });
+
+    it('should send the PDF to Gemini as inline_data', async () => {
+        mockJson({ candidates: [{ content: { parts: [{ text: 'ok' }] } }] });
+
+        await chatService.sendMessage({
+            provider: 'google',
+            baseUrl: 'https://generativelanguage.googleapis.com',
+            apiKey: 'key',
+            model: 'gemini-2.5-flash',
+            messages
+        });
+
+        expect(sentPayload().contents[0].parts).toEqual([
+            { text: 'Summarize the table' },
+            { inline_data: { mime_type: 'application/pdf', data: 'JVBERi0xLjQ=' } }
+        ]);
+    });
+
+    it('should send the extracted text to other providers', async () => {
+        mockJson({ choices: [{ message: { content: 'ok' } }] });
+
+        await chatService.sendMessage({
+            provider: 'openai',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: 'key',
+            model: 'gpt-4o',
+            messages
+        });
+
+        const body = JSON.stringify(sentPayload());
+        expect(body).toContain('Quarterly report');
+        expect(body).not.toContain('JVBERi0xLjQ=');
+    });
+});
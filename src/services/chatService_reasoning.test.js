@@ -0,0 +1,237 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockStreamResponse } from '../test/mockResponses';
+
+/**
+ * Tests that reasoning from each provider is normalized into a separate `reasoning` field.
+ */
+
+describe('chatService Reasoning', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should read OpenRouter message.reasoning into a separate field', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            choices: [{ message: { content: 'The answer is 4.', reasoning: 'Add 2 and 2.' } }],
+            usage: { total_tokens: 30, completion_tokens_details: { reasoning_tokens: 12 } }
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'test-key',
+            model: 'deepseek/deepseek-r1',
+            messages: [{ role: 'user', content: '2+2?' }]
+        });
+
+        expect(result.content).toBe('The answer is 4.');
+        expect(result.reasoning).toBe('Add 2 and 2.');
+    });
+
+    it('should stream OpenRouter reasoning deltas separately from content', async () => {
+        global.fetch.mockResolvedValue(mockStreamResponse([
+            { choices: [{ delta: { reasoning: 'Step 1. ', reasoning_details: [{ type: 'reasoning.text', text: 'Step 1. ' }] } }] },
+            { choices: [{ delta: { reasoning: 'Step 2.' } }] },
+            { choices: [{ delta: { content: 'Done.' } }] }
+        ]));
+
+        const onDelta = vi.fn();
+        const result = await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'test-key',
+            model: 'openai/o3',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal,
+            onDelta
+        });
+
+        expect(onDelta).toHaveBeenNthCalledWith(1, { reasoning: 'Step 1. ' });
+        expect(onDelta).toHaveBeenNthCalledWith(2, { reasoning: 'Step 2.' });
+        expect(onDelta).toHaveBeenNthCalledWith(3, { content: 'Done.' });
+        expect(result.reasoning).toBe('Step 1. Step 2.');
+        expect(result.content).toBe('Done.');
+    });
+
+    it('should split inline <think> tags from local model output', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            choices: [{ message: { content: '<think>\nThe user greets me.\n</think>\n\nHello!' } }]
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'local',
+            baseUrl: 'http://localhost:11434/v1',
+            apiKey: '',
+            model: 'deepseek-r1:8b',
+            messages: [{ role: 'user', content: 'hi' }]
+        });
+
+        expect(result.content).toBe('Hello!');
+        expect(result.reasoning).toBe('The user greets me.');
+    });
+
+    it('should split streamed <think> tags from local model output', async () => {
+        global.fetch.mockResolvedValue(mockStreamResponse([
+            { choices: [{ delta: { content: '<think>Greeting' } }] },
+            { choices: [{ delta: { content: '.</think>Hel' } }] },
+            { choices: [{ delta: { content: 'lo!' } }] }
+        ]));
+
+        const onDelta = vi.fn();
+        const result = await chatService.sendMessage({
+            provider: 'local',
+            baseUrl: 'http://localhost:11434/v1',
+            apiKey: '',
+            model: 'deepseek-r1:8b',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal,
+            onDelta
+        });
+
+        const streamed = (key) => onDelta.mock.calls.map(([d]) => d[key] || '').join('');
+        expect(streamed('reasoning')).toBe('Greeting.');
+        expect(streamed('content')).toBe('Hello!');
+        expect(result.content).toBe('Hello!');
+        expect(result.reasoning).toBe('Greeting.');
+    });
+
+    it('should return Anthropic thinking blocks as reasoning', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            content: [
+                { type: 'thinking', thinking: 'Consider the question.', signature: 'sig' },
+                { type: 'text', text: 'Answer.' }
+            ],
+            usage: { input_tokens: 10, output_tokens: 20 }
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'anthropic',
+            baseUrl: 'https://api.anthropic.com',
+            apiKey: 'test-key',
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'hi' }]
+        });
+
+        expect(result.content).toBe('Answer.');
+        expect(result.reasoning).toBe('Consider the question.');
+    });
+
+    it('should stream Anthropic thinking deltas as reasoning', async () => {
+        global.fetch.mockResolvedValue(mockStreamResponse([
+            { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm.' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Yes.' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 8 } }
+        ]));
+
+        const onDelta = vi.fn();
+        const result = await chatService.sendMessage({
+            provider: 'anthropic',
+            baseUrl: 'https://api.anthropic.com',
+            apiKey: 'test-key',
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal,
+            onDelta
+        });
+
+        expect(onDelta).toHaveBeenCalledWith({ reasoning: 'Hmm.' });
+        expect(result.reasoning).toBe('Hmm.');
+        expect(result.content).toBe('Yes.');
+    });
+
+    it('should separate Gemini thought parts and count thinking tokens', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            candidates: [{ content: { parts: [{ text: 'Planning...', thought: true }, { text: 'Result.' }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, thoughtsTokenCount: 40, totalTokenCount: 48 }
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'google',
+            baseUrl: 'https://generativelanguage.googleapis.com',
+            apiKey: 'test-key',
+            model: 'gemini-2.5-pro',
+            messages: [{ role: 'user', content: 'hi' }]
+        });
+
+        expect(result.content).toBe('Result.');
+        expect(result.reasoning).toBe('Planning...');
+        expect(result.usage).toEqual({ prompt_tokens: 5, completion_tokens: 43, reasoning_tokens: 40, total_tokens: 48 });
+    });
+});
+
+describe('chatService Reasoning Effort', () => {
+    const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    beforeEach(() => {
+        global.fetch = vi.fn().mockResolvedValue(mockJsonResponse({
+            choices: [{ message: { content: 'ok' } }],
+            content: [{ type: 'text', text: 'ok' }],
+            candidates: [{ content: { parts: [{ text: 'ok' }] } }],
+            output: []
+        }));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const send = (provider, model, options) => chatService.sendMessage({
+        provider,
+        baseUrl: 'https://api.example.com/v1',
+        apiKey: 'key',
+        model,
+        messages: [{ role: 'user', content: 'Hi' }],
+        options
+    });
+
+    it('should send reasoning.effort to OpenRouter', async () => {
+        await send('openrouter', 'openai/o3-mini', { reasoningEffort: 'high' });
+        const payload = sentPayload();
+        expect(payload.reasoning).toEqual({ effort: 'high' });
+        expect(payload.reasoningEffort).toBeUndefined();
+    });
+
+    it('should send reasoning_effort to OpenAI chat completions', async () => {
+        await send('openai', 'o4-mini', { reasoningEffort: 'low' });
+        expect(sentPayload().reasoning_effort).toBe('low');
+    });
+
+    it('should send reasoning.effort to the OpenAI Responses API', async () => {
+        await send('openai', 'o4-mini', { reasoningEffort: 'medium', webSearch: true });
+        expect(sentPayload().reasoning).toEqual({ effort: 'medium' });
+    });
+
+    it('should send a thinking budget to Anthropic and raise max_tokens above it', async () => {
+        await send('anthropic', 'claude-sonnet-4-5', { reasoningEffort: 'medium', webSearchConfig: { provider: 'google' } });
+        const payload = sentPayload();
+        expect(payload.thinking).toEqual({ type: 'enabled', budget_tokens: 8192 });
+        expect(payload.max_tokens).toBeGreaterThan(8192);
+        expect(payload.reasoningEffort).toBeUndefined();
+        expect(payload.webSearchConfig).toBeUndefined();
+    });
+
+    it('should send thinkingConfig to Gemini', async () => {
+        await send('google', 'gemini-2.5-flash', { reasoningEffort: 'low' });
+        const payload = sentPayload();
+        expect(payload.generationConfig.thinkingConfig).toEqual({ thinkingBudget: 1024, includeThoughts: true });
+        expect(payload.generationConfig.reasoningEffort).toBeUndefined();
+    });
+
+    it('should leave the payload untouched when no effort is chosen', async () => {
+        await send('anthropic', 'claude-sonnet-4-5', {});
+        const payload = sentPayload();
+        expect(payload.thinking).toBeUndefined();
+        expect(payload.max_tokens).toBe(4096);
+    });
+});
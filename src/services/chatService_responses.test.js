@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockEventStream } from '../test/mockResponses';
+
+/**
+ * Tests for the OpenAI Responses API path (used for OpenAI web search).
+ */
+
+const completedResponse = {
+    output: [
+        { type: 'web_search_call', id: 'ws_1', status: 'completed' },
+        { type: 'message', content: [{ type: 'output_text', text: 'Sunny.', annotations: [] }] }
+    ],
+    usage: { input_tokens: 120, output_tokens: 30, total_tokens: 150, output_tokens_details: { reasoning_tokens: 10 } }
+};
+
+const send = (extra = {}) => chatService.sendMessage({
+    provider: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: 'key',
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Weather in Paris?' }],
+    options: { webSearch: true },
+    ...extra
+});
+
+const sentPayload = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+describe('chatService OpenAI Responses API', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should send the whole conversation as input items with images', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse(completedResponse));
+
+        await send({
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'user', content: 'What is this?', files: [{ type: 'image', name: 'a.png', content: 'data:image/png;base64,AAA' }] },
+                { role: 'assistant', content: 'The Eiffel Tower.' },
+                { role: 'user', content: 'Weather there today?', files: [{ type: 'text', name: 'notes.txt', content: 'Trip notes' }] }
+            ]
+        });
+
+        const payload = sentPayload();
+        expect(global.fetch.mock.calls[0][0]).toBe('https://api.openai.com/v1/responses');
+        expect(payload.instructions).toBe('Be brief.');
+        expect(payload.input).toEqual([
+            {
+                role: 'user',
+                content: [
+                    { type: 'input_text', text: 'What is this?' },
+                    { type: 'input_image', image_url: 'data:image/png;base64,AAA' }
+                ]
+            },
+            { role: 'assistant', content: 'The Eiffel Tower.' },
+            { role: 'user', content: [{ type: 'input_text', text: 'Weather there today?\n\n--- notes.txt ---\nTrip notes' }] }
+        ]);
+    });
+
+    it('should report usage from the response', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse(completedResponse));
+
+        const result = await send();
+
+        expect(result.content).toBe('Sunny.');
+        expect(result.usage).toEqual({ prompt_tokens: 120, completion_tokens: 30, reasoning_tokens: 10, total_tokens: 150 });
+    });
+
+    it('should stream text deltas and pass the abort signal', async () => {
+        global.fetch.mockResolvedValue(mockEventStream([
+            { type: 'response.created', response: { status: 'in_progress' } },
+            { type: 'response.web_search_call.searching', item_id: 'ws_1' },
+            { type: 'response.output_text.delta', delta: 'Sun' },
+            { type: 'response.output_text.delta', delta: 'ny.' },
+            { type: 'response.completed', response: completedResponse }
+        ]));
+        const controller = new AbortController();
+        const onDelta = vi.fn();
+
+        const result = await send({ signal: controller.signal, onDelta });
+
+        expect(sentPayload().stream).toBe(true);
+        expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+        expect(onDelta).toHaveBeenCalledWith({ status: 'Searching the web...' });
+        expect(onDelta.mock.calls.filter(([d]) => d.content).map(([d]) => d.content).join('')).toBe('Sunny.');
+        expect(result.content).toBe('Sunny.');
+        expect(result.usage.total_tokens).toBe(150);
+    });
+
+    it('should surface stream failures', async () => {
+        global.fetch.mockResolvedValue(mockEventStream([
+            { type: 'response.failed', response: { error: { message: 'Rate limit reached' } } }
+        ]));
+
+        await expect(send({ signal: new AbortController().signal })).rejects.toThrow('Rate limit reached');
+    });
+});
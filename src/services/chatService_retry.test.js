@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse } from '../test/mockResponses';
+
+/**
+ * Tests for retrying rate limits and transient provider errors.
+ */
+
+const mockErrorResponse = (status, headers = {}) => ({
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    text: () => Promise.resolve(`status ${status}`),
+    json: () => Promise.resolve({ error: { message: `status ${status}` } })
+});
+
+const okResponse = mockJsonResponse({ choices: [{ message: { content: 'Hi' } }] });
+
+const send = (extra = {}) => chatService.sendMessage({
+    provider: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: 'key',
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Hello' }],
+    ...extra
+});
+
+describe('chatService Retry', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        global.fetch = vi.fn();
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('should wait for Retry-After and report the retry status', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockErrorResponse(429, { 'retry-after': '2' }))
+            .mockResolvedValueOnce(okResponse);
+        const onDelta = vi.fn();
+
+        const promise = send({ onDelta });
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(onDelta).toHaveBeenCalledWith({ retryStatus: 'Retrying in 2s (attempt 2/4)' });
+
+        await vi.advanceTimersByTimeAsync(1);
+        const result = await promise;
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(onDelta).toHaveBeenLastCalledWith({ retryStatus: null });
+        expect(result.content).toBe('Hi');
+    });
+
+    it('should release the body of a failed attempt before waiting', async () => {
+        const failed = { ...mockErrorResponse(503, { 'retry-after': '1' }), body: { cancel: vi.fn().mockResolvedValue() } };
+        global.fetch
+            .mockResolvedValueOnce(failed)
+            .mockResolvedValueOnce(okResponse);
+
+        const promise = send();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(failed.body.cancel).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect((await promise).content).toBe('Hi');
+    });
+
+    it('should back off exponentially and give up after the last attempt', async () => {
+        global.fetch.mockResolvedValue(mockErrorResponse(503));
+        vi.spyOn(Math, 'random').mockReturnValue(1); // Longest jittered delays: 1s, 2s, 4s
+
+        const promise = send();
+        const assertion = expect(promise).rejects.toThrow('API Error 503');
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        await vi.advanceTimersByTimeAsync(4000);
+
+        await assertion;
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not retry client errors', async () => {
+        global.fetch.mockResolvedValue(mockErrorResponse(400));
+
+        await expect(send()).rejects.toThrow('API Error 400');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tag a failed fetch as a network error', async () => {
+        global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await expect(send()).rejects.toMatchObject({ name: 'TypeError', networkError: true });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a Retry-After longer than the retry window instead of waiting', async () => {
+        global.fetch.mockResolvedValue(mockErrorResponse(429, { 'retry-after': '3600' }));
+
+        await expect(send()).rejects.toThrow('API Error 429');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting as soon as the request is aborted', async () => {
+        global.fetch.mockResolvedValue(mockErrorResponse(429, { 'retry-after': '10' }));
+        const controller = new AbortController();
+
+        const promise = send({ signal: controller.signal });
+        const assertion = expect(promise).rejects.toThrow('aborted');
+        await vi.advanceTimersByTimeAsync(100);
+        controller.abort();
+
+        await assertion;
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry Anthropic overloaded errors', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockErrorResponse(529, { 'retry-after': '1' }))
+            .mockResolvedValueOnce(mockJsonResponse({ content: [{ type: 'text', text: 'Hi' }], usage: {} }));
+
+        const promise = send({ provider: 'anthropic', baseUrl: undefined, model: 'claude-sonnet-4-5' });
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect((await promise).content).toBe('Hi');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockStreamResponse, mockEventStream } from '../test/mockResponses';
+import { webSearchService } from './webSearchService';
+
+/**
+ * Tests for the normalized `sources` list returned for web-search answers.
+ */
+
+const openRouterCitation = {
+    type: 'url_citation',
+    url_citation: { url: 'https://news.dev/final', title: 'Match report', content: 'Argentina won on penalties.' }
+};
+
+describe('chatService Sources', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should return OpenRouter web plugin annotations as sources', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            choices: [{ message: { content: 'Argentina won.', annotations: [openRouterCitation] } }]
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'key',
+            model: 'openai/gpt-4o',
+            messages: [{ role: 'user', content: 'Who won?' }],
+            options: { webSearch: true }
+        });
+
+        expect(result.content).toBe('Argentina won.');
+        expect(result.sources).toEqual([
+            { title: 'Match report', url: 'https://news.dev/final', snippet: 'Argentina won on penalties.' }
+        ]);
+    });
+
+    it('should collect annotations from streamed deltas', async () => {
+        global.fetch.mockResolvedValue(mockStreamResponse([
+            { choices: [{ delta: { content: 'Argentina won.' } }] },
+            { choices: [{ delta: { annotations: [openRouterCitation, openRouterCitation] } }] }
+        ]));
+
+        const result = await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'key',
+            model: 'openai/gpt-4o',
+            messages: [{ role: 'user', content: 'Who won?' }],
+            options: { webSearch: true },
+            signal: new AbortController().signal
+        });
+
+        expect(result.sources).toHaveLength(1);
+        expect(result.sources[0].url).toBe('https://news.dev/final');
+    });
+
+    it('should cite Anthropic web search results inline', async () => {
+        global.fetch.mockResolvedValue(mockEventStream([
+            { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'server_tool_use', id: 'srv_1', name: 'web_search', input: {} } },
+            { type: 'content_block_stop', index: 0 },
+            {
+                type: 'content_block_start', index: 1, content_block: {
+                    type: 'web_search_tool_result',
+                    tool_use_id: 'srv_1',
+                    content: [
+                        { type: 'web_search_result', url: 'https://news.dev/final', title: 'Match report' },
+                        { type: 'web_search_result', url: 'https://wiki.dev/cup', title: 'Wiki' }
+                    ]
+                }
+            },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'content_block_start', index: 2, content_block: { type: 'text', text: '' } },
+            {
+                type: 'content_block_delta', index: 2, delta: {
+                    type: 'citations_delta',
+                    citation: { type: 'web_search_result_location', url: 'https://wiki.dev/cup', title: 'Wiki', cited_text: 'Argentina are the champions.' }
+                }
+            },
+            { type: 'content_block_delta', index: 2, delta: { type: 'text_delta', text: 'Argentina won.' } },
+            { type: 'content_block_stop', index: 2 },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } }
+        ]));
+
+        const result = await chatService.sendMessage({
+            provider: 'anthropic',
+            apiKey: 'key',
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'Who won?' }],
+            options: { webSearch: true },
+            signal: new AbortController().signal
+        });
+
+        expect(result.sources).toEqual([
+            { title: 'Wiki', url: 'https://wiki.dev/cup', snippet: 'Argentina are the champions.' },
+            { title: 'Match report', url: 'https://news.dev/final', snippet: '' }
+        ]);
+        expect(result.content).toBe('Argentina won. [1](https://wiki.dev/cup)');
+    });
+
+    it('should insert Gemini grounding citations at the end of each supported segment', async () => {
+        // "é" is two bytes in UTF-8, so byte offsets run one ahead of string indexes
+        const text = 'Café prices rose. Tea fell.';
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            candidates: [{
+                content: { parts: [{ text }] },
+                finishReason: 'STOP',
+                groundingMetadata: {
+                    groundingChunks: [
+                        { web: { uri: 'https://a.dev', title: 'a.dev' } },
+                        { web: { uri: 'https://b.dev', title: 'b.dev' } }
+                    ],
+                    groundingSupports: [
+                        { segment: { startIndex: 0, endIndex: 18, text: 'Café prices rose.' }, groundingChunkIndices: [0, 1] },
+                        { segment: { startIndex: 19, endIndex: 28, text: 'Tea fell.' }, groundingChunkIndices: [1] }
+                    ]
+                }
+            }]
+        }));
+
+        const result = await chatService.sendMessage({
+            provider: 'google',
+            apiKey: 'key',
+            model: 'gemini-2.5-flash',
+            messages: [{ role: 'user', content: 'Prices?' }],
+            options: { webSearch: true }
+        });
+
+        expect(result.content).toBe('Café prices rose. [1](https://a.dev) [2](https://b.dev) Tea fell. [2](https://b.dev)');
+        expect(result.sources).toEqual([
+            { title: 'a.dev', url: 'https://a.dev', snippet: 'Café prices rose.' },
+            { title: 'b.dev', url: 'https://b.dev', snippet: 'Café prices rose.' }
+        ]);
+    });
+
+    it('should return the results of the web search tool as sources without keeping them in the trace', async () => {
+        vi.spyOn(webSearchService, 'search').mockResolvedValue([
+            { title: 'Match report', link: 'https://news.dev/final', snippet: 'Argentina won on penalties.' }
+        ]);
+        global.fetch
+            .mockResolvedValueOnce(mockJsonResponse({
+                choices: [{
+                    message: {
+                        content: null,
+                        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"query":"final"}' } }]
+                    }
+                }]
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({ choices: [{ message: { content: 'Argentina won.' } }] }));
+
+        const result = await chatService.sendMessage({
+            provider: 'openai',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: 'key',
+            model: 'gpt-4o',
+            messages: [{ role: 'user', content: 'Who won?' }],
+            options: { enableTools: true, webSearchConfig: { provider: 'serper', apiKey: 'k' } }
+        });
+
+        expect(result.sources).toEqual([
+            { title: 'Match report', url: 'https://news.dev/final', snippet: 'Argentina won on penalties.' }
+        ]);
+        expect(result.toolSteps[0].sources).toBeUndefined();
+    });
+});
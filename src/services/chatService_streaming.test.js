@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockSSEResponse } from '../test/mockResponses';
+
+// Streams in 16 byte reads, so events are split across chunks
+const mockChunkedResponse = (sseText) => mockSSEResponse(sseText, 16);
+
+describe('chatService Streaming', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should emit deltas for each OpenRouter chunk and return the full content', async () => {
+        global.fetch.mockResolvedValue(mockChunkedResponse(
+            ': OPENROUTER PROCESSING\n\n' +
+            'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n' +
+            'data: {"choices":[{"delta":{"content":" world"}}]}\n\n' +
+            'data: {"choices":[{"delta":{}}],"usage":{"total_tokens":12}}\n\n' +
+            'data: [DONE]\n'
+        ));
+
+        const onDelta = vi.fn();
+        const result = await chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'test-key',
+            model: 'openai/gpt-4o',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal,
+            onDelta
+        });
+
+        expect(onDelta).toHaveBeenCalledTimes(2);
+        expect(onDelta).toHaveBeenNthCalledWith(1, { content: 'Hello' });
+        expect(onDelta).toHaveBeenNthCalledWith(2, { content: ' world' });
+        expect(result.content).toBe('Hello world');
+        expect(result.usage.total_tokens).toBe(12);
+    });
+
+    it('should stream OpenAI responses and request usage in the final chunk', async () => {
+        global.fetch.mockResolvedValue(mockChunkedResponse(
+            'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n' +
+            'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":1,"total_tokens":4}}\n\n' +
+            'data: [DONE]\n'
+        ));
+
+        const result = await chatService.sendMessage({
+            provider: 'openai',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: 'test-key',
+            model: 'gpt-4o',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal
+        });
+
+        const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(payload.stream).toBe(true);
+        expect(payload.stream_options).toEqual({ include_usage: true });
+        expect(result.content).toBe('Hi');
+        expect(result.usage.total_tokens).toBe(4);
+    });
+
+    it('should not send stream options to local servers', async () => {
+        global.fetch.mockResolvedValue(mockChunkedResponse(
+            'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n' +
+            'data: [DONE]\n'
+        ));
+
+        const result = await chatService.sendMessage({
+            provider: 'local',
+            baseUrl: 'http://localhost:1234/v1',
+            model: 'qwen2.5-7b',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal
+        });
+
+        const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(payload.stream).toBe(true);
+        expect(payload.stream_options).toBeUndefined();
+        expect(result.content).toBe('Hi');
+    });
+
+    it('should surface errors sent inside the stream', async () => {
+        global.fetch.mockResolvedValue(mockChunkedResponse(
+            'data: {"choices":[{"delta":{"content":"Part"}}]}\n\n' +
+            'data: {"error":{"message":"Provider overloaded"}}\n\n'
+        ));
+
+        await expect(chatService.sendMessage({
+            provider: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            apiKey: 'test-key',
+            model: 'openai/gpt-4o',
+            messages: [{ role: 'user', content: 'hi' }],
+            signal: new AbortController().signal
+        })).rejects.toThrow('Provider overloaded');
+    });
+
+    describe('Anthropic', () => {
+        const anthropicParams = {
+            provider: 'anthropic',
+            baseUrl: 'https://api.anthropic.com',
+            apiKey: 'test-key',
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'hi' }]
+        };
+
+        const sse = (events) => events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join('');
+
+        it('should request a stream and reassemble text deltas with usage from the final event', async () => {
+            global.fetch.mockResolvedValue(mockChunkedResponse(sse([
+                { type: 'message_start', message: { usage: { input_tokens: 25, output_tokens: 1 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                { type: 'ping' },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' Claude' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 15 } },
+                { type: 'message_stop' }
+            ])));
+
+            const onDelta = vi.fn();
+            const result = await chatService.sendMessage({
+                ...anthropicParams,
+                signal: new AbortController().signal,
+                onDelta
+            });
+
+            const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(payload.stream).toBe(true);
+            expect(onDelta).toHaveBeenCalledWith({ content: 'Hello' });
+            expect(onDelta).toHaveBeenCalledWith({ content: ' Claude' });
+            expect(result.content).toBe('Hello Claude');
+            expect(result.usage).toEqual({ input_tokens: 25, output_tokens: 15, total_tokens: 40 });
+        });
+
+        it('should reassemble tool_use input from partial JSON deltas', async () => {
+            global.fetch.mockResolvedValue(mockChunkedResponse(sse([
+                { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me check. ' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city": "Par' } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'is"}' } },
+                { type: 'content_block_stop', index: 1 },
+                { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } }
+            ])));
+
+            const result = await chatService.sendMessage({
+                ...anthropicParams,
+                signal: new AbortController().signal
+            });
+
+            expect(result.content).toBe('Let me check. [Tool Use: get_weather Input: {"city":"Paris"}]');
+        });
+
+        it('should throw on stream error events', async () => {
+            global.fetch.mockResolvedValue(mockChunkedResponse(sse([
+                { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+                { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+            ])));
+
+            await expect(chatService.sendMessage({
+                ...anthropicParams,
+                signal: new AbortController().signal
+            })).rejects.toThrow('Overloaded');
+        });
+
+        it('should throw with the API message when the stream request fails', async () => {
+            global.fetch.mockResolvedValue({
+                ok: false,
+                status: 401,
+                statusText: 'Unauthorized',
+                text: () => Promise.resolve('{"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}')
+            });
+
+            await expect(chatService.sendMessage({
+                ...anthropicParams,
+                signal: new AbortController().signal
+            })).rejects.toThrow('Anthropic API Error 401: invalid x-api-key');
+        });
+    });
+});
@@ -0,0 +1,332 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chatService } from './chatService';
+import { mockJsonResponse, mockStreamResponse, mockEventStream } from '../test/mockResponses';
+
+/**
+ * Tests for the native tool loop (registered tools advertised via `tools`, calls executed client-side).
+ */
+
+const calculatorCall = (id, expression) => ({
+    id,
+    type: 'function',
+    function: { name: 'calculator', arguments: JSON.stringify({ expression }) }
+});
+
+const requestBody = (callIndex) => JSON.parse(global.fetch.mock.calls[callIndex][1].body);
+
+describe('chatService Native Tool Loop', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const send = (extra = {}) => chatService.sendMessage({
+        provider: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: 'key',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'What is 6 times 7?' }],
+        options: { enableTools: true },
+        ...extra
+    });
+
+    it('should not advertise tools unless enabled', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({ choices: [{ message: { content: 'Hi' } }] }));
+
+        await send({ options: {} });
+
+        expect(requestBody(0).tools).toBeUndefined();
+    });
+
+    it('should only offer the page and URL tools when the chat allows page access', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({ choices: [{ message: { content: 'Hi' } }] }));
+
+        await send();
+
+        const names = requestBody(0).tools.map(t => t.function.name);
+        expect(names).toContain('calculator');
+        expect(names).not.toContain('read_current_page');
+        expect(names).not.toContain('fetch_url');
+    });
+
+    it('should run tool calls, send the results back and return the final answer with a trace', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockJsonResponse({
+                choices: [{ message: { content: null, tool_calls: [calculatorCall('call_1', '6 * 7')] } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({
+                choices: [{ message: { content: '6 times 7 is 42.' } }],
+                usage: { prompt_tokens: 30, completion_tokens: 8, total_tokens: 38 }
+            }));
+
+        const result = await send({ options: { enableTools: true, pageAccess: true } });
+
+        const first = requestBody(0);
+        expect(first.tools.map(t => t.function.name)).toEqual(expect.arrayContaining(['calculator', 'read_current_page', 'fetch_url']));
+        expect(first.enableTools).toBeUndefined();
+
+        const second = requestBody(1);
+        expect(second.messages.slice(1)).toEqual([
+            { role: 'assistant', content: null, tool_calls: [calculatorCall('call_1', '6 * 7')] },
+            { role: 'tool', tool_call_id: 'call_1', content: '42' }
+        ]);
+
+        expect(result.content).toBe('6 times 7 is 42.');
+        expect(result.toolSteps).toEqual([
+            { name: 'calculator', args: { expression: '6 * 7' }, result: '42', isError: false }
+        ]);
+        expect(result.usage).toEqual({ prompt_tokens: 40, completion_tokens: 13, total_tokens: 53 });
+    });
+
+    it('should report invalid arguments to the model instead of failing', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockJsonResponse({
+                choices: [{ message: { content: '', tool_calls: [{ id: 'c', type: 'function', function: { name: 'calculator', arguments: '{oops' } }] } }]
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({ choices: [{ message: { content: 'Sorry.' } }] }));
+
+        const result = await send();
+
+        expect(requestBody(1).messages[2].content).toBe('Error: Arguments for calculator are not valid JSON');
+        expect(result.toolSteps[0].isError).toBe(true);
+    });
+
+    it('should force a final answer after the maximum number of rounds', async () => {
+        // Keep calling tools until the 6th request, which is told not to
+        let calls = 0;
+        global.fetch.mockImplementation(() => {
+            calls++;
+            if (calls === 6) {
+                return Promise.resolve(mockJsonResponse({ choices: [{ message: { content: 'Done.' } }] }));
+            }
+            return Promise.resolve(mockJsonResponse({
+                choices: [{ message: { content: '', tool_calls: [calculatorCall(`c${calls}`, '1 + 1')] } }]
+            }));
+        });
+
+        const result = await send();
+
+        expect(global.fetch).toHaveBeenCalledTimes(6);
+        expect(requestBody(4).tool_choice).toBeUndefined();
+        expect(requestBody(5).tool_choice).toBe('none');
+        expect(result.toolSteps).toHaveLength(5);
+        expect(result.content).toBe('Done.');
+    });
+
+    it('should assemble streamed tool call fragments and show a status while the tool runs', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockStreamResponse([
+                { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '' } }] } }] },
+                { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"expression":' } }] } }] },
+                { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"2^10"}' } }] } }] }
+            ]))
+            .mockResolvedValueOnce(mockStreamResponse([
+                { choices: [{ delta: { content: '1024' } }] }
+            ]));
+
+        const onDelta = vi.fn();
+        const result = await send({ signal: new AbortController().signal, onDelta });
+
+        expect(onDelta).toHaveBeenCalledWith({ status: 'Calculating 2^10...' });
+        expect(requestBody(1).messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '1024' });
+        expect(result.content).toBe('1024');
+        expect(result.toolSteps).toHaveLength(1);
+    });
+});
+
+describe('chatService Native Tool Loop (Anthropic)', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const send = (extra = {}) => chatService.sendMessage({
+        provider: 'anthropic',
+        baseUrl: 'https://api.anthropic.com',
+        apiKey: 'key',
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: 'What is 6 times 7?' }],
+        options: { enableTools: true },
+        ...extra
+    });
+
+    it('should send tool_result blocks back until Claude ends its turn', async () => {
+        const toolTurn = [
+            { type: 'text', text: 'Let me calculate.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '6 * 7' } }
+        ];
+        global.fetch
+            .mockResolvedValueOnce(mockJsonResponse({
+                content: toolTurn,
+                stop_reason: 'tool_use',
+                usage: { input_tokens: 50, output_tokens: 20 }
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({
+                content: [{ type: 'text', text: 'It is 42.' }],
+                stop_reason: 'end_turn',
+                usage: { input_tokens: 90, output_tokens: 5 }
+            }));
+
+        const result = await send();
+
+        const first = requestBody(0);
+        expect(first.tools.find(t => t.name === 'calculator').input_schema.required).toEqual(['expression']);
+
+        const second = requestBody(1);
+        expect(second.messages.slice(1)).toEqual([
+            { role: 'assistant', content: toolTurn },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '42' }] }
+        ]);
+
+        expect(result.content).toBe('Let me calculate.\n\nIt is 42.');
+        expect(result.toolSteps).toEqual([
+            { name: 'calculator', args: { expression: '6 * 7' }, result: '42', isError: false }
+        ]);
+        expect(result.usage).toEqual({ input_tokens: 140, output_tokens: 25, total_tokens: 165 });
+    });
+
+    it('should keep Anthropic web search as a server tool instead of ours', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            content: [{ type: 'text', text: 'Found it.' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 1, output_tokens: 1 }
+        }));
+
+        await send({
+            options: {
+                enableTools: true,
+                webSearch: true,
+                webSearchConfig: { provider: 'serper', apiKey: 'k' }
+            }
+        });
+
+        const tools = requestBody(0).tools;
+        expect(tools.filter(t => t.name === 'web_search')).toEqual([{ type: 'web_search_20250305', name: 'web_search' }]);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replay streamed thinking blocks with their signature before the tool result', async () => {
+        global.fetch
+            .mockResolvedValueOnce(mockEventStream([
+                { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Need math.' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: {} } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"expression":"2+2"}' } },
+                { type: 'content_block_stop', index: 1 },
+                { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } }
+            ]))
+            .mockResolvedValueOnce(mockEventStream([
+                { type: 'message_start', message: { usage: { input_tokens: 30 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '4' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 1 } }
+            ]));
+
+        const result = await send({ signal: new AbortController().signal, onDelta: vi.fn() });
+
+        expect(requestBody(1).messages[1]).toEqual({
+            role: 'assistant',
+            content: [
+                { type: 'thinking', thinking: 'Need math.', signature: 'sig' },
+                { type: 'tool_use', id: 'toolu_1', name: 'calculator', input: { expression: '2+2' } }
+            ]
+        });
+        expect(result.content).toBe('4');
+        expect(result.reasoning).toBe('Need math.');
+    });
+});
+
+describe('chatService Native Tool Loop (Gemini)', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const send = (extra = {}) => chatService.sendMessage({
+        provider: 'google',
+        baseUrl: 'https://generativelanguage.googleapis.com',
+        apiKey: 'key',
+        model: 'gemini-2.5-flash',
+        messages: [{ role: 'user', content: 'What is 6 times 7?' }],
+        options: { enableTools: true },
+        ...extra
+    });
+
+    it('should answer functionCall parts with functionResponse parts', async () => {
+        const modelParts = [{ functionCall: { name: 'calculator', args: { expression: '6 * 7' } }, thoughtSignature: 'sig' }];
+        global.fetch
+            .mockResolvedValueOnce(mockJsonResponse({
+                candidates: [{ content: { role: 'model', parts: modelParts }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 5, totalTokenCount: 25 }
+            }))
+            .mockResolvedValueOnce(mockJsonResponse({
+                candidates: [{ content: { role: 'model', parts: [{ text: 'It is 42.' }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 4, totalTokenCount: 44 }
+            }));
+
+        const result = await send({ options: { enableTools: true, pageAccess: true } });
+
+        const first = requestBody(0);
+        const declarations = first.tools[0].functionDeclarations;
+        expect(declarations.find(d => d.name === 'calculator').parameters.required).toEqual(['expression']);
+        expect(declarations.find(d => d.name === 'read_current_page').parameters).toBeUndefined();
+
+        expect(requestBody(1).contents.slice(1)).toEqual([
+            { role: 'model', parts: modelParts },
+            { role: 'user', parts: [{ functionResponse: { name: 'calculator', response: { result: '42' } } }] }
+        ]);
+
+        expect(result.content).toBe('It is 42.');
+        expect(result.toolSteps).toHaveLength(1);
+        expect(result.usage.total_tokens).toBe(69);
+    });
+
+    it('should keep Google Search instead of function declarations when web search is on', async () => {
+        global.fetch.mockResolvedValue(mockJsonResponse({
+            candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }]
+        }));
+
+        await send({ options: { enableTools: true, webSearch: true } });
+
+        expect(requestBody(0).tools).toEqual([{ google_search: {} }]);
+    });
+
+    it('should stop the loop when the request is aborted during a tool call', async () => {
+        const controller = new AbortController();
+        global.fetch.mockResolvedValueOnce(mockStreamResponse([
+            {
+                candidates: [{
+                    content: {
+                        role: 'model',
+                        parts: [
+                            { functionCall: { name: 'calculator', args: { expression: '1 + 1' } } },
+                            { functionCall: { name: 'calculator', args: { expression: '2 + 2' } } }
+                        ]
+                    },
+                    finishReason: 'STOP'
+                }]
+            }
+        ]));
+
+        const onDelta = vi.fn((delta) => {
+            if (delta.status) controller.abort();
+        });
+
+        await expect(send({ signal: controller.signal, onDelta })).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
@@ -5,29 +5,79 @@
  * Uses XML format for better compatibility with local models.
  */
 
+import { toolRegistry } from './toolRegistry';
+
+// Opening tags that mark the start of a tool call in any of the formats parseToolCall understands
+const TOOL_CALL_MARKERS = ['<tool_use>', '<tool_call>', '<tools>', '<function=', '<parameter='];
+
+// Web search keeps the name local models were originally prompted with (and that
+// parseToolCall falls back to when a model omits the tool name)
+const XML_TOOL_NAMES = { web_search: 'web-browsing' };
+
+// Wrapper tags that are never arguments themselves
+const STRUCTURAL_TAGS = ['tool_name', 'tool', 'parameters', 'parameter', 'tool_use', 'tool_call', 'tools'];
+
+// Collects <name>value</name> and <parameter=name>value pairs into an argument map
+const extractArgs = (inner) => {
+    const args = {};
+
+    const paramRegex = /<parameter=([\w-]+)>([\s\S]*?)(?=<\/parameter>|<parameter=|<\/function>|<\/tool_use>|<\/tool_call>|$)/g;
+    for (const match of inner.matchAll(paramRegex)) {
+        args[match[1]] = match[2].trim();
+    }
+
+    const elementRegex = /<([\w-]+)>([^<]*)<\/\1>/g;
+    for (const match of inner.matchAll(elementRegex)) {
+        if (!STRUCTURAL_TAGS.includes(match[1]) && !(match[1] in args)) {
+            args[match[1]] = match[2].trim();
+        }
+    }
+
+    return args;
+};
+
+// "- Parameters: query (string) - The search query" lines for the prompt
+const describeParameters = (schema) => {
+    const properties = Object.entries(schema?.properties || {});
+    if (properties.length === 0) return '   - Parameters: none';
+    return properties
+        .map(([name, prop]) => `   - Parameter: ${name} (${prop.type || 'string'})${prop.description ? ` - ${prop.description}` : ''}`)
+        .join('\n');
+};
+
 export const manualToolAdapter = {
     /**
      * Injects tool definitions into the system prompt.
      * @param {Array} messages - Chat history
+     * @param {Array} [tools] - Registered tools to offer (defaults to web search only)
      * @returns {Array} Modified messages
      */
-    injectHelper(messages) {
+    injectHelper(messages, tools = [toolRegistry.get('web_search')]) {
         const currentDate = new Date().toISOString().split('T')[0];
+        const toolList = tools.map((t, i) =>
+            `${i + 1}. ${this.getXmlToolName(t.name)}: ${t.description}\n${describeParameters(t.parameters)}`
+        ).join('\n');
+
+        const example = tools[0];
+        const exampleParams = Object.keys(example.parameters?.properties || {})
+            .map(name => `<${name}>value</${name}>`)
+            .join('\n');
+
         const TOOL_DEFINITION = `
 Current Date: ${currentDate}
 
 You have access to the following tools:
-1. web-browsing: Searches for a given query using a search engine to get better results.
-   - Parameters: query (string)
+${toolList}
 
-To use a tool, you MUST use the following XML format:
+To use a tool, you MUST use the following XML format, with one element per parameter:
 <tool_use>
-<tool_name>web-browsing</tool_name>
+<tool_name>${this.getXmlToolName(example.name)}</tool_name>
 <parameters>
-<query>your search query</query>
+${exampleParams}
 </parameters>
 </tool_use>
 
+Call one tool at a time and wait for its output before continuing.
 If no tool is needed, respond normally.
 Do not use other formats. Only use the format above.
 `;
@@ -51,10 +101,21 @@ Do not use other formats. Only use the format above.
         return newMessages;
     },
 
+    // Name a registered tool is offered under in the XML prompt
+    getXmlToolName(name) {
+        return XML_TOOL_NAMES[name] || name;
+    },
+
+    // Registry name for a tool name parsed from model output
+    resolveToolName(xmlName) {
+        const entry = Object.entries(XML_TOOL_NAMES).find(([, alias]) => alias === xmlName);
+        return entry ? entry[0] : xmlName;
+    },
+
     /**
      * Parses the model output for tool calls using XML.
      * @param {string} content - Model response content
-     * @returns {Object|null} - { tool: string, args: Object } or null
+     * @returns {Object|null} - { tool: string, args: Object } with every parameter found, or null
      */
     parseToolCall(content) {
         // 1. Try standard <tool_use> format
@@ -66,57 +127,32 @@ Do not use other formats. Only use the format above.
             const innerContent = match[1];
 
             // Extract tool name
+            // Default to 'web-browsing' if strictly inside <tool_use> but name is missing,
+            // which is how models prompted with the original single-tool format respond
             const nameMatch = innerContent.match(/<tool_name>(.*?)<\/tool_name>/);
-            // Default to 'web-browsing' if strictly inside <tool_use> but name is missing
-            // This is safe because we only inject one tool for local models right now
             const toolName = nameMatch ? nameMatch[1].trim() : 'web-browsing';
 
-            // Extract query parameter
-            // Support:
-            // 1. <query>val</query>
-            // 2. <parameter=query>val</parameter>
-            // 3. <parameter=query>val (implicit close by parent)
-            let query = null;
-
-            const queryMatch = innerContent.match(/<query>(.*?)<\/query>/);
-            if (queryMatch) {
-                query = queryMatch[1].trim();
-            } else {
-                // Try parameter=query format
-                const paramMatch = innerContent.match(/<parameter=query>([\s\S]*?)(?:<\/parameter>|$)/);
-                if (paramMatch) {
-                    query = paramMatch[1].trim();
-                }
-            }
+            // Supports <parameters><query>val</query></parameters>, <query>val</query>,
+            // <parameter=query>val</parameter> and <parameter=query>val (implicit close by parent)
+            const args = extractArgs(innerContent);
 
-            if (toolName && query) {
-                return {
-                    tool: toolName,
-                    args: { query }
-                };
+            // A named tool may take no arguments (e.g. read_current_page)
+            if (toolName && (nameMatch || Object.keys(args).length > 0)) {
+                return { tool: toolName, args };
             }
         }
 
         // 2. Try alternative <function=name> format (e.g. DeepSeek R1)
         // Format: <function=web-browsing><parameter=query>value</parameter></function>
-        const funcRegex = /<function=(\S+)>([\s\S]*?)<\/function>/;
+        // Also handle missing closing tag for parameter
+        const funcRegex = /<function=([^>\s]+)>([\s\S]*?)<\/function>/;
         const funcMatch = content.match(funcRegex);
 
         if (funcMatch) {
-            const toolName = funcMatch[1].trim();
-            const inner = funcMatch[2];
-
-            // Extract query from <parameter=query> or just <query> if distinct
-            // Also handle missing closing tag for parameter
-            const paramRegex = /(?:<parameter=query>|<query>)([\s\S]*?)(?:<\/parameter>|<\/query>|$)/;
-            const paramMatch = inner.match(paramRegex);
-
-            if (paramMatch) {
-                return {
-                    tool: toolName,
-                    args: { query: paramMatch[1].trim() }
-                };
-            }
+            return {
+                tool: funcMatch[1].trim(),
+                args: extractArgs(funcMatch[2])
+            };
         }
 
         // 3. Try <tools> wrapper format
@@ -127,20 +163,12 @@ Do not use other formats. Only use the format above.
         if (toolsMatch) {
             const inner = toolsMatch[1];
 
-            // Extract tool
-            const toolRegex = /<tool>(.*?)<\/tool>/;
-            const toolMatch = inner.match(toolRegex);
+            const toolMatch = inner.match(/<tool>(.*?)<\/tool>/);
             const toolName = toolMatch ? toolMatch[1].trim() : 'web-browsing';
+            const args = extractArgs(inner);
 
-            // Extract query from <parameter><query> or just <query>
-            const queryRegex = /<query>(.*?)<\/query>/;
-            const queryMatch = inner.match(queryRegex);
-
-            if (queryMatch) {
-                return {
-                    tool: toolName,
-                    args: { query: queryMatch[1].trim() }
-                };
+            if (toolMatch || Object.keys(args).length > 0) {
+                return { tool: toolName, args };
             }
         }
 
@@ -167,15 +195,46 @@ Do not use other formats. Only use the format above.
     },
 
     /**
-     * Formats the tool result into a message for the model.
-     * @param {Array} results - Search results
+     * Returns how much of a partially streamed response can be shown to the user.
+     * Output is held back from the first tool call marker on, including a marker
+     * that is still incomplete at the end of the stream (e.g. "<tool_").
+     * @param {string} content - Response content streamed so far
+     * @returns {number} - Number of leading characters that are safe to display
+     */
+    getDisplayableLength(content) {
+        let safeLength = content.length;
+
+        TOOL_CALL_MARKERS.forEach(marker => {
+            const index = content.indexOf(marker);
+            if (index !== -1) {
+                safeLength = Math.min(safeLength, index);
+                return;
+            }
+
+            // Check whether the tail of the content could still grow into this marker
+            for (let len = Math.min(marker.length - 1, content.length); len > 0; len--) {
+                if (content.endsWith(marker.slice(0, len))) {
+                    safeLength = Math.min(safeLength, content.length - len);
+                    break;
+                }
+            }
+        });
+
+        return safeLength;
+    },
+
+    /**
+     * Formats a tool's output into the user turn sent back to the model.
+     * @param {string} toolName - Tool name as the model called it
+     * @param {string} output - Tool output (or error text)
+     * @param {Object} [options]
+     * @param {boolean} [options.isLastRound] - No further tool calls will be run
      * @returns {string} - Formatted result string
      */
-    formatToolResult(results) {
-        if (!results || results.length === 0) {
-            return "<tool_output>No results found.</tool_output>";
-        }
-        const snippet = results.map((r, i) => `[${i + 1}] ${r.title}\nURL: ${r.link}\n${r.snippet}`).join('\n\n');
-        return `<tool_output>\n${snippet}\n</tool_output>\n\nBased on these results, please answer the user's original question.`;
+    formatToolResult(toolName, output, { isLastRound = false } = {}) {
+        const instruction = isLastRound
+            ? "You have used all available tool calls. Answer the user's original question now without calling any tools."
+            : "Call another tool if you need more information, otherwise answer the user's original question.";
+        return `<tool_output name="${toolName}">\n${output || 'No output.'}\n</tool_output>\n\n${instruction}`;
     }
 };
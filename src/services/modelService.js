@@ -114,10 +114,21 @@ const sortOpenAIModels = (models) => {
     });
 };
 
-export const fetchModels = async (customBaseUrl, includeFreeModels = false, provider = 'openrouter', apiKey = '') => {
+export const fetchModels = async (customBaseUrl, includeFreeModels = false, provider = 'openrouter', apiKey = '', extraHeaders = {}, deployments = []) => {
     try {
         const cleanProvider = (provider || 'openrouter').toLowerCase().trim();
 
+        // --- Azure OpenAI ---
+        // The data-plane API cannot list deployments, so the ones entered in Settings are the models.
+        // Deployment names say nothing about the model behind them; image input is allowed and
+        // rejected by Azure for deployments that cannot take it.
+        if (cleanProvider === 'azure') {
+            return deployments.map(name => {
+                const model = { id: name, name, architecture: { input_modalities: ['text', 'image'] } };
+                return { ...model, _category: getModelCategory(model) };
+            });
+        }
+
         // Check cache first
         const cacheKey = getCacheKey(cleanProvider, customBaseUrl, apiKey);
         const cachedModels = getCachedModels(cacheKey);
@@ -178,7 +189,8 @@ export const fetchModels = async (customBaseUrl, includeFreeModels = false, prov
                 .filter(m => m.name.includes('gemini'))
                 .map(m => ({
                     id: m.name.replace('models/', ''),
-                    name: m.displayName || m.name
+                    name: m.displayName || m.name,
+                    ...(m.inputTokenLimit && { context_length: m.inputTokenLimit })
                 }));
             const result = models.map(m => ({ ...m, _category: m.id.includes('flash') || m.id.includes('nano') ? 'Small' : 'Performance' }));
             setCachedModels(cacheKey, result);
@@ -198,7 +210,7 @@ export const fetchModels = async (customBaseUrl, includeFreeModels = false, prov
 
             const data = await response.json();
             models = (data.data || [])
-                .filter(m => m.id.includes('gpt') || m.id.includes('o1')) // Filter for GPT or o1 models
+                .filter(m => m.id.includes('gpt') || m.id.includes('o1') || m.id.includes('dall-e')) // GPT, o1 and image models
                 .map(m => ({ id: m.id, name: m.id }));
 
             // Apply sorting logic to OpenAI provider too
@@ -214,8 +226,8 @@ export const fetchModels = async (customBaseUrl, includeFreeModels = false, prov
         }
 
 
-        // --- OpenRouter / Local (Ollama/LM Studio) ---
-        // Explicitly check for 'openrouter' or 'local'. If unknown, default to openrouter logic but logs might be useful.
+        // --- OpenRouter / Local (Ollama/LM Studio) / Provider Profiles ---
+        // Explicitly check for 'openrouter' or 'local'. Other providers (profiles) are OpenAI-compatible endpoints.
         const isLocal = cleanProvider === 'local';
 
         // If the provider is unknown and not 'local', we treat it as OpenRouter (compatibility),
@@ -223,7 +235,8 @@ export const fetchModels = async (customBaseUrl, includeFreeModels = false, prov
 
         const baseUrl = customBaseUrl ? customBaseUrl.replace(/\/$/, '') : 'https://openrouter.ai/api/v1';
 
-        const headers = {};
+        // Extra headers come from provider profiles (any OpenAI-compatible endpoint)
+        const headers = { ...extraHeaders };
         if (apiKey) {
             headers['Authorization'] = `Bearer ${apiKey}`;
         }
@@ -83,6 +83,29 @@ describe('modelService', () => {
             })
         );
     });
+    it('should fetch a provider profile\'s models with its extra headers', async () => {
+        fetch.mockResolvedValueOnce({
+            ok: true,
+            text: async () => JSON.stringify({ data: mockModels }),
+        });
+
+        const models = await fetchModels('https://api.groq.com/openai/v1/', false, 'groq', 'gsk-key', { 'X-Team': 'research' });
+
+        expect(fetch).toHaveBeenCalledWith('https://api.groq.com/openai/v1/models', {
+            headers: { 'X-Team': 'research', 'Authorization': 'Bearer gsk-key' }
+        });
+        // Only OpenRouter's free models are filtered
+        expect(models).toHaveLength(4);
+    });
+
+    it('should list the configured Azure deployments without a request', async () => {
+        const models = await fetchModels('https://contoso.openai.azure.com', false, 'azure', 'azure-key', undefined, ['gpt-4o-prod', 'o3-mini']);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(models.map(m => m.id)).toEqual(['gpt-4o-prod', 'o3-mini']);
+        expect(models[0].architecture.input_modalities).toContain('image');
+    });
+
     it('should sort GPT-5 models to the top', async () => {
         const unsortedModels = [
             { id: 'openai/gpt-4-turbo-preview', name: 'GPT-4 Turbo' },
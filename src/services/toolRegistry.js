@@ -0,0 +1,251 @@
+/**
+ * Tool Registry
+ * Tools that models can call through native function calling.
+ * Each tool has a name, a description, a JSON schema for its arguments and an executor;
+ * chatService advertises them in each provider's format and runs the calls the model makes.
+ */
+import { webSearchService } from './webSearchService';
+import { scrapePage } from '../utils/pageScraper';
+import { evaluateExpression } from '../utils/calculator';
+
+// Tool output goes back into the prompt, so cap it
+const MAX_RESULT_LENGTH = 20000;
+
+// Readable text of an HTML document (scripts, styles and markup removed)
+const htmlToText = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, style, noscript, svg').forEach(el => el.remove());
+    // Keep block boundaries as line breaks
+    doc.querySelectorAll('p, div, br, li, tr, h1, h2, h3, h4, h5, h6, section, article').forEach(el => el.append('\n'));
+    return (doc.body?.textContent || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+};
+
+// Hosts fetch_url must not reach: loopback, private and link-local networks (the user's router,
+// local model servers, cloud metadata endpoints). The URL parser normalizes numeric hosts first,
+// so [0:0:0:0:0:0:0:1] arrives as [::1]. IPv6 addresses starting with "::" are the unspecified,
+// loopback, IPv4-mapped and IPv4-compatible ranges. Only the name is checked: the browser does not
+// expose what a public name resolves to, so DNS rebinding is not caught here.
+const PRIVATE_HOSTS = [
+    /^localhost$/, /\.localhost$/, /\.local$/, /\.internal$/,
+    /^0\./, /^10\./, /^127\./, /^169\.254\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./, /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./,
+    /^\[(::.*|f[cd][0-9a-f]*:.*|fe[89ab][0-9a-f]*:.*|64:ff9b:.*)\]$/
+];
+const MAX_REDIRECTS = 5;
+
+const isPublicUrl = (url) => {
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    return Boolean(hostname) && !PRIVATE_HOSTS.some(pattern => pattern.test(hostname));
+};
+
+// Page and URL access is opted into per chat: a page's text could otherwise be sent on to any URL
+// by a model following instructions hidden in the page
+const PAGE_ACCESS_OFF = 'Reading pages and URLs is turned off for this chat';
+
+const registeredTools = new Map();
+
+export const toolRegistry = {
+    /**
+     * Registers (or replaces) a tool.
+     * @param {Object} tool
+     * @param {string} tool.name - Function name the model calls
+     * @param {string} tool.description - What the tool does and when to use it
+     * @param {Object} tool.parameters - JSON schema of the arguments
+     * @param {Function} tool.execute - async (args, context) => string | Object
+     * @param {Function} [tool.isAvailable] - (context) => boolean, e.g. requires an API key
+     * @param {Function} [tool.getStatus] - (args) => string shown while the tool runs
+     * @param {Function} [tool.toSources] - (output) => [{ title, url, snippet }] cited by the answer
+     */
+    register(tool) {
+        if (!tool?.name || typeof tool.execute !== 'function') {
+            throw new Error('A tool needs a name and an execute function');
+        }
+        registeredTools.set(tool.name, tool);
+    },
+
+    unregister(name) {
+        registeredTools.delete(name);
+    },
+
+    get(name) {
+        return registeredTools.get(name) || null;
+    },
+
+    /**
+     * Tools usable with the given context.
+     * @param {Object} [context] - { webSearchConfig, pageAccess, signal }
+     * @returns {Array}
+     */
+    list(context = {}) {
+        return [...registeredTools.values()].filter(t => !t.isAvailable || t.isAvailable(context));
+    },
+
+    // OpenAI-compatible `tools` payload
+    toOpenAITools(context) {
+        return this.list(context).map(t => ({
+            type: 'function',
+            function: {
+                name: t.name,
+                description: t.description,
+                parameters: t.parameters
+            }
+        }));
+    },
+
+    // Anthropic Messages API `tools` payload
+    toAnthropicTools(context) {
+        return this.list(context).map(t => ({
+            name: t.name,
+            description: t.description,
+            input_schema: t.parameters
+        }));
+    },
+
+    // Gemini `functionDeclarations`; parameters are omitted for tools without arguments,
+    // since Gemini rejects an object schema with no properties
+    toGeminiFunctionDeclarations(context) {
+        return this.list(context).map(t => ({
+            name: t.name,
+            description: t.description,
+            ...(Object.keys(t.parameters?.properties || {}).length > 0 && { parameters: t.parameters })
+        }));
+    },
+
+    getStatus(name, args) {
+        const tool = this.get(name);
+        return tool?.getStatus ? tool.getStatus(args || {}) : `Running ${name}...`;
+    },
+
+    /**
+     * Runs a tool call. Failures are returned (not thrown) so the model can see and recover from them;
+     * only aborts propagate.
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @param {Object} [context] - { webSearchConfig, pageAccess, signal }
+     * @returns {Promise<{ result: string, isError: boolean, sources?: Array }>}
+     */
+    async execute(name, args, context = {}) {
+        const tool = this.get(name);
+        if (!tool) {
+            return { result: `Error: Unknown tool "${name}"`, isError: true };
+        }
+
+        try {
+            const output = await tool.execute(args || {}, context);
+            let result = typeof output === 'string' ? output : JSON.stringify(output);
+            if (result.length > MAX_RESULT_LENGTH) {
+                result = `${result.slice(0, MAX_RESULT_LENGTH)}\n[Output truncated]`;
+            }
+            const sources = tool.toSources ? tool.toSources(output) : [];
+            return sources.length > 0 ? { result, isError: false, sources } : { result, isError: false };
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            return { result: `Error: ${err.message}`, isError: true };
+        }
+    }
+};
+
+// --- Built-in Tools ---
+
+toolRegistry.register({
+    name: 'calculator',
+    description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e, sqrt, abs, round, floor, ceil, log, ln, sin, cos, tan, min and max.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'The expression to evaluate, e.g. "(1200 * 1.07) / 12"' }
+        },
+        required: ['expression']
+    },
+    getStatus: (args) => `Calculating ${args.expression || ''}...`,
+    execute: async ({ expression }) => String(evaluateExpression(expression))
+});
+
+toolRegistry.register({
+    name: 'read_current_page',
+    description: 'Returns the visible text of the web page the user currently has open in the browser tab.',
+    parameters: {
+        type: 'object',
+        properties: {}
+    },
+    isAvailable: (context) => Boolean(context.pageAccess),
+    getStatus: () => 'Reading the current page...',
+    execute: async (args, context) => {
+        if (!context.pageAccess) throw new Error(PAGE_ACCESS_OFF);
+        return (await scrapePage()).content;
+    }
+});
+
+toolRegistry.register({
+    name: 'web_search',
+    description: 'Searches the web and returns the top results with title, URL and snippet. Use it for recent events or facts you are unsure about.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'The search query' }
+        },
+        required: ['query']
+    },
+    // Needs a search provider key from the Web Search settings
+    isAvailable: (context) => Boolean(context.webSearchConfig?.apiKey),
+    getStatus: (args) => `Searching the web for "${args.query || ''}"...`,
+    execute: async ({ query }, context) => {
+        const config = context.webSearchConfig;
+        if (!config) {
+            throw new Error('Web Search Config missing. Please configure in Settings.');
+        }
+        const results = await webSearchService.search(config.provider, query, config);
+        return results.length > 0 ? results : 'No results found.';
+    },
+    toSources: (output) => Array.isArray(output)
+        ? output.map(r => ({ title: r.title, url: r.link, snippet: r.snippet }))
+        : []
+});
+
+toolRegistry.register({
+    name: 'fetch_url',
+    description: 'Downloads a web page by URL and returns its text. Use it to read a search result or a link the user gave.',
+    parameters: {
+        type: 'object',
+        properties: {
+            url: { type: 'string', description: 'Absolute http(s) URL' }
+        },
+        required: ['url']
+    },
+    isAvailable: (context) => Boolean(context.pageAccess),
+    getStatus: (args) => `Reading ${args.url || 'page'}...`,
+    execute: async ({ url }, context) => {
+        if (!context.pageAccess) throw new Error(PAGE_ACCESS_OFF);
+        if (!/^https?:\/\//i.test(url || '')) {
+            throw new Error('Only http(s) URLs can be fetched');
+        }
+        // Redirects are followed by hand so every hop is checked before it is requested
+        let target = new URL(url);
+        let res;
+        for (let hops = 0; ; hops++) {
+            if (!/^https?:$/.test(target.protocol)) {
+                throw new Error('Only http(s) URLs can be fetched');
+            }
+            if (!isPublicUrl(target)) {
+                throw new Error('Only public hosts can be fetched');
+            }
+            res = await fetch(target.href, { redirect: 'manual', signal: context.signal });
+            // Without host permissions the browser hides the target of a redirect
+            if (res.type === 'opaqueredirect') {
+                throw new Error(`Fetching ${url} failed: redirected to an unknown location`);
+            }
+            const location = res.status >= 300 && res.status < 400 && res.headers?.get?.('location');
+            if (!location) break;
+            if (hops >= MAX_REDIRECTS) {
+                throw new Error(`Fetching ${url} failed: too many redirects`);
+            }
+            res.body?.cancel().catch(() => { });
+            target = new URL(location, target);
+        }
+        if (!res.ok) {
+            throw new Error(`Fetching ${url} failed: ${res.status}`);
+        }
+        const body = await res.text();
+        const isHtml = (res.headers?.get?.('content-type') || '').includes('html') || /^\s*</.test(body);
+        return isHtml ? htmlToText(body) : body;
+    }
+});
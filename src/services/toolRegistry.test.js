@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toolRegistry } from './toolRegistry';
+import { webSearchService } from './webSearchService';
+
+describe('toolRegistry', () => {
+    afterEach(() => {
+        toolRegistry.unregister('echo');
+        vi.restoreAllMocks();
+    });
+
+    it('should advertise registered tools in OpenAI function format', () => {
+        toolRegistry.register({
+            name: 'echo',
+            description: 'Echoes text',
+            parameters: { type: 'object', properties: { text: { type: 'string' } } },
+            execute: async ({ text }) => text
+        });
+
+        const echo = toolRegistry.toOpenAITools().find(t => t.function.name === 'echo');
+        expect(echo).toEqual({
+            type: 'function',
+            function: {
+                name: 'echo',
+                description: 'Echoes text',
+                parameters: { type: 'object', properties: { text: { type: 'string' } } }
+            }
+        });
+    });
+
+    it('should only offer web search when a search key is configured', () => {
+        expect(toolRegistry.list().map(t => t.name)).not.toContain('web_search');
+        expect(toolRegistry.list({ webSearchConfig: { provider: 'serper', apiKey: 'k' } }).map(t => t.name)).toContain('web_search');
+    });
+
+    it('should run the calculator tool', async () => {
+        expect(await toolRegistry.execute('calculator', { expression: '6 * 7' })).toEqual({ result: '42', isError: false });
+    });
+
+    it('should pass the search config to the web search tool', async () => {
+        const spy = vi.spyOn(webSearchService, 'search').mockResolvedValue([{ title: 'T', link: 'https://t.dev', snippet: 'S' }]);
+        const config = { provider: 'serper', apiKey: 'k' };
+
+        const output = await toolRegistry.execute('web_search', { query: 'news' }, { webSearchConfig: config });
+
+        expect(spy).toHaveBeenCalledWith('serper', 'news', config);
+        expect(JSON.parse(output.result)).toEqual([{ title: 'T', link: 'https://t.dev', snippet: 'S' }]);
+    });
+
+    it('should return web search results as sources', async () => {
+        vi.spyOn(webSearchService, 'search').mockResolvedValue([{ title: 'T', link: 'https://t.dev', snippet: 'S' }]);
+
+        const output = await toolRegistry.execute('web_search', { query: 'news' }, { webSearchConfig: { provider: 'serper', apiKey: 'k' } });
+
+        expect(output.sources).toEqual([{ title: 'T', url: 'https://t.dev', snippet: 'S' }]);
+    });
+
+    it('should return failures as results instead of throwing', async () => {
+        expect(await toolRegistry.execute('missing', {})).toEqual({ result: 'Error: Unknown tool "missing"', isError: true });
+
+        const output = await toolRegistry.execute('calculator', { expression: '1 +' });
+        expect(output.isError).toBe(true);
+        expect(output.result).toMatch(/^Error: /);
+    });
+
+    it('should let aborts propagate', async () => {
+        toolRegistry.register({
+            name: 'echo',
+            execute: async () => {
+                throw new DOMException('Aborted', 'AbortError');
+            }
+        });
+
+        await expect(toolRegistry.execute('echo', {})).rejects.toThrow('Aborted');
+    });
+
+    it('should fetch a URL and return the page text without markup', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            headers: { get: () => 'text/html; charset=utf-8' },
+            text: () => Promise.resolve('<html><head><style>p{}</style></head><body><h1>Title</h1><script>x()</script><p>Body text</p></body></html>')
+        });
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com' }, { pageAccess: true });
+
+        expect(global.fetch).toHaveBeenCalledWith('https://example.com/', expect.objectContaining({ redirect: 'manual' }));
+        expect(output).toEqual({ result: 'Title\nBody text', isError: false });
+    });
+
+    it('should refuse non-http URLs', async () => {
+        const output = await toolRegistry.execute('fetch_url', { url: 'file:///etc/passwd' }, { pageAccess: true });
+        expect(output).toEqual({ result: 'Error: Only http(s) URLs can be fetched', isError: true });
+    });
+
+    it('should refuse local and private hosts', async () => {
+        global.fetch = vi.fn();
+        const urls = [
+            'http://localhost:11434/api/tags', 'http://127.0.0.1/', 'http://2130706433/', 'http://192.168.1.1/admin',
+            'http://10.0.0.5/', 'http://172.20.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://printer.local/',
+            'http://[::]/', 'http://[0:0:0:0:0:0:0:0]/', 'http://[0:0:0:0:0:0:0:1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/'
+        ];
+
+        for (const url of urls) {
+            const output = await toolRegistry.execute('fetch_url', { url }, { pageAccess: true });
+            expect(output).toEqual({ result: 'Error: Only public hosts can be fetched', isError: true });
+        }
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    const redirectTo = (location) => ({ ok: false, status: 302, headers: { get: (name) => name === 'location' ? location : null } });
+    const textPage = (text) => ({ ok: true, status: 200, headers: { get: () => 'text/plain' }, text: () => Promise.resolve(text) });
+
+    it('should refuse a redirect to a private host before requesting it', async () => {
+        global.fetch = vi.fn().mockResolvedValueOnce(redirectTo('http://169.254.169.254/latest/meta-data'));
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com/go' }, { pageAccess: true });
+
+        expect(output).toEqual({ result: 'Error: Only public hosts can be fetched', isError: true });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow redirects between public hosts', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(redirectTo('/moved'))
+            .mockResolvedValueOnce(redirectTo('https://www.example.org/page'))
+            .mockResolvedValueOnce(textPage('Moved page'));
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com/go' }, { pageAccess: true });
+
+        expect(output).toEqual({ result: 'Moved page', isError: false });
+        expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['https://example.com/go', 'https://example.com/moved', 'https://www.example.org/page']);
+    });
+
+    it('should stop after too many redirects', async () => {
+        global.fetch = vi.fn().mockResolvedValue(redirectTo('https://example.com/loop'));
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com/loop' }, { pageAccess: true });
+
+        expect(output).toEqual({ result: 'Error: Fetching https://example.com/loop failed: too many redirects', isError: true });
+        expect(global.fetch).toHaveBeenCalledTimes(6);
+    });
+
+    it('should refuse a redirect whose target the browser hides', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ type: 'opaqueredirect', ok: false, status: 0, headers: { get: () => null } });
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com/go' }, { pageAccess: true });
+
+        expect(output).toEqual({ result: 'Error: Fetching https://example.com/go failed: redirected to an unknown location', isError: true });
+    });
+
+    it('should only offer and run the page and URL tools with page access', async () => {
+        global.fetch = vi.fn();
+
+        expect(toolRegistry.list().map(t => t.name)).not.toContain('fetch_url');
+        expect(toolRegistry.list({ pageAccess: true }).map(t => t.name)).toEqual(expect.arrayContaining(['read_current_page', 'fetch_url']));
+
+        const output = await toolRegistry.execute('fetch_url', { url: 'https://example.com' });
+        expect(output).toEqual({ result: 'Error: Reading pages and URLs is turned off for this chat', isError: true });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -1,20 +1,34 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Settings, Lock, X, Plus, Menu, ChevronDown } from 'lucide-react';
 import HistorySidebar from '../components/HistorySidebar';
 import ChatInput from '../components/ChatInput';
 import MessageList from '../components/MessageList';
+import ContextWarning from '../components/ContextWarning';
 import { useChatStore } from '../store/useChatStore';
 import { processFile } from '../utils/fileProcessor';
 import { scrapePage } from '../utils/pageScraper';
-import { fetchModels } from '../services/modelService';
+import { fetchModels, clearModelCache } from '../services/modelService';
 import { chatService } from '../services/chatService';
 import { encryptData, decryptData } from '../utils/encryption';
 import DocViewerModal from '../components/DocViewerModal';
+import ProviderProfileForm from '../components/ProviderProfileForm';
+import AzureSettings from '../components/AzureSettings';
+import { estimateCost } from '../utils/costEstimate';
+import { DEFAULT_BASE_URLS, parseFallbackChain, formatFallbackChain, shouldFallBack } from '../utils/fallbackChain';
+import { BUILT_IN_PROVIDERS, findProfile, getProviderLabel } from '../utils/providerProfiles';
+import { supportsVision, supportsNativePdf } from '../utils/modelCapabilities';
+import { fitOptionsToModel } from '../utils/generationParams';
+import {
+    getContextLimit, getInputBudget, estimateContextTokens, fitToContext,
+    buildSummaryRequest, applySummary, getSummaryCut, CONTEXT_WARN_RATIO
+} from '../utils/contextWindow';
 
 export default function App() {
     const {
         activeCloudProvider, setActiveCloudProvider,
         encryptedApiKeys, setEncryptedApiKey,
+        providerProfiles, addProviderProfile, updateProviderProfile, deleteProviderProfile,
+        azureConfig, setAzureConfig,
         messages, addMessage,
         model, setModel, createNewChat,
         availableModels, setAvailableModels,
@@ -25,23 +39,32 @@ export default function App() {
         providerMode, setProviderMode,
         localBaseUrl, setLocalBaseUrl,
         webSearchConfig, setWebSearchConfig,
-        truncateAtMessage, currentSessionId: storeSessionId
+        toolsEnabled, setToolsEnabled,
+        maxToolRounds, setMaxToolRounds,
+        fallbackChains, setFallbackChain,
+        sessions, setSessionContextStrategy, setSessionSummary,
+        truncateAtMessage, keepComparisonAnswer, currentSessionId: storeSessionId
     } = useChatStore();
 
     // Local UI state
     const [showSettings, setShowSettings] = useState(false);
     const [loadingSessionIds, setLoadingSessionIds] = useState([]); // Track loading state per session
+    const [streamingDrafts, setStreamingDrafts] = useState({}); // Partial assistant output per session
     const [isHistoryOpen, setIsHistoryOpen] = useState(false);
     const [attachments, setAttachments] = useState([]);
 
     const [tempKey, setTempKey] = useState('');
     const [tempBaseUrl, setTempBaseUrl] = useState('');
     const [tempLocalUrl, setTempLocalUrl] = useState('');
+    const [isAddingProfile, setIsAddingProfile] = useState(false);
 
     // Web Search Settings State
     const [tempSearchKey, setTempSearchKey] = useState('');
     const [tempSearchCX, setTempSearchCX] = useState('');
 
+    // Fallback chain editor for the selected model (one "provider:model" per line)
+    const [tempFallbacks, setTempFallbacks] = useState('');
+
     const [isDragging, setIsDragging] = useState(false);
     const [viewingFile, setViewingFile] = useState(null);
     const abortControllerRef = useRef(null);
@@ -49,6 +72,14 @@ export default function App() {
     // Derived loading state for current view
     const currentSessionId = useChatStore(state => state.currentSessionId);
     const isCurrentSessionLoading = loadingSessionIds.includes(currentSessionId);
+    const currentStreamingDraft = streamingDrafts[currentSessionId] || null;
+
+    // Context usage of the current chat (with pending attachments) against the selected model's window
+    const currentSession = (sessions || []).find(s => s.id === currentSessionId);
+    const contextLimit = getContextLimit(availableModels.find(m => m.id === model) || model);
+    const contextTokens = useMemo(() => estimateContextTokens(
+        applySummary([...messages, { role: 'user', content: '', files: attachments }], currentSession?.summary)
+    ), [messages, attachments, currentSession?.summary]);
 
     // Initialize session
     useEffect(() => {
@@ -96,6 +127,18 @@ export default function App() {
         loadSearchKey();
     }, [showSettings, webSearchConfig]);
 
+    // Load the fallback chain of the selected model
+    useEffect(() => {
+        if (showSettings) {
+            setTempFallbacks(formatFallbackChain(fallbackChains[model]));
+        }
+    }, [showSettings, model, fallbackChains]);
+
+    const handleSaveFallbacks = () => {
+        const currentProvider = providerMode === 'local' ? 'local' : activeCloudProvider;
+        setFallbackChain(model, parseFallbackChain(tempFallbacks, currentProvider, providerProfiles.map(p => p.id)));
+    };
+
     // Manual Save Key Handler
     const handleSaveKey = async () => {
         // If empty, clear it
@@ -221,11 +264,13 @@ export default function App() {
         const loadModels = async () => {
             const isLocal = providerMode === 'local';
             const provider = isLocal ? 'local' : activeCloudProvider;
-            const urlToUse = isLocal ? localBaseUrl : customBaseUrl;
+            const activeProfile = isLocal ? null : findProfile(providerProfiles, activeCloudProvider);
+            let urlToUse = isLocal ? localBaseUrl : (activeProfile ? activeProfile.baseUrl : customBaseUrl);
+            if (provider === 'azure') urlToUse = azureConfig.endpoint;
             let apiKey = '';
 
             if (!isLocal) {
-                const encKey = encryptedApiKeys[activeCloudProvider];
+                const encKey = activeProfile ? activeProfile.encryptedApiKey : encryptedApiKeys[activeCloudProvider];
                 if (encKey) {
                     try {
                         apiKey = await decryptData(encKey);
@@ -240,7 +285,7 @@ export default function App() {
                 if (!isActive) return;
 
                 // fetchModels now accepts provider
-                const models = await fetchModels(urlToUse, includeFreeModels, provider, apiKey);
+                const models = await fetchModels(urlToUse, includeFreeModels, provider, apiKey, activeProfile?.headers, azureConfig.deployments);
 
                 if (!isActive) return;
 
@@ -268,15 +313,53 @@ export default function App() {
         return () => {
             isActive = false;
         };
-    }, [customBaseUrl, localBaseUrl, includeFreeModels, providerMode, activeCloudProvider, encryptedApiKeys, setAvailableModels, setModel]);
+    }, [customBaseUrl, localBaseUrl, includeFreeModels, providerMode, activeCloudProvider, encryptedApiKeys, providerProfiles, azureConfig, setAvailableModels, setModel]);
+
+    // Summarizes the turns before the most recent ones into the session's pinned summary.
+    // Returns the new summary, or null when there is nothing new to summarize or the call failed.
+    const summarizeOlderTurns = async ({ messages, previousSummary, budget, endpoint, sessionId, signal }) => {
+        const messageCount = getSummaryCut(messages);
+        const alreadyCovered = previousSummary?.messageCount || 0;
+        if (messageCount <= alreadyCovered) return null;
+
+        setStreamingDrafts(prev => ({
+            ...prev,
+            [sessionId]: { content: '', reasoning: '', status: 'Summarizing earlier messages...', retryStatus: null }
+        }));
+
+        try {
+            const response = await chatService.sendMessage({
+                ...endpoint,
+                messages: buildSummaryRequest(messages.slice(alreadyCovered, messageCount), previousSummary?.content, budget),
+                signal
+            });
+            const content = response.content?.trim();
+            if (!content) return null;
+
+            const summary = { content, messageCount };
+            setSessionSummary(sessionId, summary);
+            return summary;
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            console.warn('[App] Summarizing older turns failed:', err.message);
+            return null;
+        }
+    };
 
-    const handleSend = async (text, options = {}) => {
+    // isRetry re-sends the user message already at the end of the chat instead of adding a new one
+    const handleSend = async (text, options = {}, { isRetry = false } = {}) => {
+        // Read fresh so a retry after "Switch model" uses the newly selected model
+        const model = useChatStore.getState().model;
         const isLocal = providerMode === 'local';
         const provider = isLocal ? 'local' : activeCloudProvider;
+        // Profiles may point at a gateway without auth, so their key is optional
+        const activeProfile = isLocal ? null : findProfile(providerProfiles, activeCloudProvider);
         const { webSearch } = options;
         let apiKey = '';
 
-        if (!isLocal) {
+        if (activeProfile) {
+            apiKey = activeProfile.encryptedApiKey ? await decryptData(activeProfile.encryptedApiKey) : '';
+        } else if (!isLocal) {
             const encKey = encryptedApiKeys[activeCloudProvider];
             if (!encKey) {
                 setShowSettings(true);
@@ -293,48 +376,69 @@ export default function App() {
         const initiatingSessionId = useChatStore.getState().currentSessionId;
         setLoadingSessionIds(prev => [...prev, initiatingSessionId]);
 
-        try {
-            // 1. Check Payload Requirements (Vision)
-            const activeModelData = availableModels.find(m => m.id === model);
-            // Heuristics for vision support
-            const supportsVision =
-                // Trust the metadata if it exists 
-                activeModelData?.architecture?.input_modalities?.includes("image") ||
-
-                // Catch common naming conventions
-                model.toLowerCase().includes("vision") ||
-                model.toLowerCase().includes("vl") ||
-
-                // Catch known families 
-                /claude-3|claude-4|gpt-4|gemini|llama-3\.2/.test(model.toLowerCase());
+        // Streamed output so far (kept if the user presses Stop)
+        let startTime = Date.now();
+        let firstTokenTime = null;
+        let streamedContent = '';
+        let streamedReasoning = '';
+        let streamStatus = null; // e.g. "Searching the web..." while a tool runs
+        let retryStatus = null; // e.g. "Retrying in 2s (attempt 2/4)" after a rate limit
 
-            const hasImages = attachments.some(f => f.type === 'image');
+        // Selected model first, then its configured fallbacks
+        const candidates = [{ provider, model }, ...(fallbackChains[model] || [])];
+        let userMessageAdded = isRetry;
 
-            if (hasImages && !supportsVision) {
+        try {
+            // 1. Check Payload Requirements (Vision)
+            const findModelData = (id) => availableModels.find(m => m.id === id);
+
+            // The original bytes of attached PDFs are only stored when a model of this request reads
+            // PDFs natively; the others get the extracted text, so the session stays small
+            const readsPdfs = [...candidates, ...(options.compareModels || [])]
+                .some(c => supportsNativePdf(findModelData(c.model) || c.model));
+            const files = readsPdfs
+                ? attachments
+                : attachments.map(f => f.mimeType === 'application/pdf' ? { ...f, originalContent: undefined } : f);
+            const userMsg = isRetry
+                ? useChatStore.getState().messages.at(-1)
+                : { role: 'user', content: text, files };
+            const hasImages = (userMsg.files || []).some(f => f.type === 'image');
+
+            // Compared models report their own errors for images they cannot take
+            if (hasImages && !supportsVision(findModelData(model) || model) && !options.compareModels) {
                 throw new Error(`Model ${model} does not support image inputs. Please switch to a vision model (like Claude 3, GPT-4o, or Gemini).`);
             }
 
             // 2. Add User Message (Optimistic UI)
-            const userMsg = { role: 'user', content: text, files: attachments };
-
-            // We use addMessage for the user message to ensure it appears immediately
-            // But we should really use addMessageToSession to be safe, though addMessage defaults to valid current.
-            // Let's stick to addMessage for the user interaction trigger (synchronous-ish)
-            addMessage(userMsg);
-
-            setAttachments([]);
+            if (!isRetry) {
+                // We use addMessage for the user message to ensure it appears immediately
+                // But we should really use addMessageToSession to be safe, though addMessage defaults to valid current.
+                // Let's stick to addMessage for the user interaction trigger (synchronous-ish)
+                addMessage(userMsg);
+                userMessageAdded = true;
+
+                setAttachments([]);
+            }
 
             // 3. Prepare Service Call
-            const startTime = Date.now();
-            let baseUrl = isLocal ? (localBaseUrl || 'http://localhost:11434/v1') : customBaseUrl;
+            startTime = Date.now();
+            let baseUrl = isLocal ? (localBaseUrl || 'http://localhost:11434/v1') : (activeProfile ? activeProfile.baseUrl : customBaseUrl);
+            const headers = activeProfile?.headers;
+            // Azure requests go to a deployment of the resource endpoint from the Azure settings
+            const apiVersion = provider === 'azure' ? azureConfig.apiVersion : undefined;
+            if (provider === 'azure') baseUrl = azureConfig.endpoint;
 
             // Create AbortController for this request
             const controller = new AbortController();
             abortControllerRef.current = controller;
 
+            // Tools run client-side (native function calling in the cloud, the XML tool protocol locally)
+            const enableTools = toolsEnabled;
+
             // Prepare Web Search Config with Decrypted Key
             let activeWebSearchConfig = null;
-            if (options.webSearch && providerMode === 'local') {
+            const hasLocalCandidate = [...candidates, ...(options.compareModels || [])].some(c => c.provider === 'local');
+            if ((options.webSearch && hasLocalCandidate) || enableTools) {
                 // Clone to avoid mutating store state
                 const config = { ...webSearchConfig };
                 if (config.encryptedApiKey) {
@@ -350,59 +454,287 @@ export default function App() {
             }
 
             if (!isLocal && !baseUrl) {
-                if (activeCloudProvider === 'openrouter') baseUrl = 'https://openrouter.ai/api/v1';
-                else if (activeCloudProvider === 'openai') baseUrl = 'https://api.openai.com/v1';
-                else if (activeCloudProvider === 'anthropic') baseUrl = 'https://api.anthropic.com';
-                else if (activeCloudProvider === 'google') baseUrl = 'https://generativelanguage.googleapis.com';
+                baseUrl = DEFAULT_BASE_URLS[activeCloudProvider];
             }
 
+            // Endpoint and key of a fallback candidate (the custom endpoint only applies to the selected provider)
+            const resolveEndpoint = async (candidateProvider) => {
+                if (candidateProvider === provider) return { baseUrl, apiKey, headers, apiVersion };
+                if (candidateProvider === 'local') {
+                    return { baseUrl: localBaseUrl || DEFAULT_BASE_URLS.local, apiKey: '' };
+                }
+                if (candidateProvider === 'azure') {
+                    const encKey = encryptedApiKeys.azure;
+                    return {
+                        baseUrl: azureConfig.endpoint,
+                        apiKey: encKey ? await decryptData(encKey) : '',
+                        apiVersion: azureConfig.apiVersion
+                    };
+                }
+                const profile = findProfile(providerProfiles, candidateProvider);
+                if (profile) {
+                    return {
+                        baseUrl: profile.baseUrl,
+                        apiKey: profile.encryptedApiKey ? await decryptData(profile.encryptedApiKey) : '',
+                        headers: profile.headers
+                    };
+                }
+                const encKey = encryptedApiKeys[candidateProvider];
+                return {
+                    baseUrl: DEFAULT_BASE_URLS[candidateProvider],
+                    apiKey: encKey ? await decryptData(encKey) : ''
+                };
+            };
+
             // Use unified chat service
-            // IMPORTANT: Read fresh messages from store to handle edit/regenerate correctly
-            const currentMessages = useChatStore.getState().messages;
-            const response = await chatService.sendMessage({
-                provider: provider,
-                baseUrl: baseUrl,
-                apiKey: apiKey,
-                model: model,
-                messages: currentMessages.concat(userMsg),
-                options: {
-                    ...options,
-                    webSearchConfig: activeWebSearchConfig // Pass decrypted config
-                },
-                signal: controller.signal
-            });
+            // IMPORTANT: Read fresh messages from store to handle edit/regenerate correctly.
+            // The initiating session's history already ends with userMsg (added above).
+            const session = useChatStore.getState().sessions.find(s => s.id === initiatingSessionId);
+            const currentMessages = session?.messages || useChatStore.getState().messages;
+
+            const { compareModels, ...sendOptions } = options;
+            const requestOptions = {
+                ...sendOptions,
+                ...(enableTools && { enableTools, maxToolRounds }),
+                webSearchConfig: activeWebSearchConfig // Pass decrypted config
+            };
 
-            const endTime = Date.now();
+            // Fits the conversation into a model's context window with the session's strategy.
+            // A summary written for one model is kept for the next ones (e.g. fallbacks).
+            let summary = session?.summary;
+            const fitRequestMessages = async (candidate, endpoint, maxTokens) => {
+                let fitted = applySummary(currentMessages, summary);
+                const contextLimit = getContextLimit(findModelData(candidate.model) || candidate.model);
+                if (!contextLimit || !session?.contextStrategy) return fitted;
+
+                const budget = getInputBudget(contextLimit, maxTokens);
+                let strategy = session.contextStrategy;
+
+                if (strategy === 'summarize' && estimateContextTokens(fitted) > budget) {
+                    const newSummary = await summarizeOlderTurns({
+                        messages: currentMessages,
+                        previousSummary: summary,
+                        budget,
+                        endpoint: { ...endpoint, provider: candidate.provider, model: candidate.model },
+                        sessionId: initiatingSessionId,
+                        signal: controller.signal
+                    });
+                    if (newSummary) {
+                        summary = newSummary;
+                        fitted = applySummary(currentMessages, summary);
+                    }
+                    // Recent turns that alone exceed the window are cut after the pinned summary
+                    strategy = 'sliding-window';
+                }
 
-            // Calculate Metrics
-            let cost = 0;
+                return fitToContext(fitted, budget, strategy);
+            };
 
-            // 1. Prefer Provider's reported cost (OpenRouter)
-            if (response.usage?.cost) {
-                cost = parseFloat(response.usage.cost);
-            }
-            // 2. Fallback to local estimation
-            else if (activeModelData?.pricing) {
-                const { prompt, completion } = activeModelData.pricing;
-                const inputTokens = response.usage?.prompt_tokens || response.usage?.input_tokens || 0;
-                const outputTokens = response.usage?.completion_tokens || response.usage?.output_tokens || 0;
-
-                // Pricing is usually per 1M tokens or similar, ensure we handle the string/number format
-                if (prompt && completion) {
-                    cost = (parseFloat(prompt) * inputTokens) + (parseFloat(completion) * outputTokens);
+            // The assistant message for a response, with the metrics shown under it
+            const toAssistantMessage = (response, { answeredBy, firstToken, skippedModels = [] }) => {
+                const endTime = Date.now();
+
+                // Calculate Metrics
+                let cost = 0;
+
+                // 1. Prefer Provider's reported cost (OpenRouter)
+                if (response.usage?.cost) {
+                    cost = parseFloat(response.usage.cost);
+                }
+                // 2. Fallback to local estimation (with the pricing of the model that answered)
+                else {
+                    cost = estimateCost(availableModels.find(m => m.id === answeredBy.model)?.pricing, response.usage);
+                }
+
+                return {
+                    role: 'assistant',
+                    content: response.content,
+                    reasoning: response.reasoning || '',
+                    attachments: response.attachments || [],
+                    ...(response.toolSteps?.length > 0 && { toolSteps: response.toolSteps }),
+                    ...(response.sources?.length > 0 && { sources: response.sources }),
+                    ...(response.json && { json: response.json }),
+                    metadata: {
+                        latency: endTime - startTime,
+                        ttft: firstToken ? firstToken - startTime : null,
+                        tokens: response.usage?.total_tokens || 0,
+                        // OpenAI/OpenRouter nest reasoning tokens, the Gemini adapter reports them flat
+                        reasoningTokens: response.usage?.reasoning_tokens || response.usage?.completion_tokens_details?.reasoning_tokens || 0,
+                        // Anthropic prompt caching
+                        ...(response.usage?.cache_read_tokens > 0 && { cacheReadTokens: response.usage.cache_read_tokens }),
+                        ...(response.usage?.cache_write_tokens > 0 && { cacheWriteTokens: response.usage.cache_write_tokens }),
+                        cost: cost,
+                        model: answeredBy.model,
+                        provider: answeredBy.provider,
+                        ...(skippedModels.length > 0 && { fallbacks: skippedModels })
+                    }
+                };
+            };
+
+            // Compare mode: the models answer the same request concurrently (without fallbacks).
+            // Their answers are stored side by side until the user keeps one.
+            if (compareModels?.length > 1) {
+                // Each compared model gets the history fitted to its own window. The fits run one at a
+                // time, so a summary written for one model is reused by the next instead of being redone.
+                let fitting = Promise.resolve();
+                const drafts = compareModels.map(c => ({ ...c, content: '', reasoning: '', status: null }));
+                const showDrafts = () => setStreamingDrafts(prev => ({
+                    ...prev,
+                    [initiatingSessionId]: { comparison: drafts.map(d => ({ ...d })) }
+                }));
+                showDrafts();
+
+                const answers = await Promise.all(compareModels.map(async (candidate, i) => {
+                    const draft = drafts[i];
+                    let candidateFirstToken = null;
+                    try {
+                        const endpoint = await resolveEndpoint(candidate.provider);
+                        if (candidate.provider !== 'local' && !findProfile(providerProfiles, candidate.provider) && !endpoint.apiKey) {
+                            throw new Error('No API key configured');
+                        }
+                        const candidateModel = findModelData(candidate.model) || candidate.model;
+                        if (hasImages && !supportsVision(candidateModel)) {
+                            throw new Error('Does not support image inputs');
+                        }
+                        const candidateOptions = fitOptionsToModel(requestOptions, candidateModel); // A copy per model (adapters may adjust theirs)
+                        const fitted = fitting.then(() => fitRequestMessages(candidate, endpoint, candidateOptions.max_tokens));
+                        fitting = fitted.catch(() => { });
+                        const requestMessages = await fitted;
+                        showDrafts(); // Replaces the summary status, if a summary was written
+                        const candidateResponse = await chatService.sendMessage({
+                            provider: candidate.provider,
+                            baseUrl: endpoint.baseUrl,
+                            apiKey: endpoint.apiKey,
+                            headers: endpoint.headers,
+                            apiVersion: endpoint.apiVersion,
+                            model: candidate.model,
+                            messages: requestMessages,
+                            options: candidateOptions,
+                            signal: controller.signal,
+                            onDelta: (delta) => {
+                                if (candidateFirstToken === null && (delta.content || delta.reasoning)) {
+                                    candidateFirstToken = Date.now();
+                                }
+                                if (delta.content) {
+                                    draft.content += delta.content;
+                                    draft.status = null;
+                                }
+                                if (delta.reasoning) draft.reasoning += delta.reasoning;
+                                if (delta.status) draft.status = delta.status;
+                                if (delta.retryStatus !== undefined) draft.status = delta.retryStatus;
+                                showDrafts();
+                            }
+                        });
+                        return toAssistantMessage(candidateResponse, { answeredBy: candidate, firstToken: candidateFirstToken });
+                    } catch (err) {
+                        if (err.name !== 'AbortError') {
+                            return { content: '', error: err.message, metadata: { model: candidate.model, provider: candidate.provider } };
+                        }
+                        // Stopped: keep whatever was streamed
+                        return {
+                            role: 'assistant',
+                            content: draft.content,
+                            reasoning: draft.reasoning,
+                            attachments: [],
+                            metadata: {
+                                latency: Date.now() - startTime,
+                                ttft: candidateFirstToken ? candidateFirstToken - startTime : null,
+                                tokens: 0,
+                                cost: 0,
+                                stopped: true,
+                                model: candidate.model,
+                                provider: candidate.provider
+                            }
+                        };
+                    }
+                }));
+
+                if (controller.signal.aborted && !answers.some(a => a.content || a.reasoning)) {
+                    return false;
                 }
+                useChatStore.getState().addMessageToSession(initiatingSessionId, { role: 'comparison', content: '', answers });
+                return true;
             }
 
-            const aiMsg = {
-                role: 'assistant',
-                content: response.content,
-                attachments: response.attachments || [],
-                metadata: {
-                    latency: endTime - startTime,
-                    tokens: response.usage?.total_tokens || 0,
-                    cost: cost
+            const skippedModels = []; // Candidates that failed before one answered
+            let response = null;
+            let answeredBy = null;
+            let lastError = null;
+
+            for (const [index, candidate] of candidates.entries()) {
+                const endpoint = await resolveEndpoint(candidate.provider);
+                if (candidate.provider !== 'local' && !findProfile(providerProfiles, candidate.provider) && !endpoint.apiKey) {
+                    skippedModels.push({ ...candidate, reason: 'No API key configured' });
+                    continue;
                 }
-            };
+
+                // Each candidate gets the request its own model can take
+                const candidateModel = findModelData(candidate.model) || candidate.model;
+                if (hasImages && !supportsVision(candidateModel)) {
+                    skippedModels.push({ ...candidate, reason: 'Does not support image inputs' });
+                    continue;
+                }
+                const candidateOptions = fitOptionsToModel(requestOptions, candidateModel);
+
+                // A failed attempt's partial output is discarded
+                streamedContent = '';
+                streamedReasoning = '';
+                streamStatus = null;
+                firstTokenTime = null;
+
+                try {
+                    const requestMessages = await fitRequestMessages(candidate, endpoint, candidateOptions.max_tokens);
+                    response = await chatService.sendMessage({
+                        provider: candidate.provider,
+                        baseUrl: endpoint.baseUrl,
+                        apiKey: endpoint.apiKey,
+                        headers: endpoint.headers,
+                        apiVersion: endpoint.apiVersion,
+                        model: candidate.model,
+                        messages: requestMessages,
+                        options: candidateOptions,
+                        signal: controller.signal,
+                        onDelta: (delta) => {
+                            if (firstTokenTime === null && (delta.content || delta.reasoning)) {
+                                firstTokenTime = Date.now();
+                            }
+                            if (delta.content) {
+                                streamedContent += delta.content;
+                                streamStatus = null;
+                            }
+                            if (delta.reasoning) streamedReasoning += delta.reasoning;
+                            if (delta.status) streamStatus = delta.status;
+                            if (delta.retryStatus !== undefined) {
+                                retryStatus = delta.retryStatus;
+                            } else if (delta.content || delta.reasoning || delta.status) {
+                                retryStatus = null; // The request (or the fallback model) is answering
+                            }
+                            setStreamingDrafts(prev => ({
+                                ...prev,
+                                [initiatingSessionId]: { content: streamedContent, reasoning: streamedReasoning, status: streamStatus, retryStatus }
+                            }));
+                        }
+                    });
+                    answeredBy = candidate;
+                    break;
+                } catch (err) {
+                    if (!shouldFallBack(err) || index === candidates.length - 1) throw err;
+                    console.warn(`[App] ${candidate.model} failed, falling back:`, err.message);
+                    lastError = err;
+                    skippedModels.push({ ...candidate, reason: err.message });
+                    retryStatus = `${candidate.model} failed, trying ${candidates[index + 1].model}...`;
+                    setStreamingDrafts(prev => ({
+                        ...prev,
+                        [initiatingSessionId]: { content: '', reasoning: '', status: null, retryStatus }
+                    }));
+                }
+            }
+
+            if (!response) {
+                throw lastError || new Error(`No model could answer: ${skippedModels.map(s => `${s.model} (${s.reason})`).join(', ')}`);
+            }
+
+            const aiMsg = toAssistantMessage(response, { answeredBy, firstToken: firstTokenTime, skippedModels });
 
             // Target the specific session that initiated the request
             useChatStore.getState().addMessageToSession(initiatingSessionId, aiMsg);
@@ -410,16 +742,41 @@ export default function App() {
             return true;
 
         } catch (err) {
-            // Don't show error for user-initiated abort
+            // Don't show error for user-initiated abort, but keep whatever was streamed
             if (err.name === 'AbortError') {
                 console.log('[App] Request aborted by user');
+                if (streamedContent || streamedReasoning) {
+                    useChatStore.getState().addMessageToSession(initiatingSessionId, {
+                        role: 'assistant',
+                        content: streamedContent,
+                        reasoning: streamedReasoning,
+                        attachments: [],
+                        metadata: {
+                            latency: Date.now() - startTime,
+                            ttft: firstTokenTime ? firstTokenTime - startTime : null,
+                            tokens: 0,
+                            cost: 0,
+                            stopped: true
+                        }
+                    });
+                }
                 return false;
             }
-            addMessage({ role: 'system', content: `Error: ${err.message}` });
-            return false;
+            // Shown in the chat but never sent to a model. Once the user message is in the chat,
+            // Retry re-sends it (with the same options) instead of the draft being sent again.
+            useChatStore.getState().addMessageToSession(initiatingSessionId, {
+                role: 'error',
+                content: err.message,
+                ...(userMessageAdded && { retryOptions: options })
+            });
+            return userMessageAdded;
         } finally {
             abortControllerRef.current = null;
             setLoadingSessionIds(prev => prev.filter(id => id !== initiatingSessionId));
+            setStreamingDrafts(prev => {
+                const { [initiatingSessionId]: _, ...rest } = prev;
+                return rest;
+            });
         }
     };
 
@@ -442,11 +799,32 @@ export default function App() {
         setAttachments([]);
 
         // Send the edited message using fresh messages from the store
-        // (The truncateAtMessage already updated the store, so handleSend's 
-        // messages.concat(userMsg) will use the truncated list)
+        // (The truncateAtMessage already updated the store, so handleSend
+        // appends the edited message to the truncated list)
         await handleSend(newContent);
     };
 
+    // Removes a failed request's error entry and re-sends the user message before it
+    const handleRetry = async (errorIndex) => {
+        const sessionId = useChatStore.getState().currentSessionId;
+        const { messages: sessionMessages } = useChatStore.getState();
+        const errorEntry = sessionMessages[errorIndex];
+        if (errorEntry?.role !== 'error' || !errorEntry.retryOptions || sessionMessages[errorIndex - 1]?.role !== 'user') return;
+
+        truncateAtMessage(sessionId, errorIndex);
+        await handleSend(null, errorEntry.retryOptions, { isRetry: true });
+    };
+
+    const handleSwitchModel = async (errorIndex, modelId) => {
+        setModel(modelId);
+        await handleRetry(errorIndex);
+    };
+
+    // Keeps one compare-mode answer as the assistant message the chat continues from
+    const handleKeepAnswer = (messageIndex, answerIndex) => {
+        keepComparisonAnswer(useChatStore.getState().currentSessionId, messageIndex, answerIndex);
+    };
+
     return (
         <div
             className="flex flex-col h-full bg-brand-dark text-gray-100 font-sans relative overflow-hidden"
@@ -523,78 +901,111 @@ export default function App() {
                                 <div className="space-y-2">
                                     <label className="block text-sm font-medium text-gray-300">Provider</label>
                                     <div className="grid grid-cols-2 gap-2">
-                                        {['openrouter', 'openai', 'anthropic', 'google'].map(p => (
+                                        {[...BUILT_IN_PROVIDERS, ...providerProfiles.map(p => p.id)].map(p => (
                                             <button
                                                 key={p}
-                                                onClick={() => setActiveCloudProvider(p)}
-                                                className={`py-2 px-3 rounded border text-sm capitalize ${activeCloudProvider === p ? 'border-brand-cyan bg-brand-cyan/10 text-brand-cyan font-bold' : 'border-brand-border bg-brand-input hover:bg-white/5 text-gray-400'}`}
+                                                onClick={() => { setActiveCloudProvider(p); setIsAddingProfile(false); }}
+                                                className={`py-2 px-3 rounded border text-sm truncate ${activeCloudProvider === p && !isAddingProfile ? 'border-brand-cyan bg-brand-cyan/10 text-brand-cyan font-bold' : 'border-brand-border bg-brand-input hover:bg-white/5 text-gray-400'}`}
                                             >
-                                                {p === 'openrouter' ? 'OpenRouter' : p}
+                                                {getProviderLabel(p, providerProfiles)}
                                             </button>
                                         ))}
+                                        <button
+                                            onClick={() => setIsAddingProfile(true)}
+                                            className={`py-2 px-3 rounded border border-dashed text-sm flex items-center justify-center gap-1 ${isAddingProfile ? 'border-brand-cyan text-brand-cyan' : 'border-brand-border text-gray-400 hover:bg-white/5'}`}
+                                        >
+                                            <Plus size={14} /> Add Provider
+                                        </button>
                                     </div>
                                 </div>
 
-                                <div className="pt-2">
-                                    <label className="block text-sm font-medium text-gray-300">
-                                        {activeCloudProvider === 'openrouter' ? 'OpenRouter' :
-                                            activeCloudProvider === 'openai' ? 'OpenAI' :
-                                                activeCloudProvider === 'anthropic' ? 'Anthropic' :
-                                                    activeCloudProvider === 'google' ? 'Google' : activeCloudProvider} API Key
-                                    </label>
-                                    <input
-                                        type="password"
-                                        value={tempKey}
-                                        onChange={(e) => setTempKey(e.target.value)}
-                                        placeholder={`sk-...`}
-                                        className="w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white transition-all mt-1"
+                                {/* Provider profiles: any OpenAI-compatible endpoint */}
+                                {isAddingProfile && (
+                                    <ProviderProfileForm
+                                        onSave={(profile) => {
+                                            addProviderProfile(profile);
+                                            setIsAddingProfile(false);
+                                        }}
+                                        onCancel={() => setIsAddingProfile(false)}
+                                    />
+                                )}
+                                {!isAddingProfile && findProfile(providerProfiles, activeCloudProvider) && (
+                                    <ProviderProfileForm
+                                        key={activeCloudProvider}
+                                        profile={findProfile(providerProfiles, activeCloudProvider)}
+                                        onSave={(changes) => {
+                                            clearModelCache(activeCloudProvider);
+                                            updateProviderProfile(activeCloudProvider, changes);
+                                        }}
+                                        onDelete={() => deleteProviderProfile(activeCloudProvider)}
                                     />
-                                    <button
-                                        onClick={handleSaveKey}
-                                        className="w-full bg-brand-cyan text-brand-dark py-2 rounded hover:bg-cyan-400 font-bold transition-colors mt-3"
-                                    >
-                                        Save Key
-                                    </button>
-                                    <p className="text-xs text-gray-500 mt-2">
-                                        Use your own API key. Keys are stored encrypted locally.
-                                    </p>
-                                </div>
-
-                                {/* Custom URL option for OpenRouter/OpenAI Compatible mostly */}
-                                {(activeCloudProvider === 'openrouter' || activeCloudProvider === 'openai') && (
-                                    <div className="pt-4 border-t border-brand-border">
-                                        <label className="block text-sm font-medium text-gray-300">Custom API Endpoint (Optional)</label>
-                                        <input
-                                            type="text"
-                                            value={tempBaseUrl}
-                                            onChange={(e) => setTempBaseUrl(e.target.value)}
-                                            placeholder={activeCloudProvider === 'openrouter' ? "https://openrouter.ai/api/v1" : "https://api.openai.com/v1"}
-                                            className="w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white mt-1"
-                                        />
-                                        <p className="text-xs text-gray-500 mt-1">Status: {customBaseUrl === tempBaseUrl ? 'Saved' : 'Saving...'}</p>
-                                    </div>
                                 )}
 
-                                {activeCloudProvider === 'openrouter' && (
-                                    <div className="pt-4 border-t border-brand-border">
-                                        <div className="flex items-start gap-2">
-                                            <div className="flex items-center h-5">
+                                {!isAddingProfile && BUILT_IN_PROVIDERS.includes(activeCloudProvider) && (
+                                    <>
+                                        <div className="pt-2">
+                                            <label className="block text-sm font-medium text-gray-300">
+                                                {getProviderLabel(activeCloudProvider, providerProfiles)} API Key
+                                            </label>
+                                            <input
+                                                type="password"
+                                                value={tempKey}
+                                                onChange={(e) => setTempKey(e.target.value)}
+                                                placeholder={`sk-...`}
+                                                className="w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white transition-all mt-1"
+                                            />
+                                            <button
+                                                onClick={handleSaveKey}
+                                                className="w-full bg-brand-cyan text-brand-dark py-2 rounded hover:bg-cyan-400 font-bold transition-colors mt-3"
+                                            >
+                                                Save Key
+                                            </button>
+                                            <p className="text-xs text-gray-500 mt-2">
+                                                Use your own API key. Keys are stored encrypted locally.
+                                            </p>
+                                        </div>
+
+                                        {/* Custom URL option for OpenRouter/OpenAI Compatible mostly */}
+                                        {(activeCloudProvider === 'openrouter' || activeCloudProvider === 'openai') && (
+                                            <div className="pt-4 border-t border-brand-border">
+                                                <label className="block text-sm font-medium text-gray-300">Custom API Endpoint (Optional)</label>
                                                 <input
-                                                    id="free-models"
-                                                    type="checkbox"
-                                                    checked={includeFreeModels}
-                                                    onChange={(e) => setIncludeFreeModels(e.target.checked)}
-                                                    className="w-4 h-4 rounded border-brand-border bg-brand-input text-brand-cyan focus:ring-brand-cyan"
+                                                    type="text"
+                                                    value={tempBaseUrl}
+                                                    onChange={(e) => setTempBaseUrl(e.target.value)}
+                                                    placeholder={activeCloudProvider === 'openrouter' ? "https://openrouter.ai/api/v1" : "https://api.openai.com/v1"}
+                                                    className="w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white mt-1"
                                                 />
+                                                <p className="text-xs text-gray-500 mt-1">Status: {customBaseUrl === tempBaseUrl ? 'Saved' : 'Saving...'}</p>
                                             </div>
-                                            <div className="ml-2 text-sm">
-                                                <label htmlFor="free-models" className="font-medium text-gray-300">Include Free Models</label>
-                                                <p className="text-xs text-gray-500 mt-1">
-                                                    Warning: Free models often use your data to train.
-                                                </p>
+                                        )}
+
+                                        {activeCloudProvider === 'azure' && (
+                                            <AzureSettings config={azureConfig} onChange={setAzureConfig} />
+                                        )}
+
+                                        {activeCloudProvider === 'openrouter' && (
+                                            <div className="pt-4 border-t border-brand-border">
+                                                <div className="flex items-start gap-2">
+                                                    <div className="flex items-center h-5">
+                                                        <input
+                                                            id="free-models"
+                                                            type="checkbox"
+                                                            checked={includeFreeModels}
+                                                            onChange={(e) => setIncludeFreeModels(e.target.checked)}
+                                                            className="w-4 h-4 rounded border-brand-border bg-brand-input text-brand-cyan focus:ring-brand-cyan"
+                                                        />
+                                                    </div>
+                                                    <div className="ml-2 text-sm">
+                                                        <label htmlFor="free-models" className="font-medium text-gray-300">Include Free Models</label>
+                                                        <p className="text-xs text-gray-500 mt-1">
+                                                            Warning: Free models often use your data to train.
+                                                        </p>
+                                                    </div>
+                                                </div>
                                             </div>
-                                        </div>
-                                    </div>
+                                        )}
+                                    </>
                                 )}
                             </>
                         )}
@@ -701,6 +1112,58 @@ export default function App() {
                             </div>
                         )}
 
+                        {/* Tools (both modes) */}
+                        <div className="mt-4 border-t border-brand-border pt-4">
+                            <div className="flex items-start gap-2">
+                                <div className="flex items-center h-5">
+                                    <input
+                                        id="enable-tools"
+                                        type="checkbox"
+                                        checked={toolsEnabled}
+                                        onChange={(e) => setToolsEnabled(e.target.checked)}
+                                        className="w-4 h-4 rounded border-brand-border bg-brand-input text-brand-cyan focus:ring-brand-cyan"
+                                    />
+                                </div>
+                                <div className="ml-2 text-sm">
+                                    <label htmlFor="enable-tools" className="font-medium text-gray-300">Enable Tools</label>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Lets the model use a calculator and search the web (with the search key from Local settings). Reading the current page and fetching URLs is turned on per chat in the input bar.
+                                    </p>
+                                </div>
+                            </div>
+                            {toolsEnabled && (
+                                <div className="mt-3 flex items-center justify-between gap-2">
+                                    <label htmlFor="max-tool-rounds" className="text-xs font-medium text-gray-400">Max tool rounds per answer</label>
+                                    <input
+                                        id="max-tool-rounds"
+                                        type="number"
+                                        min={1}
+                                        max={10}
+                                        value={maxToolRounds}
+                                        onChange={(e) => setMaxToolRounds(Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                                        className="w-16 p-1 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white text-xs text-center"
+                                    />
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Fallback Models (both modes) */}
+                        <div className="mt-4 border-t border-brand-border pt-4">
+                            <label htmlFor="fallback-models" className="block text-sm font-medium text-gray-300">Fallback Models</label>
+                            <p className="text-xs text-gray-500 mt-1">
+                                Tried in order when <span className="font-mono text-gray-400">{model}</span> fails. One <code className="bg-white/10 px-1 rounded">provider:model</code> per line, e.g. <code className="bg-white/10 px-1 rounded">openai:gpt-4o</code> or <code className="bg-white/10 px-1 rounded">local:llama3</code>; other providers (and provider profiles, by id) use their saved key.
+                            </p>
+                            <textarea
+                                id="fallback-models"
+                                rows={3}
+                                value={tempFallbacks}
+                                onChange={(e) => setTempFallbacks(e.target.value)}
+                                onBlur={handleSaveFallbacks}
+                                placeholder={'openai:gpt-4o\nlocal:llama3'}
+                                className="w-full p-2 bg-brand-input border border-brand-border rounded focus:ring-2 focus:ring-brand-cyan outline-none text-white text-xs font-mono mt-2"
+                            />
+                        </div>
+
                         <div className="mt-4 border-t border-brand-border pt-4">
                             <h3 className="text-sm font-medium text-gray-300 mb-2">Setup Guide</h3>
 
@@ -745,9 +1208,15 @@ export default function App() {
             <MessageList
                 messages={messages}
                 isLoading={isCurrentSessionLoading}
+                streamingMessage={isCurrentSessionLoading ? currentStreamingDraft : null}
                 isImageModel={/flux|dall-?e|stable.?diffusion|imagen|midjourney|banana|image/i.test(model)}
                 onViewFile={setViewingFile}
                 onEditMessage={handleEditMessage}
+                onRetry={handleRetry}
+                onSwitchModel={handleSwitchModel}
+                onKeepAnswer={handleKeepAnswer}
+                models={availableModels}
+                summary={currentSession?.summary}
             />
 
             {/* Attachment Preview */}
@@ -773,6 +1242,17 @@ export default function App() {
                 )
             }
 
+            {/* Context Window Warning */}
+            {contextLimit && contextTokens >= contextLimit * CONTEXT_WARN_RATIO && (
+                <ContextWarning
+                    tokens={contextTokens}
+                    limit={contextLimit}
+                    budget={getInputBudget(contextLimit, currentSession?.parameters?.max_tokens)}
+                    strategy={currentSession?.contextStrategy || null}
+                    onStrategyChange={(strategy) => setSessionContextStrategy(currentSessionId, strategy)}
+                />
+            )}
+
             {/* Input Area */}
             <ChatInput
                 onSend={handleSend}
@@ -282,6 +282,38 @@ describe('App Integration', () => {
 
         expect(fileProcessor.processFile).toHaveBeenCalledWith(file);
     });
+
+    it.each([
+        ['openai/gpt-4o', undefined],
+        ['anthropic/claude-sonnet-4', 'data:application/pdf;base64,UERG']
+    ])('should store the original PDF only for models that read PDFs natively (%s)', async (model, stored) => {
+        const { chatService } = await import('../services/chatService');
+        const sendMessage = vi.spyOn(chatService, 'sendMessage').mockResolvedValue({ content: 'Read it', usage: {} });
+        fileProcessor.processFile.mockResolvedValue({
+            type: 'text', name: 'report.pdf', content: 'PDF Content', mimeType: 'application/pdf', originalContent: 'data:application/pdf;base64,UERG'
+        });
+        useChatStore.setState({
+            activeCloudProvider: 'openrouter',
+            encryptedApiKeys: { openrouter: 'encrypted-key', openai: '', anthropic: '', google: '' },
+            model,
+            fallbackChains: {}
+        });
+
+        render(<App />);
+        const mainContainer = screen.getByRole('button', { name: /settings/i }).closest('div').parentElement;
+        const file = new File(['PDF'], 'report.pdf', { type: 'application/pdf' });
+        fireEvent.drop(mainContainer, { dataTransfer: { files: [file], types: ['Files'] } });
+        await screen.findByText('report.pdf');
+
+        fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: 'Summarize' } });
+        fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+        await screen.findByText('Read it');
+        const userMessage = useChatStore.getState().messages.find(m => m.role === 'user');
+        expect(userMessage.files[0].content).toBe('PDF Content');
+        expect(userMessage.files[0].originalContent).toBe(stored);
+        sendMessage.mockRestore();
+    });
     it('should use default Anthropic URL when custom URL is empty', async () => {
         render(<App />);
 
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+import { fetchModels } from '../services/modelService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([]),
+    clearModelCache: vi.fn(),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+describe('App Azure OpenAI', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        fetchModels.mockResolvedValue([]);
+
+        useChatStore.setState({
+            providerMode: 'cloud',
+            activeCloudProvider: 'azure',
+            customBaseUrl: '',
+            encryptedApiKeys: { openrouter: '', openai: '', azure: 'encrypted-azure-key', anthropic: '', google: '' },
+            azureConfig: { endpoint: '', apiVersion: '2024-10-21', deployments: [] },
+            providerProfiles: [],
+            messages: [],
+            sessions: [],
+            currentSessionId: null,
+            model: 'gpt-4o-prod',
+            fallbackChains: {}
+        });
+    });
+
+    it('should save the endpoint and deployments from Settings and list the deployments as models', async () => {
+        render(<App />);
+
+        fireEvent.click(screen.getByLabelText('Settings'));
+        const endpoint = screen.getByLabelText('Resource Endpoint');
+        fireEvent.change(endpoint, { target: { value: 'https://contoso.openai.azure.com/' } });
+        fireEvent.blur(endpoint);
+        const deployments = screen.getByLabelText('Deployments');
+        fireEvent.change(deployments, { target: { value: 'gpt-4o-prod\n\ngpt-4o-mini\n' } });
+        fireEvent.blur(deployments);
+
+        expect(useChatStore.getState().azureConfig).toEqual({
+            endpoint: 'https://contoso.openai.azure.com',
+            apiVersion: '2024-10-21',
+            deployments: ['gpt-4o-prod', 'gpt-4o-mini']
+        });
+        await waitFor(() => {
+            expect(fetchModels).toHaveBeenLastCalledWith('https://contoso.openai.azure.com', false, 'azure', 'azure-key', undefined, ['gpt-4o-prod', 'gpt-4o-mini']);
+        });
+    });
+
+    it('should reject an endpoint that is not an https URL', () => {
+        render(<App />);
+
+        fireEvent.click(screen.getByLabelText('Settings'));
+        const endpoint = screen.getByLabelText('Resource Endpoint');
+        fireEvent.change(endpoint, { target: { value: 'contoso' } });
+        fireEvent.blur(endpoint);
+
+        expect(screen.getByText(/Enter the resource endpoint/)).toBeDefined();
+        expect(useChatStore.getState().azureConfig.endpoint).toBe('');
+    });
+
+    it('should send chats to the Azure resource with its API version', async () => {
+        useChatStore.setState({
+            azureConfig: { endpoint: 'https://contoso.openai.azure.com', apiVersion: '2025-01-01-preview', deployments: ['gpt-4o-prod'] }
+        });
+        fetchModels.mockResolvedValue([{ id: 'gpt-4o-prod', name: 'gpt-4o-prod' }]);
+        vi.spyOn(chatService, 'sendMessage').mockResolvedValue({ content: 'Hello from Azure', usage: {} });
+
+        render(<App />);
+
+        fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: 'Hello' } });
+        fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+        await waitFor(() => {
+            expect(useChatStore.getState().messages.at(-1).content).toBe('Hello from Azure');
+        });
+        expect(chatService.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+            provider: 'azure',
+            baseUrl: 'https://contoso.openai.azure.com',
+            apiKey: 'azure-key',
+            apiVersion: '2025-01-01-preview',
+            model: 'gpt-4o-prod'
+        }));
+    });
+});
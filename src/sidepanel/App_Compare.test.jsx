@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+import * as fileProcessor from '../utils/fileProcessor';
+import { fetchModels } from '../services/modelService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([
+        { id: 'anthropic/claude-sonnet-4', name: 'Claude Sonnet 4', pricing: { prompt: '0.000003', completion: '0.000015' } },
+        { id: 'openai/gpt-4o', name: 'GPT-4o', pricing: { prompt: '0.0000025', completion: '0.00001' } },
+        { id: 'google/gemini-2.5-pro', name: 'Gemini 2.5 Pro' }
+    ]),
+    clearModelCache: vi.fn(),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+const compareModels = [
+    { provider: 'openrouter', model: 'anthropic/claude-sonnet-4' },
+    { provider: 'openrouter', model: 'openai/gpt-4o' },
+    { provider: 'openai', model: 'gpt-4.1' }
+];
+
+const sendPrompt = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+};
+
+describe('App Compare Mode', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+
+        useChatStore.setState({
+            providerMode: 'cloud',
+            activeCloudProvider: 'openrouter',
+            customBaseUrl: '',
+            encryptedApiKeys: { openrouter: 'encrypted-or-key', openai: '', azure: '', anthropic: '', google: '' },
+            providerProfiles: [],
+            messages: [],
+            sessions: [{ id: 's1', title: 'New Chat', messages: [], compareModels }],
+            currentSessionId: 's1',
+            model: 'anthropic/claude-sonnet-4',
+            fallbackChains: {}
+        });
+    });
+
+    it('should send the prompt to every compared model and store the answers side by side', async () => {
+        vi.spyOn(chatService, 'sendMessage').mockImplementation(async ({ model }) => ({
+            content: `Answer from ${model}`,
+            usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+        }));
+
+        render(<App />);
+        sendPrompt('Which is faster?');
+
+        await waitFor(() => {
+            expect(useChatStore.getState().messages.at(-1).role).toBe('comparison');
+        });
+
+        // Both OpenRouter models were asked; the OpenAI model has no key
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(2);
+        expect(chatService.sendMessage.mock.calls.map(([call]) => call.model)).toEqual(['anthropic/claude-sonnet-4', 'openai/gpt-4o']);
+        expect(chatService.sendMessage.mock.calls[0][0].options.compareModels).toBeUndefined();
+
+        const { answers } = useChatStore.getState().messages.at(-1);
+        expect(answers).toHaveLength(3);
+        expect(answers[0]).toMatchObject({ role: 'assistant', content: 'Answer from anthropic/claude-sonnet-4', metadata: { model: 'anthropic/claude-sonnet-4', provider: 'openrouter', tokens: 150 } });
+        expect(answers[1].metadata.cost).toBeCloseTo(0.00075);
+        expect(answers[2]).toMatchObject({ error: 'No API key configured', metadata: { model: 'gpt-4.1', provider: 'openai' } });
+
+        expect(screen.getAllByRole('tab')).toHaveLength(3);
+    });
+
+    it('should continue the chat from the kept answer', async () => {
+        vi.spyOn(chatService, 'sendMessage').mockImplementation(async ({ model }) => ({ content: `Answer from ${model}`, usage: {} }));
+
+        render(<App />);
+        sendPrompt('Which is faster?');
+
+        const tabs = await screen.findAllByRole('tab');
+        fireEvent.click(tabs[1]);
+        fireEvent.click(screen.getByText('Keep this answer'));
+
+        expect(useChatStore.getState().messages.at(-1)).toMatchObject({ role: 'assistant', content: 'Answer from openai/gpt-4o' });
+        expect(screen.queryAllByRole('tab')).toHaveLength(0);
+
+        useChatStore.getState().setSessionCompareModels('s1', null);
+        chatService.sendMessage.mockClear();
+        sendPrompt('Why?');
+
+        await waitFor(() => {
+            expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        });
+        expect(chatService.sendMessage.mock.calls[0][0].messages.map(m => m.content)).toEqual([
+            'Which is faster?', 'Answer from openai/gpt-4o', 'Why?'
+        ]);
+    });
+
+    it('should fit the history to each compared model and skip models that cannot take its images', async () => {
+        // Six turns of ~300 tokens each: too long for the small model's window
+        const history = Array.from({ length: 6 }, (_, i) => ({
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content: `Turn ${i} `.repeat(170)
+        }));
+        useChatStore.setState({
+            messages: history,
+            sessions: [{
+                id: 's1', title: 'Long chat', messages: history, contextStrategy: 'sliding-window',
+                compareModels: [{ provider: 'openrouter', model: 'openai/gpt-4o' }, { provider: 'openrouter', model: 'mistralai/mistral-small' }]
+            }]
+        });
+        // Text only, with a 2000 token window
+        const smallModel = { id: 'mistralai/mistral-small', name: 'Mistral Small', context_length: 2000 };
+        vi.mocked(fetchModels).mockResolvedValue([{ id: 'openai/gpt-4o', name: 'GPT-4o' }, smallModel]);
+        vi.spyOn(chatService, 'sendMessage').mockImplementation(async ({ model }) => ({ content: `Answer from ${model}`, usage: {} }));
+
+        render(<App />);
+        await waitFor(() => {
+            expect(useChatStore.getState().availableModels).toContainEqual(smallModel);
+        });
+        sendPrompt('Next question');
+
+        await waitFor(() => {
+            expect(useChatStore.getState().messages.at(-1).role).toBe('comparison');
+        });
+        const [large, small] = chatService.sendMessage.mock.calls.map(([call]) => call.messages);
+        expect(large).toHaveLength(7);
+        expect(small.length).toBeLessThan(7);
+        expect(small.at(-1).content).toBe('Next question');
+
+        // An image goes only to the model that can see it
+        chatService.sendMessage.mockClear();
+        fileProcessor.processFile.mockResolvedValue({ type: 'image', name: 'chart.png', content: 'data:image/png;base64,AAAA', mimeType: 'image/png' });
+        const mainContainer = screen.getByRole('button', { name: /settings/i }).closest('div').parentElement;
+        fireEvent.drop(mainContainer, { dataTransfer: { files: [new File(['png'], 'chart.png', { type: 'image/png' })], types: ['Files'] } });
+        await screen.findByText('chart.png');
+        sendPrompt('What does this show?');
+
+        await waitFor(() => {
+            expect(useChatStore.getState().messages.at(-1).answers?.[1].error).toBe('Does not support image inputs');
+        });
+        expect(chatService.sendMessage.mock.calls.map(([call]) => call.model)).toEqual(['openai/gpt-4o']);
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+import { fetchModels } from '../services/modelService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([]),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+const sendText = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+};
+
+// 2000 token window: about 1500 tokens for the conversation after the answer reserve
+const tinyModel = { id: 'tiny/model', name: 'Tiny', context_length: 2000 };
+
+// Six turns of ~300 tokens each
+const history = Array.from({ length: 6 }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `Turn ${i} `.repeat(170)
+}));
+
+const setupSession = (session = {}) => {
+    useChatStore.setState({
+        providerMode: 'cloud',
+        activeCloudProvider: 'openrouter',
+        customBaseUrl: '',
+        encryptedApiKeys: { openrouter: 'encrypted-or-key', openai: '', anthropic: '', google: '' },
+        model: tinyModel.id,
+        availableModels: [tinyModel],
+        fallbackChains: {},
+        sessions: [{ id: 's1', title: 'Long chat', messages: history, createdAt: 1, updatedAt: 1, ...session }],
+        currentSessionId: 's1',
+        messages: history
+    });
+};
+
+const currentSession = () => useChatStore.getState().sessions.find(s => s.id === 's1');
+
+describe('App Context Window', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.mocked(fetchModels).mockResolvedValue([tinyModel]);
+    });
+
+    it('should warn when the chat nears the context window and store the chosen strategy', async () => {
+        setupSession();
+        render(<App />);
+
+        const warning = await screen.findByTestId('context-warning');
+        expect(warning.textContent).toContain('of 2k tokens');
+
+        fireEvent.click(screen.getByText('Keep recent messages'));
+
+        expect(currentSession().contextStrategy).toBe('sliding-window');
+    });
+
+    it('should send only the recent messages that fit with the sliding window', async () => {
+        setupSession({ contextStrategy: 'sliding-window' });
+        vi.spyOn(chatService, 'sendMessage').mockResolvedValue({ content: 'Answer', usage: {} });
+
+        render(<App />);
+        sendText('Next question');
+
+        await waitFor(() => {
+            expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        });
+        const sent = chatService.sendMessage.mock.calls[0][0].messages;
+        expect(sent[0]).toEqual(history[2]);
+        expect(sent.at(-1).content).toBe('Next question');
+        expect(sent.filter(m => m.content === 'Next question')).toHaveLength(1);
+    });
+
+    it('should summarize older turns into a pinned summary', async () => {
+        setupSession({ contextStrategy: 'summarize' });
+        vi.spyOn(chatService, 'sendMessage')
+            .mockResolvedValueOnce({ content: '- Turns 0 to 1 were about testing', usage: {} })
+            .mockResolvedValueOnce({ content: 'Answer', usage: {} });
+
+        render(<App />);
+        sendText('Next question');
+
+        await waitFor(() => {
+            expect(chatService.sendMessage).toHaveBeenCalledTimes(2);
+        });
+
+        // The first call asks for the summary of everything before the user turn that starts the last four messages
+        const summaryRequest = chatService.sendMessage.mock.calls[0][0].messages;
+        expect(summaryRequest[0].content).toMatch(/^Summarize the conversation/);
+        expect(summaryRequest[1].content).toContain('Turn 1');
+        expect(summaryRequest[1].content).not.toContain('Turn 2');
+
+        const sent = chatService.sendMessage.mock.calls[1][0].messages;
+        expect(sent[0]).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\n- Turns 0 to 1 were about testing' });
+        expect(sent.slice(1, 5)).toEqual(history.slice(2));
+        expect(sent).toHaveLength(6);
+        expect(currentSession().summary).toEqual({ content: '- Turns 0 to 1 were about testing', messageCount: 2 });
+
+        await waitFor(() => {
+            expect(screen.getByTestId('pinned-summary').textContent).toContain('Earlier messages summarized (2)');
+        });
+    });
+
+    it('should fit the request to the window and parameters of each fallback model', async () => {
+        const largeModel = { id: 'large/model', name: 'Large', context_length: 200000 };
+        const tinyFallback = { ...tinyModel, supported_parameters: ['max_tokens'] };
+        setupSession({ contextStrategy: 'sliding-window', parameters: { temperature: 0.5, max_tokens: 300 } });
+        useChatStore.setState({
+            model: largeModel.id,
+            availableModels: [largeModel, tinyFallback],
+            fallbackChains: { [largeModel.id]: [{ provider: 'openrouter', model: tinyModel.id }] }
+        });
+        vi.mocked(fetchModels).mockResolvedValue([largeModel, tinyFallback]);
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        vi.spyOn(chatService, 'sendMessage')
+            .mockRejectedValueOnce(new Error('API Error 503: Service Unavailable'))
+            .mockResolvedValueOnce({ content: 'Answer', usage: {} });
+
+        render(<App />);
+        sendText('Next question');
+
+        await waitFor(() => {
+            expect(chatService.sendMessage).toHaveBeenCalledTimes(2);
+        });
+        const [first, fallback] = chatService.sendMessage.mock.calls.map(call => call[0]);
+        expect(first.messages).toHaveLength(7);
+        expect(first.options).toEqual(expect.objectContaining({ temperature: 0.5, max_tokens: 300 }));
+
+        expect(fallback.model).toBe(tinyModel.id);
+        expect(fallback.messages.length).toBeLessThan(7);
+        expect(fallback.messages.at(-1).content).toBe('Next question');
+        expect(fallback.options.max_tokens).toBe(300);
+        expect(fallback.options).not.toHaveProperty('temperature');
+    });
+});
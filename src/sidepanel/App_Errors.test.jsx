@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+import { fetchModels } from '../services/modelService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([]),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+const models = [
+    { id: 'openai/gpt-4o', name: 'GPT-4o' },
+    { id: 'anthropic/claude-sonnet-4', name: 'Claude Sonnet 4' }
+];
+
+const sendText = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+};
+
+const storedMessages = () => useChatStore.getState().messages;
+
+describe('App Error Entries', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.mocked(fetchModels).mockResolvedValue(models);
+
+        useChatStore.setState({
+            providerMode: 'cloud',
+            activeCloudProvider: 'openrouter',
+            customBaseUrl: '',
+            encryptedApiKeys: { openrouter: 'encrypted-or-key', openai: '', anthropic: '', google: '' },
+            messages: [],
+            model: 'openai/gpt-4o',
+            availableModels: models,
+            fallbackChains: {}
+        });
+    });
+
+    it('should show the error with actions and clear the draft', async () => {
+        vi.spyOn(chatService, 'sendMessage').mockRejectedValue(new Error('API Error 500: Internal Server Error'));
+
+        render(<App />);
+        sendText('Hello');
+
+        const notice = await screen.findByTestId('error-message');
+        expect(notice.textContent).toContain('API Error 500: Internal Server Error');
+        expect(screen.getByText('Retry')).toBeDefined();
+        expect(screen.getByText('Switch model')).toBeDefined();
+        expect(screen.getByPlaceholderText('Ask... (type / for prompts)').value).toBe('');
+    });
+
+    it('should retry without duplicating the user message', async () => {
+        vi.spyOn(chatService, 'sendMessage')
+            .mockRejectedValueOnce(new Error('API Error 500: Internal Server Error'))
+            .mockResolvedValueOnce({ content: 'Hi there', usage: {} });
+
+        render(<App />);
+        sendText('Hello');
+
+        fireEvent.click(await screen.findByText('Retry'));
+
+        await waitFor(() => {
+            expect(storedMessages().map(m => m.role)).toEqual(['user', 'assistant']);
+        });
+        expect(storedMessages()[1].content).toBe('Hi there');
+        expect(chatService.sendMessage.mock.calls[1][0].messages).toEqual([
+            { role: 'user', content: 'Hello', files: [] }
+        ]);
+        expect(chatService.sendMessage.mock.calls[1][0].options).toEqual(expect.objectContaining({ webSearch: false }));
+    });
+
+    it('should retry with the model picked in Switch model', async () => {
+        vi.spyOn(chatService, 'sendMessage')
+            .mockRejectedValueOnce(new Error('API Error 503: Service Unavailable'))
+            .mockResolvedValueOnce({ content: 'Claude here', usage: {} });
+
+        render(<App />);
+        sendText('Hello');
+
+        fireEvent.click(await screen.findByText('Switch model'));
+        fireEvent.change(screen.getByLabelText('Switch model'), { target: { value: 'anthropic/claude-sonnet-4' } });
+
+        await waitFor(() => {
+            expect(storedMessages().at(-1).content).toBe('Claude here');
+        });
+        expect(chatService.sendMessage.mock.calls[1][0].model).toBe('anthropic/claude-sonnet-4');
+        expect(useChatStore.getState().model).toBe('anthropic/claude-sonnet-4');
+        expect(storedMessages().filter(m => m.role === 'user')).toHaveLength(1);
+    });
+
+    it('should keep errors out of the next request', async () => {
+        vi.spyOn(chatService, 'sendMessage')
+            .mockRejectedValueOnce(new Error('API Error 500: Internal Server Error'))
+            .mockResolvedValueOnce({ content: 'Answer', usage: {} });
+
+        render(<App />);
+        sendText('First');
+        await screen.findByTestId('error-message');
+
+        sendText('Second');
+
+        await waitFor(() => {
+            expect(storedMessages().at(-1).content).toBe('Answer');
+        });
+        // The entry stays in the chat; chatService drops it from the request
+        expect(chatService.sendMessage.mock.calls[1][0].messages.map(m => m.role)).toEqual(['user', 'error', 'user']);
+    });
+});
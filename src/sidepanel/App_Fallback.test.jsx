@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([]),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+const sendText = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+};
+
+const lastMessage = () => useChatStore.getState().messages.at(-1);
+
+describe('App Model Fallback', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+        useChatStore.setState({
+            providerMode: 'cloud',
+            activeCloudProvider: 'openrouter',
+            customBaseUrl: '',
+            localBaseUrl: 'http://localhost:11434/v1',
+            encryptedApiKeys: { openrouter: 'encrypted-or-key', openai: 'encrypted-oa-key', anthropic: '', google: '' },
+            messages: [],
+            model: 'anthropic/claude-sonnet-4',
+            fallbackChains: {
+                'anthropic/claude-sonnet-4': [
+                    { provider: 'anthropic', model: 'claude-sonnet-4-5' },
+                    { provider: 'openai', model: 'gpt-4o' },
+                    { provider: 'local', model: 'llama3' }
+                ]
+            }
+        });
+    });
+
+    it('should answer with the next model and record why earlier ones were skipped', async () => {
+        vi.spyOn(chatService, 'sendMessage')
+            .mockRejectedValueOnce(new Error('API Error 503: Service Unavailable'))
+            .mockResolvedValueOnce({ content: 'Answer from GPT-4o', usage: {} });
+
+        render(<App />);
+        sendText('Hello');
+
+        await waitFor(() => {
+            expect(lastMessage().content).toBe('Answer from GPT-4o');
+        });
+
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(2);
+        expect(chatService.sendMessage.mock.calls[1][0]).toEqual(expect.objectContaining({
+            provider: 'openai',
+            model: 'gpt-4o',
+            apiKey: 'oa-key',
+            baseUrl: 'https://api.openai.com/v1'
+        }));
+        expect(lastMessage().metadata).toEqual(expect.objectContaining({
+            model: 'gpt-4o',
+            provider: 'openai',
+            fallbacks: [
+                { provider: 'openrouter', model: 'anthropic/claude-sonnet-4', reason: 'API Error 503: Service Unavailable' },
+                { provider: 'anthropic', model: 'claude-sonnet-4-5', reason: 'No API key configured' }
+            ]
+        }));
+        expect(screen.getByText('gpt-4o')).toBeDefined();
+    });
+
+    it('should report the last error when every model fails', async () => {
+        vi.spyOn(chatService, 'sendMessage').mockRejectedValue(new Error('API Error 502: Bad Gateway'));
+
+        render(<App />);
+        sendText('Hello');
+
+        await waitFor(() => {
+            expect(lastMessage()).toEqual({ role: 'error', content: 'API Error 502: Bad Gateway', retryOptions: { webSearch: false } });
+        });
+        expect(chatService.sendMessage).toHaveBeenCalledTimes(3);
+        expect(chatService.sendMessage.mock.calls[2][0]).toEqual(expect.objectContaining({
+            provider: 'local',
+            model: 'llama3',
+            baseUrl: 'http://localhost:11434/v1'
+        }));
+    });
+
+    it('should not try fallbacks when the user stops the request', async () => {
+        vi.spyOn(chatService, 'sendMessage').mockRejectedValue(new DOMException('Aborted', 'AbortError'));
+
+        render(<App />);
+        sendText('Hello');
+
+        await waitFor(() => {
+            expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+        });
+        expect(lastMessage().role).toBe('user');
+    });
+});
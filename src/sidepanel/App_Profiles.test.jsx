@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import { useChatStore } from '../store/useChatStore';
+import { chatService } from '../services/chatService';
+import { fetchModels } from '../services/modelService';
+
+vi.mock('../utils/fileProcessor', () => ({
+    processFile: vi.fn()
+}));
+
+vi.mock('../utils/pageScraper', () => ({
+    scrapePage: vi.fn()
+}));
+
+vi.mock('../utils/encryption', () => ({
+    encryptData: vi.fn(key => Promise.resolve(`encrypted-${key}`)),
+    decryptData: vi.fn(key => Promise.resolve(key.replace('encrypted-', '')))
+}));
+
+vi.mock('../services/modelService', () => ({
+    fetchModels: vi.fn().mockResolvedValue([]),
+    clearModelCache: vi.fn(),
+    getModelCategory: vi.fn(m => m._category || 'General')
+}));
+
+const groq = {
+    id: 'groq',
+    name: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    encryptedApiKey: 'encrypted-gsk-key',
+    headers: { 'X-Team': 'research' }
+};
+
+describe('App Provider Profiles', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        fetchModels.mockResolvedValue([]);
+
+        useChatStore.setState({
+            providerMode: 'cloud',
+            activeCloudProvider: 'openrouter',
+            customBaseUrl: '',
+            encryptedApiKeys: { openrouter: 'encrypted-or-key', openai: '', anthropic: '', google: '' },
+            providerProfiles: [],
+            messages: [],
+            sessions: [],
+            currentSessionId: null,
+            model: 'anthropic/claude-sonnet-4',
+            fallbackChains: {}
+        });
+    });
+
+    it('should add a profile in Settings and make it the active provider', async () => {
+        render(<App />);
+
+        fireEvent.click(screen.getByLabelText('Settings'));
+        fireEvent.click(screen.getByText('Add Provider'));
+        fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Groq' } });
+        fireEvent.change(screen.getByLabelText('Base URL'), { target: { value: 'https://api.groq.com/openai/v1/' } });
+        fireEvent.change(screen.getByLabelText('API Key'), { target: { value: 'gsk-key' } });
+        fireEvent.change(screen.getByLabelText('Extra Headers'), { target: { value: 'X-Team: research' } });
+        fireEvent.click(screen.getAllByText('Add Provider').at(-1));
+
+        await waitFor(() => {
+            expect(useChatStore.getState().providerProfiles).toEqual([groq]);
+        });
+        expect(useChatStore.getState().activeCloudProvider).toBe('groq');
+
+        await waitFor(() => {
+            expect(fetchModels).toHaveBeenLastCalledWith('https://api.groq.com/openai/v1', false, 'groq', 'gsk-key', { 'X-Team': 'research' }, []);
+        });
+    });
+
+    it('should reject header lines without a name', async () => {
+        render(<App />);
+
+        fireEvent.click(screen.getByLabelText('Settings'));
+        fireEvent.click(screen.getByText('Add Provider'));
+        fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Gateway' } });
+        fireEvent.change(screen.getByLabelText('Base URL'), { target: { value: 'http://litellm.internal:4000' } });
+        fireEvent.change(screen.getByLabelText('Extra Headers'), { target: { value: 'just a value' } });
+        fireEvent.click(screen.getAllByText('Add Provider').at(-1));
+
+        expect(await screen.findByText(/Invalid header line/)).toBeDefined();
+        expect(useChatStore.getState().providerProfiles).toEqual([]);
+    });
+
+    it('should send chats through the active profile with its headers', async () => {
+        useChatStore.setState({ providerProfiles: [groq], activeCloudProvider: 'groq', model: 'llama-3.3-70b-versatile' });
+        fetchModels.mockResolvedValue([{ id: 'llama-3.3-70b-versatile' }]);
+        vi.spyOn(chatService, 'sendMessage').mockResolvedValue({ content: 'Fast answer', usage: {} });
+
+        render(<App />);
+        expect(screen.getByText('Groq')).toBeDefined();
+
+        fireEvent.change(screen.getByPlaceholderText('Ask... (type / for prompts)'), { target: { value: 'Hello' } });
+        fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+        await waitFor(() => {
+            expect(useChatStore.getState().messages.at(-1).content).toBe('Fast answer');
+        });
+        expect(chatService.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+            provider: 'groq',
+            baseUrl: 'https://api.groq.com/openai/v1',
+            apiKey: 'gsk-key',
+            headers: { 'X-Team': 'research' },
+            model: 'llama-3.3-70b-versatile'
+        }));
+    });
+
+    it('should switch to a profile from the model picker', async () => {
+        useChatStore.setState({ providerProfiles: [groq] });
+        render(<App />);
+
+        fireEvent.focus(screen.getByRole('combobox'));
+        fireEvent.click(screen.getByTitle('Switch to Groq'));
+
+        expect(useChatStore.getState().activeCloudProvider).toBe('groq');
+    });
+});
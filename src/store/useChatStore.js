@@ -1,6 +1,9 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import { chromeStorageAdapter } from './chromeStorageAdapter';
+import { createProfileId } from '../utils/providerProfiles';
+import { DEFAULT_AZURE_API_VERSION } from '../utils/azureOpenAI';
+import { toKeptMessage } from '../utils/compareMode';
 
 const generateId = () => {
     if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -9,22 +12,57 @@ const generateId = () => {
     return Date.now().toString() + Math.random().toString(36).substring(2);
 };
 
+// Removes the fallbacks that point at the given providers, and the chains left empty by that
+const dropFallbacksTo = (fallbackChains, providers) => Object.fromEntries(
+    Object.entries(fallbackChains)
+        .map(([modelId, chain]) => [modelId, chain.filter(c => !providers.includes(c.provider))])
+        .filter(([, chain]) => chain.length > 0)
+);
+
 export const useChatStore = create(
     persist(
         (set, get) => ({
             // Multi-provider support
-            activeCloudProvider: 'openrouter', // 'openrouter' | 'openai' | 'anthropic' | 'google'
+            activeCloudProvider: 'openrouter', // 'openrouter' | 'openai' | 'azure' | 'anthropic' | 'google' | a provider profile id
             setActiveCloudProvider: (provider) => set({ activeCloudProvider: provider }),
 
             encryptedApiKeys: {
                 openrouter: '',
                 openai: '',
+                azure: '',
                 anthropic: '',
                 google: ''
             },
             setEncryptedApiKey: (provider, key) => set((state) => ({
                 encryptedApiKeys: { ...state.encryptedApiKeys, [provider]: key }
             })),
+            // Azure OpenAI resource: requests go to one of the deployments, whose names are used as model ids
+            azureConfig: {
+                endpoint: '', // https://<resource>.openai.azure.com
+                apiVersion: DEFAULT_AZURE_API_VERSION,
+                deployments: []
+            },
+            setAzureConfig: (config) => set(state => ({ azureConfig: { ...state.azureConfig, ...config } })),
+            // Named OpenAI-compatible endpoints: [{ id, name, baseUrl, encryptedApiKey, headers }].
+            // A profile id is used as the provider name (activeCloudProvider, fallback chains).
+            providerProfiles: [],
+            // Adds a profile and makes it the active provider
+            addProviderProfile: (profile) => set((state) => {
+                const id = createProfileId(profile.name, state.providerProfiles.map(p => p.id));
+                return {
+                    providerProfiles: [...state.providerProfiles, { encryptedApiKey: '', headers: {}, ...profile, id }],
+                    activeCloudProvider: id
+                };
+            }),
+            updateProviderProfile: (id, changes) => set((state) => ({
+                providerProfiles: state.providerProfiles.map(p => p.id === id ? { ...p, ...changes, id } : p)
+            })),
+            deleteProviderProfile: (id) => set((state) => ({
+                providerProfiles: state.providerProfiles.filter(p => p.id !== id),
+                fallbackChains: dropFallbacksTo(state.fallbackChains, [id]),
+                ...(state.activeCloudProvider === id && { activeCloudProvider: 'openrouter' })
+            })),
+
             includeFreeModels: false,
             setIncludeFreeModels: (include) => set({ includeFreeModels: include }),
             messages: [],
@@ -61,6 +99,19 @@ export const useChatStore = create(
             },
             setWebSearchConfig: (config) => set(state => ({ webSearchConfig: { ...state.webSearchConfig, ...config } })),
 
+            // Native function calling with the built-in tools (see toolRegistry)
+            toolsEnabled: false,
+            setToolsEnabled: (enabled) => set({ toolsEnabled: enabled }),
+            maxToolRounds: 5, // Tool round trips before the model must answer
+            setMaxToolRounds: (rounds) => set({ maxToolRounds: rounds }),
+
+            // Ordered fallbacks per selected model: { [modelId]: [{ provider, model }] }
+            fallbackChains: {},
+            setFallbackChain: (modelId, chain) => set(state => {
+                const { [modelId]: _, ...rest } = state.fallbackChains;
+                return { fallbackChains: chain && chain.length > 0 ? { ...rest, [modelId]: chain } : rest };
+            }),
+
             toggleFavorite: (modelId) => set(state => {
                 const isFav = state.favorites.includes(modelId);
                 return {
@@ -149,6 +200,7 @@ export const useChatStore = create(
                     newSessions[currentIndex] = {
                         ...newSessions[currentIndex],
                         messages: [],
+                        summary: null, // The pinned summary was of the cleared messages
                         updatedAt: Date.now()
                     };
                 }
@@ -246,6 +298,8 @@ export const useChatStore = create(
                 newSessions[index] = {
                     ...currentSession,
                     messages: truncatedMessages,
+                    // A summary covering edited messages no longer matches the conversation
+                    ...(currentSession.summary?.messageCount > messageIndex && { summary: null }),
                     updatedAt: Date.now()
                 };
 
@@ -260,12 +314,97 @@ export const useChatStore = create(
                 return { sessions: newSessions };
             }),
 
-            reset: () => set({
-                encryptedApiKeys: { openrouter: '', openai: '', anthropic: '', google: '' },
-                messages: [],
-                sessions: [],
-                currentSessionId: null,
-                model: 'anthropic/claude-4-sonnet'
+            // Replaces a compare-mode entry with the answer the user keeps, so the chat continues from it
+            keepComparisonAnswer: (sessionId, messageIndex, answerIndex) => set((state) => {
+                const session = state.sessions.find(s => s.id === sessionId);
+                const kept = session?.messages[messageIndex]?.role === 'comparison'
+                    ? toKeptMessage(session.messages[messageIndex], answerIndex)
+                    : null;
+                if (!kept) return {};
+
+                const newMessages = session.messages.map((m, i) => i === messageIndex ? kept : m);
+                // A summary written while the answers were side by side left them out
+                const resetSummary = session.summary?.messageCount > messageIndex;
+                const newSessions = state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, messages: newMessages, ...(resetSummary && { summary: null }), updatedAt: Date.now() } : s
+                );
+
+                // If currently active, also update the 'messages' pointer
+                if (state.currentSessionId === sessionId) {
+                    return { sessions: newSessions, messages: newMessages };
+                }
+                return { sessions: newSessions };
+            }),
+
+            // Reasoning effort ('low' | 'medium' | 'high', null = provider default) is kept per session
+            setSessionReasoningEffort: (sessionId, effort) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, reasoningEffort: effort || null } : s
+                )
+            })),
+
+            // Generation parameters ({ temperature, max_tokens, ... } in OpenAI terms) are kept per session
+            setSessionParameters: (sessionId, parameters) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, parameters: parameters || {} } : s
+                )
+            })),
+
+            // JSON mode: { name, schema } the session's answers must follow, or null when off
+            setSessionJsonSchema: (sessionId, jsonSchema) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, jsonSchema: jsonSchema || null } : s
+                )
+            })),
+
+            // Image output { aspectRatio, modalities } for image-generation models, or null for the model defaults
+            setSessionImageOptions: (sessionId, imageOptions) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, imageOptions: imageOptions || null } : s
+                )
+            })),
+
+            // Whether the model's tools may read the current page and fetch URLs in this session (off by default)
+            setSessionPageAccess: (sessionId, enabled) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, pageAccess: Boolean(enabled) } : s
+                )
+            })),
+
+            // Compare mode: the [{ provider, model }] each prompt of the session is sent to, or null when off
+            setSessionCompareModels: (sessionId, compareModels) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, compareModels: compareModels?.length > 0 ? compareModels : null } : s
+                )
+            })),
+
+            // How to fit a chat into the model's context window ('drop-attachments' | 'sliding-window' | 'summarize')
+            setSessionContextStrategy: (sessionId, strategy) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, contextStrategy: strategy || null } : s
+                )
+            })),
+
+            // Pinned summary { content, messageCount } replacing the first messageCount messages in requests
+            setSessionSummary: (sessionId, summary) => set((state) => ({
+                sessions: state.sessions.map(s =>
+                    s.id === sessionId ? { ...s, summary: summary || null } : s
+                )
+            })),
+
+            reset: () => set((state) => {
+                const profileIds = state.providerProfiles.map(p => p.id);
+                return {
+                    encryptedApiKeys: { openrouter: '', openai: '', azure: '', anthropic: '', google: '' },
+                    azureConfig: { endpoint: '', apiVersion: DEFAULT_AZURE_API_VERSION, deployments: [] },
+                    providerProfiles: [],
+                    fallbackChains: dropFallbacksTo(state.fallbackChains, profileIds),
+                    ...(profileIds.includes(state.activeCloudProvider) && { activeCloudProvider: 'openrouter' }),
+                    messages: [],
+                    sessions: [],
+                    currentSessionId: null,
+                    model: 'anthropic/claude-4-sonnet'
+                };
             })
         }),
         {
@@ -276,6 +415,8 @@ export const useChatStore = create(
                 model: state.model,
                 encryptedApiKeys: state.encryptedApiKeys,
                 activeCloudProvider: state.activeCloudProvider,
+                providerProfiles: state.providerProfiles,
+                azureConfig: state.azureConfig,
                 sessions: state.sessions,
                 currentSessionId: state.currentSessionId,
                 favorites: state.favorites,
@@ -284,10 +425,26 @@ export const useChatStore = create(
                 includeFreeModels: state.includeFreeModels,
                 providerMode: state.providerMode,
                 localBaseUrl: state.localBaseUrl,
-                webSearchConfig: state.webSearchConfig
+                webSearchConfig: state.webSearchConfig,
+                toolsEnabled: state.toolsEnabled,
+                maxToolRounds: state.maxToolRounds,
+                fallbackChains: state.fallbackChains
             }),
-            version: 0,
-            migrate: (state) => state
+            version: 1,
+            migrate: (state, version) => {
+                // v0 stored failed requests as system messages ("Error: ..."), which were sent to the model
+                if (version < 1 && state) {
+                    const toErrorEntry = (m) => (m.role === 'system' && typeof m.content === 'string' && m.content.startsWith('Error: '))
+                        ? { role: 'error', content: m.content.slice('Error: '.length) }
+                        : m;
+                    return {
+                        ...state,
+                        messages: (state.messages || []).map(toErrorEntry),
+                        sessions: (state.sessions || []).map(s => ({ ...s, messages: (s.messages || []).map(toErrorEntry) }))
+                    };
+                }
+                return state;
+            }
         }
     )
 );
@@ -143,5 +143,285 @@ describe('useChatStore', () => {
             expect(session.messages).toHaveLength(1);
         });
     });
-});
 
+    describe('setSessionReasoningEffort', () => {
+        it('should store the effort on the given session only', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.ensureActiveSession();
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionReasoningEffort(sessionId, 'high');
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).reasoningEffort).toBe('high');
+
+            act(() => {
+                result.current.setSessionReasoningEffort(sessionId, null);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).reasoningEffort).toBeNull();
+        });
+    });
+
+    describe('setSessionParameters', () => {
+        it('should store generation parameters on the given session', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.ensureActiveSession();
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionParameters(sessionId, { temperature: 0.2, stop: ['###'] });
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).parameters).toEqual({ temperature: 0.2, stop: ['###'] });
+        });
+    });
+
+    describe('providerProfiles', () => {
+        it('should add, update and delete provider profiles', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.addProviderProfile({ name: 'Together AI', baseUrl: 'https://api.together.xyz/v1' });
+                result.current.addProviderProfile({ name: 'Together AI', baseUrl: 'https://eu.together.xyz/v1' });
+            });
+            expect(result.current.providerProfiles.map(p => p.id)).toEqual(['together-ai', 'together-ai-2']);
+            expect(result.current.providerProfiles[0]).toEqual({
+                id: 'together-ai', name: 'Together AI', baseUrl: 'https://api.together.xyz/v1', encryptedApiKey: '', headers: {}
+            });
+            expect(result.current.activeCloudProvider).toBe('together-ai-2');
+
+            act(() => {
+                result.current.updateProviderProfile('together-ai', { name: 'Together', headers: { 'X-Team': 'a' } });
+            });
+            expect(result.current.providerProfiles[0]).toEqual(expect.objectContaining({ id: 'together-ai', name: 'Together', headers: { 'X-Team': 'a' } }));
+
+            act(() => {
+                result.current.deleteProviderProfile('together-ai-2');
+            });
+            expect(result.current.providerProfiles.map(p => p.id)).toEqual(['together-ai']);
+            expect(result.current.activeCloudProvider).toBe('openrouter');
+        });
+
+        it('should drop the fallbacks that point at a deleted profile', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.addProviderProfile({ name: 'Groq', baseUrl: 'https://api.groq.com/openai/v1' });
+                result.current.setFallbackChain('gpt-4o', [{ provider: 'groq', model: 'llama-3.3-70b' }, { provider: 'openai', model: 'gpt-4o-mini' }]);
+                result.current.setFallbackChain('claude', [{ provider: 'groq', model: 'llama-3.3-70b' }]);
+                result.current.deleteProviderProfile('groq');
+            });
+            expect(result.current.fallbackChains).toEqual({ 'gpt-4o': [{ provider: 'openai', model: 'gpt-4o-mini' }] });
+        });
+
+        it('should clear profiles and the Azure configuration on reset', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.setAzureConfig({ endpoint: 'https://res.openai.azure.com', deployments: ['gpt4o'] });
+                result.current.addProviderProfile({ name: 'Groq', baseUrl: 'https://api.groq.com/openai/v1', headers: { Authorization: 'Bearer x' } });
+                result.current.setFallbackChain('gpt-4o', [{ provider: 'groq', model: 'llama-3.3-70b' }]);
+                result.current.reset();
+            });
+            expect(result.current.providerProfiles).toEqual([]);
+            expect(result.current.azureConfig).toEqual(expect.objectContaining({ endpoint: '', deployments: [] }));
+            expect(result.current.fallbackChains).toEqual({});
+            expect(result.current.activeCloudProvider).toBe('openrouter');
+        });
+    });
+
+    describe('compare mode', () => {
+        it('should store the compared models per session', () => {
+            useChatStore.setState({ sessions: [{ id: 's1', messages: [] }, { id: 's2', messages: [] }] });
+            const { result } = renderHook(() => useChatStore());
+            const models = [{ provider: 'openrouter', model: 'a' }, { provider: 'openai', model: 'b' }];
+
+            act(() => {
+                result.current.setSessionCompareModels('s1', models);
+            });
+            expect(result.current.sessions[0].compareModels).toEqual(models);
+            expect(result.current.sessions[1].compareModels).toBeUndefined();
+
+            act(() => {
+                result.current.setSessionCompareModels('s1', []);
+            });
+            expect(result.current.sessions[0].compareModels).toBeNull();
+        });
+
+        it('should replace a comparison with the kept answer', () => {
+            const comparison = {
+                role: 'comparison',
+                content: '',
+                answers: [
+                    { role: 'assistant', content: 'A', metadata: { model: 'a' } },
+                    { content: '', error: 'Failed', metadata: { model: 'b' } }
+                ]
+            };
+            const messages = [{ role: 'user', content: 'Hi' }, comparison];
+            useChatStore.setState({ sessions: [{ id: 's1', messages }], currentSessionId: 's1', messages });
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.keepComparisonAnswer('s1', 1, 1);
+            });
+            expect(result.current.messages[1]).toBe(comparison);
+
+            act(() => {
+                result.current.keepComparisonAnswer('s1', 1, 0);
+            });
+            expect(result.current.messages[1]).toEqual({ role: 'assistant', content: 'A', metadata: { model: 'a' } });
+            expect(result.current.sessions[0].messages[1]).toEqual(result.current.messages[1]);
+        });
+    });
+
+    describe('setAzureConfig', () => {
+        it('should merge changes into the Azure settings', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.setAzureConfig({ endpoint: 'https://contoso.openai.azure.com', deployments: ['gpt-4o-prod'] });
+            });
+            expect(result.current.azureConfig).toEqual({
+                endpoint: 'https://contoso.openai.azure.com',
+                apiVersion: '2024-10-21',
+                deployments: ['gpt-4o-prod']
+            });
+        });
+    });
+
+    describe('setSessionJsonSchema', () => {
+        it('should set and clear the JSON schema of a session', () => {
+            const { result } = renderHook(() => useChatStore());
+            const jsonSchema = { name: 'response', schema: { type: 'object' } };
+
+            act(() => {
+                result.current.ensureActiveSession();
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionJsonSchema(sessionId, jsonSchema);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).jsonSchema).toEqual(jsonSchema);
+
+            act(() => {
+                result.current.setSessionJsonSchema(sessionId, null);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).jsonSchema).toBeNull();
+        });
+    });
+
+    describe('setSessionImageOptions', () => {
+        it('should set and clear the image output options of a session', () => {
+            const { result } = renderHook(() => useChatStore());
+            const imageOptions = { aspectRatio: '16:9', modalities: ['image'] };
+
+            act(() => {
+                result.current.ensureActiveSession();
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionImageOptions(sessionId, imageOptions);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).imageOptions).toEqual(imageOptions);
+
+            act(() => {
+                result.current.setSessionImageOptions(sessionId, null);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).imageOptions).toBeNull();
+        });
+    });
+
+    describe('setSessionSummary', () => {
+        it('should drop the summary when a summarized message is edited', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.ensureActiveSession();
+                result.current.addMessage({ role: 'user', content: 'one' });
+                result.current.addMessage({ role: 'assistant', content: 'two' });
+                result.current.addMessage({ role: 'user', content: 'three' });
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionSummary(sessionId, { content: '- one, two', messageCount: 2 });
+                result.current.truncateAtMessage(sessionId, 2);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).summary).toEqual({ content: '- one, two', messageCount: 2 });
+
+            act(() => {
+                result.current.truncateAtMessage(sessionId, 1);
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).summary).toBeNull();
+        });
+
+        it('should drop the summary when the chat is cleared', () => {
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.ensureActiveSession();
+                result.current.addMessage({ role: 'user', content: 'one' });
+                result.current.addMessage({ role: 'assistant', content: 'two' });
+            });
+
+            const sessionId = result.current.currentSessionId;
+            act(() => {
+                result.current.setSessionSummary(sessionId, { content: '- one, two', messageCount: 2 });
+                result.current.clearHistory();
+            });
+            expect(result.current.sessions.find(s => s.id === sessionId).summary).toBeNull();
+        });
+
+        it('should drop a summary written before a compared answer was kept', () => {
+            const comparison = { role: 'comparison', content: '', answers: [{ role: 'assistant', content: 'A' }] };
+            const messages = [{ role: 'user', content: 'Hi' }, comparison, { role: 'user', content: 'More' }];
+            useChatStore.setState({
+                sessions: [{ id: 's1', messages, summary: { content: '- Hi', messageCount: 2 } }],
+                currentSessionId: 's1',
+                messages
+            });
+            const { result } = renderHook(() => useChatStore());
+
+            act(() => {
+                result.current.keepComparisonAnswer('s1', 1, 0);
+            });
+            expect(result.current.sessions[0].summary).toBeNull();
+        });
+    });
+
+    describe('persist migration', () => {
+        it('should turn stored error system messages into error entries', () => {
+            const { migrate } = useChatStore.persist.getOptions();
+            const legacy = [{ role: 'user', content: 'Hi' }, { role: 'system', content: 'Error: API Error 500' }];
+
+            const migrated = migrate({ messages: legacy, sessions: [{ id: 's1', messages: legacy }] }, 0);
+
+            expect(migrated.messages[1]).toEqual({ role: 'error', content: 'API Error 500' });
+            expect(migrated.sessions[0].messages).toEqual([{ role: 'user', content: 'Hi' }, { role: 'error', content: 'API Error 500' }]);
+        });
+    });
+
+    describe('setFallbackChain', () => {
+        it('should store a chain per model and drop empty chains', () => {
+            const { result } = renderHook(() => useChatStore());
+            const chain = [{ provider: 'openai', model: 'gpt-4o' }];
+
+            act(() => {
+                result.current.setFallbackChain('anthropic/claude-4-sonnet', chain);
+            });
+            expect(result.current.fallbackChains['anthropic/claude-4-sonnet']).toEqual(chain);
+
+            act(() => {
+                result.current.setFallbackChain('anthropic/claude-4-sonnet', []);
+            });
+            expect(result.current.fallbackChains['anthropic/claude-4-sonnet']).toBeUndefined();
+        });
+    });
+});
@@ -1,6 +1,7 @@
 
 import { describe, it, expect } from 'vitest';
 import { manualToolAdapter } from '../services/manualToolAdapter';
+import { toolRegistry } from '../services/toolRegistry';
 
 describe('Manual Tool Adapter - Edge Cases', () => {
     it('should parse malformed hybrid XML format from local models', () => {
@@ -14,4 +15,45 @@ describe('Manual Tool Adapter - Edge Cases', () => {
             args: { query: '2025 Super Bowl winner' }
         });
     });
+
+    it('should hold back streamed output from the first tool call marker', () => {
+        const content = 'Let me look that up.\n<tool_use>\n<tool_name>web-bro';
+        expect(manualToolAdapter.getDisplayableLength(content)).toBe('Let me look that up.\n'.length);
+    });
+
+    it('should hold back a marker that is still incomplete at the end of the stream', () => {
+        expect(manualToolAdapter.getDisplayableLength('Checking <tool_')).toBe('Checking '.length);
+        expect(manualToolAdapter.getDisplayableLength('a < b')).toBe('a < b'.length);
+    });
+
+    it('should parse calls to any tool with arbitrary arguments', () => {
+        const call = manualToolAdapter.parseToolCall(
+            '<tool_use>\n<tool_name>fetch_url</tool_name>\n<parameters>\n<url>https://example.com/a?b=1</url>\n<mode>text</mode>\n</parameters>\n</tool_use>'
+        );
+        expect(call).toEqual({ tool: 'fetch_url', args: { url: 'https://example.com/a?b=1', mode: 'text' } });
+
+        expect(manualToolAdapter.parseToolCall('<function=calculator><parameter=expression>2 * (3 + 4)</parameter></function>'))
+            .toEqual({ tool: 'calculator', args: { expression: '2 * (3 + 4)' } });
+    });
+
+    it('should parse a named tool call without arguments', () => {
+        expect(manualToolAdapter.parseToolCall('<tool_use><tool_name>read_current_page</tool_name></tool_use>'))
+            .toEqual({ tool: 'read_current_page', args: {} });
+    });
+
+    it('should list every offered tool in the injected prompt', () => {
+        const tools = ['web_search', 'calculator', 'read_current_page'].map(name => toolRegistry.get(name));
+        const [system] = manualToolAdapter.injectHelper([{ role: 'user', content: 'Hi' }], tools);
+
+        expect(system.content).toContain('1. web-browsing: Searches the web');
+        expect(system.content).toContain('2. calculator: ');
+        expect(system.content).toContain('   - Parameter: expression (string)');
+        expect(system.content).toContain('3. read_current_page: ');
+        expect(system.content).toContain('   - Parameters: none');
+    });
+
+    it('should map the legacy web-browsing name to the registered web search tool', () => {
+        expect(manualToolAdapter.resolveToolName('web-browsing')).toBe('web_search');
+        expect(manualToolAdapter.resolveToolName('calculator')).toBe('calculator');
+    });
 });
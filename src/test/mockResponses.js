@@ -0,0 +1,36 @@
+/**
+ * Fetch response fixtures shared by the chatService tests.
+ */
+
+// A successful JSON response
+export const mockJsonResponse = (data) => ({
+    ok: true,
+    text: () => Promise.resolve(JSON.stringify(data)),
+    json: () => Promise.resolve(data)
+});
+
+// A streamed response delivering sseText in one read, or in reads of chunkSize bytes
+export const mockSSEResponse = (sseText, chunkSize = Infinity) => {
+    const encoded = new TextEncoder().encode(sseText);
+    let position = 0;
+    return {
+        ok: true,
+        body: {
+            getReader: () => ({
+                read: () => {
+                    if (position >= encoded.length) return Promise.resolve({ done: true, value: undefined });
+                    const chunk = encoded.slice(position, position + chunkSize);
+                    position += chunk.length;
+                    return Promise.resolve({ done: false, value: chunk });
+                },
+                cancel: () => Promise.resolve()
+            })
+        }
+    };
+};
+
+// OpenAI-style stream: one data line per event, then [DONE]
+export const mockStreamResponse = (events) => mockSSEResponse(events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n');
+
+// Stream of named events (Anthropic Messages, OpenAI Responses)
+export const mockEventStream = (events) => mockSSEResponse(events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join(''));
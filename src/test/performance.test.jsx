@@ -148,7 +148,7 @@ describe('Performance Tests', () => {
 
             for (const provider of providers) {
                 const duration = await measureTime(async () => {
-                    const providerBtn = screen.getByRole('button', { name: new RegExp(provider, 'i') });
+                    const providerBtn = screen.getByRole('button', { name: new RegExp(`^${provider}$`, 'i') });
                     fireEvent.click(providerBtn);
 
                     await waitFor(() => {
@@ -225,9 +225,8 @@ describe('Web Search Integration', () => {
                 options: { webSearch: true }
             });
 
-            expect(result.content).toContain('The weather in Paris is sunny.');
-            expect(result.content).toContain('Weather in Paris');
-            expect(result.content).toContain('https://weather.com/paris');
+            expect(result.content).toBe('The weather in Paris is sunny. [1](https://weather.com/paris)');
+            expect(result.sources).toEqual([{ title: 'Weather in Paris', url: 'https://weather.com/paris', snippet: '' }]);
         });
 
         it('should handle "No text content" scenario gracefully (fallback)', async () => {
@@ -132,4 +132,99 @@ who won the super bowl 2025
         // Expect final content
         expect(result.content).toBe('Argentina won the World Cup in 2022.');
     });
+
+    it('streams local responses and pauses output while the requested search runs', async () => {
+        const streamOf = (chunks) => {
+            const encoder = new TextEncoder();
+            const queue = chunks.map(c => encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: c } }] })}\n\n`));
+            return {
+                ok: true,
+                body: {
+                    getReader: () => ({
+                        read: () => Promise.resolve(queue.length > 0
+                            ? { done: false, value: queue.shift() }
+                            : { done: true, value: undefined }),
+                        cancel: () => Promise.resolve()
+                    })
+                }
+            };
+        };
+
+        // 1. First stream: some prose, then a tool call split across chunks
+        global.fetch.mockResolvedValueOnce(streamOf([
+            'Let me check. <tool',
+            '_use>\n<tool_name>web-browsing</tool_name>\n<parameters>\n<query>World Cup winner 2022</query>\n</parameters>\n</tool_use>'
+        ]));
+        // 2. Follow-up stream with the final answer
+        global.fetch.mockResolvedValueOnce(streamOf(['Argentina ', 'won.']));
+
+        const onDelta = vi.fn();
+        const signal = new AbortController().signal;
+        const result = await chatService.sendMessage({
+            provider: 'local',
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3',
+            messages: [{ role: 'user', content: 'Who won the world cup?' }],
+            options: {
+                webSearch: true,
+                webSearchConfig: { provider: 'google', apiKey: 'test', cx: 'test' }
+            },
+            signal,
+            onDelta
+        });
+
+        const firstPayload = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(firstPayload.stream).toBe(true);
+        expect(global.fetch.mock.calls[1][1].signal).toBe(signal);
+
+        // Tool call XML never reaches the UI; a status is shown while searching
+        const emitted = onDelta.mock.calls.map(([d]) => d.content || '').join('');
+        expect(emitted).toBe('Let me check. Argentina won.');
+        expect(onDelta).toHaveBeenCalledWith({ status: 'Searching the web for "World Cup winner 2022"...' });
+
+        expect(webSearchService.search).toHaveBeenCalledWith('google', 'World Cup winner 2022', expect.anything());
+        expect(result.content).toBe('Let me check.\n\nArgentina won.');
+    });
+
+    it('lets the model run several tools in a row and forces an answer at the round limit', async () => {
+        const reply = (content) => ({
+            ok: true,
+            text: () => Promise.resolve(JSON.stringify({ choices: [{ message: { content } }] }))
+        });
+        const searchCall = '<tool_use><tool_name>web-browsing</tool_name><parameters><query>World Cup 2022</query></parameters></tool_use>';
+        const calcCall = '<tool_use><tool_name>calculator</tool_name><parameters><expression>2026 - 2022</expression></parameters></tool_use>';
+
+        global.fetch
+            .mockResolvedValueOnce(reply(searchCall))
+            .mockResolvedValueOnce(reply(calcCall))
+            .mockResolvedValueOnce(reply(`Argentina, 4 years ago. ${searchCall}`));
+
+        const result = await chatService.sendMessage({
+            provider: 'local',
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3',
+            messages: [{ role: 'user', content: 'Who won the 2022 World Cup and how long ago?' }],
+            options: {
+                webSearch: true,
+                enableTools: true,
+                maxToolRounds: 2,
+                webSearchConfig: { provider: 'google', apiKey: 'test', cx: 'test' }
+            }
+        });
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+
+        const secondRequest = JSON.parse(global.fetch.mock.calls[1][1].body);
+        expect(secondRequest.messages[0].content).toContain('calculator');
+        expect(secondRequest.messages.at(-1).content).toContain('<tool_output name="web-browsing">');
+
+        // Last round: no tool list, the model is told to answer, and a stray call is dropped
+        const lastRequest = JSON.parse(global.fetch.mock.calls[2][1].body);
+        expect(lastRequest.messages[0].role).toBe('user');
+        expect(lastRequest.messages.at(-1).content).toContain('<tool_output name="calculator">\n4\n</tool_output>');
+        expect(lastRequest.messages.at(-1).content).toContain('You have used all available tool calls');
+
+        expect(result.content).toBe('Argentina, 4 years ago.');
+        expect(result.toolSteps.map(s => s.name)).toEqual(['web_search', 'calculator']);
+    });
 });
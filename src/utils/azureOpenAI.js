@@ -0,0 +1,19 @@
+/**
+ * Azure OpenAI settings: requests go to a deployment of the resource endpoint
+ * (`/openai/deployments/{name}/chat/completions?api-version=...`) and the deployments
+ * are entered in Settings, since the data-plane API has no listing for them.
+ */
+
+// GA version used when the settings leave it empty
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Deployment names from the settings editor, one per line (commas also separate).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseDeployments = (text) => [...new Set(
+    (text || '').split(/[\n,]/).map(name => name.trim()).filter(Boolean)
+)];
+
+export const formatDeployments = (deployments) => (deployments || []).join('\n');
@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { parseDeployments, formatDeployments } from './azureOpenAI';
+
+describe('azureOpenAI', () => {
+    it('should parse one deployment per line, dropping blanks and duplicates', () => {
+        expect(parseDeployments('gpt-4o-prod\n\n  o3-mini , gpt-4o-prod\n')).toEqual(['gpt-4o-prod', 'o3-mini']);
+        expect(parseDeployments('')).toEqual([]);
+    });
+
+    it('should format deployments for the editor', () => {
+        expect(formatDeployments(['gpt-4o-prod', 'o3-mini'])).toBe('gpt-4o-prod\no3-mini');
+        expect(formatDeployments(undefined)).toBe('');
+    });
+});
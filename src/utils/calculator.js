@@ -0,0 +1,143 @@
+/**
+ * Safe arithmetic evaluator for the calculator tool.
+ * Parses the expression itself instead of using eval, so model output can never run code.
+ *
+ * Supports: + - * / % ^ (power), parentheses, unary minus, the constants pi and e,
+ * and the functions sqrt, abs, round, floor, ceil, log (base 10), ln, sin, cos, tan, min, max.
+ */
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    log: Math.log10,
+    ln: Math.log,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    min: Math.min,
+    max: Math.max
+};
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+const tokenize = (expression) => {
+    const tokens = [];
+    const regex = /\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^(),])/gy;
+    let match;
+    let index = 0;
+
+    while (index < expression.length) {
+        regex.lastIndex = index;
+        match = regex.exec(expression);
+        if (!match) {
+            if (expression.slice(index).trim() === '') break;
+            throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}"`);
+        }
+        tokens.push(match[1]);
+        index = regex.lastIndex;
+    }
+
+    return tokens;
+};
+
+/**
+ * Evaluates an arithmetic expression.
+ * @param {string} expression - e.g. "(3 + 4) * 2^3"
+ * @returns {number}
+ */
+export const evaluateExpression = (expression) => {
+    const tokens = tokenize(String(expression || '').toLowerCase().replace(/×/g, '*').replace(/÷/g, '/'));
+    if (tokens.length === 0) throw new Error('Empty expression');
+
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (['*', '/', '%'].includes(peek())) {
+            const op = next();
+            const right = parseUnary();
+            if (op === '*') value *= right;
+            else if (op === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // power := primary ('^' unary)?  (right-associative)
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    // primary := number | constant | function '(' args ')' | '(' expression ')'
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        if (/^[\d.]/.test(token)) return parseFloat(token);
+
+        if (token in CONSTANTS) return CONSTANTS[token];
+
+        if (token in FUNCTIONS) {
+            expect('(');
+            const args = [parseExpression()];
+            while (peek() === ',') {
+                next();
+                args.push(parseExpression());
+            }
+            expect(')');
+            return FUNCTIONS[token](...args);
+        }
+
+        throw new Error(`Unknown token "${token}"`);
+    };
+
+    const result = parseExpression();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+    if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+    return result;
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression } from './calculator';
+
+describe('evaluateExpression', () => {
+    it('respects operator precedence and parentheses', () => {
+        expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+        expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+        expect(evaluateExpression('2^3^2')).toBe(512);
+        expect(evaluateExpression('-2^2')).toBe(-4);
+    });
+
+    it('supports functions and constants', () => {
+        expect(evaluateExpression('sqrt(16) + max(1, 5, 3)')).toBe(9);
+        expect(evaluateExpression('round(pi * 100)')).toBe(314);
+    });
+
+    it('rejects anything that is not arithmetic', () => {
+        expect(() => evaluateExpression('alert(1)')).toThrow('Unknown token');
+        expect(() => evaluateExpression('1 + ;')).toThrow('Unexpected character');
+        expect(() => evaluateExpression('1 / 0')).toThrow('finite');
+        expect(() => evaluateExpression('(1 + 2')).toThrow('Expected ")"');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Helpers for the normalized `sources` list ({ title, url, snippet }) that chatService
+ * returns for web-search answers, and for the inline citation links in the answer text.
+ * An inline citation is a markdown link whose text is the source number, e.g. "[2](https://...)".
+ */
+
+/**
+ * Merges source lists, keeping the first occurrence of each URL.
+ * A later duplicate only fills in a missing title or snippet.
+ * @param {...Array} lists - Lists of { title, url, snippet }
+ * @returns {Array}
+ */
+export const mergeSources = (...lists) => {
+    const merged = [];
+    lists.flat().forEach(source => {
+        if (!source?.url) return;
+        const existing = merged.find(s => s.url === source.url);
+        if (!existing) {
+            merged.push({ title: source.title || source.url, url: source.url, snippet: source.snippet || '' });
+            return;
+        }
+        if (existing.title === existing.url && source.title) existing.title = source.title;
+        if (!existing.snippet && source.snippet) existing.snippet = source.snippet;
+    });
+    return merged;
+};
+
+// Inline citation link for the given 0-based source index
+export const formatCitation = (sources, index) => `[${index + 1}](${sources[index].url})`;
+
+/**
+ * Inserts citation links into text at character offsets.
+ * Citations at the same offset keep their order.
+ * @param {string} text
+ * @param {Array<{ index: number, citation: string }>} insertions - Offsets refer to the original text
+ * @returns {string}
+ */
+export const insertCitations = (text, insertions) => {
+    let result = text;
+    // Insert from the end so earlier offsets stay valid
+    insertions
+        .map((insertion, order) => ({ ...insertion, order }))
+        .sort((a, b) => (b.index - a.index) || (b.order - a.order))
+        .forEach(({ index, citation }) => {
+            const at = Math.max(0, Math.min(index, result.length));
+            result = `${result.slice(0, at)} ${citation}${result.slice(at)}`;
+        });
+    return result;
+};
+
+/**
+ * Converts a UTF-8 byte offset (as used by Gemini grounding) into a string index.
+ * @param {string} text
+ * @param {number} byteOffset
+ * @returns {number}
+ */
+export const byteOffsetToIndex = (text, byteOffset) => {
+    const bytes = new TextEncoder().encode(text);
+    return new TextDecoder().decode(bytes.slice(0, byteOffset)).length;
+};
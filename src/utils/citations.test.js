@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { mergeSources, formatCitation, insertCitations, byteOffsetToIndex } from './citations';
+
+describe('citations', () => {
+    it('should merge sources by URL and fill in missing details', () => {
+        const merged = mergeSources(
+            [{ url: 'https://a.dev' }, { title: 'B', url: 'https://b.dev', snippet: 'b' }],
+            [{ title: 'A', url: 'https://a.dev', snippet: 'a' }, { title: 'No URL' }]
+        );
+
+        expect(merged).toEqual([
+            { title: 'A', url: 'https://a.dev', snippet: 'a' },
+            { title: 'B', url: 'https://b.dev', snippet: 'b' }
+        ]);
+    });
+
+    it('should insert citations at their offsets, keeping the order of ties', () => {
+        const sources = [{ url: 'https://a.dev' }, { url: 'https://b.dev' }];
+        const text = insertCitations('One. Two.', [
+            { index: 4, citation: formatCitation(sources, 0) },
+            { index: 4, citation: formatCitation(sources, 1) },
+            { index: 9, citation: formatCitation(sources, 1) }
+        ]);
+
+        expect(text).toBe('One. [1](https://a.dev) [2](https://b.dev) Two. [2](https://b.dev)');
+    });
+
+    it('should convert UTF-8 byte offsets to string indexes', () => {
+        expect(byteOffsetToIndex('héllo', 3)).toBe(2);
+        expect(byteOffsetToIndex('abc', 10)).toBe(3);
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Compare mode: one prompt is sent to several models at once. Their answers are stored
+ * together in a 'comparison' entry ({ role: 'comparison', content: '', answers }), which is
+ * never sent to a model until one answer is kept as the assistant message of that turn.
+ */
+
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 4;
+
+/**
+ * The assistant message that replaces a comparison when one of its answers is kept.
+ * @param {Object} comparison - The comparison entry
+ * @param {number} answerIndex
+ * @returns {Object|null} - null when the answer failed or does not exist
+ */
+export const toKeptMessage = (comparison, answerIndex) => {
+    const answer = comparison?.answers?.[answerIndex];
+    if (!answer || answer.error) return null;
+    const { error: _, ...message } = answer;
+    return { ...message, role: 'assistant' };
+};
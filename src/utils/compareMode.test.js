@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { toKeptMessage } from './compareMode';
+
+describe('compareMode', () => {
+    const comparison = {
+        role: 'comparison',
+        content: '',
+        answers: [
+            { role: 'assistant', content: 'Short answer', reasoning: '', metadata: { model: 'openai/gpt-4o', tokens: 12 } },
+            { content: '', error: 'No API key configured', metadata: { model: 'anthropic/claude-sonnet-4' } }
+        ]
+    };
+
+    it('should turn the kept answer into an assistant message', () => {
+        expect(toKeptMessage(comparison, 0)).toEqual({
+            role: 'assistant',
+            content: 'Short answer',
+            reasoning: '',
+            metadata: { model: 'openai/gpt-4o', tokens: 12 }
+        });
+    });
+
+    it('should not keep failed or missing answers', () => {
+        expect(toKeptMessage(comparison, 1)).toBeNull();
+        expect(toKeptMessage(comparison, 5)).toBeNull();
+        expect(toKeptMessage(null, 0)).toBeNull();
+    });
+});
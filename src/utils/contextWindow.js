@@ -0,0 +1,190 @@
+/**
+ * Context-window management: rough token estimates for a conversation and the strategies
+ * used to fit it into the model's context limit before sending.
+ * Estimates use ~4 characters per token; they are meant for warnings, not billing.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1500; // A typical high-detail image on OpenAI/Anthropic/Gemini
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the context window at which the chat warns
+export const CONTEXT_WARN_RATIO = 0.8;
+
+// Messages kept verbatim after a summary, so the latest exchange keeps its full detail
+export const SUMMARY_KEEP_RECENT = 4;
+const ATTACHMENT_EXCERPT_CHARS = 8000;
+const SUMMARY_PROMPT_TOKENS = 200; // Instructions and headings of the summarizing request
+
+export const CONTEXT_STRATEGIES = [
+    { id: 'drop-attachments', label: 'Drop old attachments', description: 'Remove files from older messages first' },
+    { id: 'sliding-window', label: 'Keep recent messages', description: 'Send only the newest messages that fit' },
+    { id: 'summarize', label: 'Summarize older turns', description: 'Replace older turns with a pinned summary' }
+];
+
+// Limits of model families whose model lists do not report one
+const KNOWN_CONTEXT_LIMITS = [
+    [/claude/i, 200000]
+];
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+export const estimateMessageTokens = (message) => {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+    const files = (message.files || []).reduce((sum, f) => {
+        return sum + (f.type === 'image' ? IMAGE_TOKENS : estimateTokens(f.content));
+    }, 0);
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(content) + files;
+};
+
+export const estimateContextTokens = (messages) => (messages || []).reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+/**
+ * Context limit in tokens from the model metadata (OpenRouter `context_length`, Gemini `inputTokenLimit`
+ * mapped by modelService), or null when unknown.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {number|null}
+ */
+export const getContextLimit = (model) => {
+    if (!model) return null;
+    const limit = typeof model === 'object' ? (model.context_length || model.top_provider?.context_length) : null;
+    if (limit) return limit;
+
+    const id = typeof model === 'string' ? model : model.id;
+    const known = KNOWN_CONTEXT_LIMITS.find(([pattern]) => pattern.test(id || ''));
+    return known ? known[1] : null;
+};
+
+/**
+ * Tokens available for the conversation, leaving room for the answer.
+ * @param {number} limit - Context limit of the model
+ * @param {number} [maxTokens] - Answer length requested in the generation parameters
+ */
+export const getInputBudget = (limit, maxTokens) => limit - Math.min(maxTokens || 4096, Math.floor(limit / 4));
+
+/**
+ * Removes attachments from the oldest messages until the conversation fits.
+ * The last message (the one being sent) keeps its files.
+ */
+export const dropOldAttachments = (messages, budget) => {
+    const result = [...messages];
+    let total = estimateContextTokens(result);
+
+    for (let i = 0; i < result.length - 1 && total > budget; i++) {
+        if (!result[i].files?.length) continue;
+        const trimmed = { ...result[i], files: [] };
+        total -= estimateMessageTokens(result[i]) - estimateMessageTokens(trimmed);
+        result[i] = trimmed;
+    }
+    return result;
+};
+
+/**
+ * Keeps the newest messages that fit, starting on a user turn (Claude and Gemini reject a leading
+ * assistant message). Leading system messages, such as a pinned summary, are always kept.
+ */
+export const applySlidingWindow = (messages, budget) => {
+    const pinned = [];
+    let start = 0;
+    while (start < messages.length - 1 && messages[start].role === 'system') {
+        pinned.push(messages[start]);
+        start++;
+    }
+
+    let total = estimateContextTokens(pinned);
+    let first = messages.length - 1;
+    total += estimateMessageTokens(messages[first]);
+    while (first > start && total + estimateMessageTokens(messages[first - 1]) <= budget) {
+        first--;
+        total += estimateMessageTokens(messages[first]);
+    }
+
+    const window = messages.slice(first);
+    while (window.length > 1 && window[0].role !== 'user') {
+        window.shift();
+    }
+    return [...pinned, ...window];
+};
+
+/**
+ * Applies a synchronous strategy. 'summarize' needs a model call and is handled by the caller
+ * (see buildSummaryRequest / applySummary); this returns the messages unchanged for it.
+ * @param {Array} messages
+ * @param {number} budget
+ * @param {string} strategy - One of CONTEXT_STRATEGIES ids
+ */
+export const fitToContext = (messages, budget, strategy) => {
+    if (estimateContextTokens(messages) <= budget) return messages;
+    if (strategy === 'drop-attachments') return dropOldAttachments(messages, budget);
+    if (strategy === 'sliding-window') return applySlidingWindow(messages, budget);
+    return messages;
+};
+
+/**
+ * Messages asking a model to summarize older turns (and the previous summary, if any).
+ * Text attachments are included as excerpts; the oldest part of the transcript is cut
+ * when it would not fit into the summarizing request.
+ * @param {Array} messages - The turns to summarize
+ * @param {string} [previousSummary]
+ * @param {number} [maxTokens] - Input budget of the summarizing model
+ */
+export const buildSummaryRequest = (messages, previousSummary, maxTokens = Infinity) => {
+    let transcript = messages
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .map(m => {
+            const files = (m.files || []).map(f => f.type === 'image'
+                ? `[image: ${f.name || 'unnamed'}]`
+                : `--- ${f.name || 'attachment'} ---\n${(f.content || '').slice(0, ATTACHMENT_EXCERPT_CHARS)}`);
+            return [`${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`, ...files].join('\n');
+        })
+        .join('\n\n');
+
+    const maxChars = (maxTokens - SUMMARY_PROMPT_TOKENS - estimateTokens(previousSummary)) * CHARS_PER_TOKEN;
+    if (transcript.length > maxChars) {
+        transcript = transcript.slice(transcript.length - Math.max(0, maxChars));
+    }
+
+    return [
+        {
+            role: 'system',
+            content: 'Summarize the conversation below so it can replace the original messages. Keep facts, numbers, names, decisions, open questions and the content of attached documents that was discussed. Write compact bullet points and nothing else.'
+        },
+        {
+            role: 'user',
+            content: previousSummary
+                ? `Summary of the earlier conversation:\n${previousSummary}\n\nConversation that followed:\n${transcript}`
+                : transcript
+        }
+    ];
+};
+
+/**
+ * Number of leading messages a new summary covers: all but the SUMMARY_KEEP_RECENT most recent
+ * turns (error and comparison entries are never sent, so they do not count), moved back to the
+ * start of a user turn so the verbatim messages never open with an answer.
+ * @param {Array} messages
+ * @returns {number}
+ */
+export const getSummaryCut = (messages) => {
+    let cut = messages.length;
+    let kept = 0;
+    while (cut > 0 && kept < SUMMARY_KEEP_RECENT) {
+        cut--;
+        if (messages[cut].role !== 'error' && messages[cut].role !== 'comparison') kept++;
+    }
+    while (cut > 0 && messages[cut].role !== 'user') cut--;
+    return cut;
+};
+
+/**
+ * Replaces the messages covered by the session summary with a pinned system message.
+ * @param {Array} messages
+ * @param {{ content: string, messageCount: number }} [summary] - messageCount leading messages are covered
+ */
+export const applySummary = (messages, summary) => {
+    if (!summary?.content || summary.messageCount > messages.length) return messages;
+    return [
+        { role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` },
+        ...messages.slice(summary.messageCount)
+    ];
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+    estimateMessageTokens, estimateContextTokens, getContextLimit, getInputBudget,
+    dropOldAttachments, applySlidingWindow, fitToContext, buildSummaryRequest, applySummary,
+    getSummaryCut
+} from './contextWindow';
+
+const text = (tokens) => 'abcd'.repeat(tokens);
+
+describe('contextWindow', () => {
+    it('should estimate text, attachments and images', () => {
+        expect(estimateMessageTokens({ role: 'user', content: text(100) })).toBe(104);
+        expect(estimateMessageTokens({
+            role: 'user',
+            content: text(10),
+            files: [{ type: 'text', name: 'doc.pdf', content: text(500) }, { type: 'image', content: 'data:image/png;base64,xx' }]
+        })).toBe(4 + 10 + 500 + 1500);
+    });
+
+    it('should read the context limit from model metadata', () => {
+        expect(getContextLimit({ id: 'openai/gpt-4o', context_length: 128000 })).toBe(128000);
+        expect(getContextLimit({ id: 'x', top_provider: { context_length: 32000 } })).toBe(32000);
+        expect(getContextLimit('claude-sonnet-4-5')).toBe(200000);
+        expect(getContextLimit({ id: 'llama3' })).toBeNull();
+    });
+
+    it('should leave room for the answer', () => {
+        expect(getInputBudget(128000)).toBe(128000 - 4096);
+        expect(getInputBudget(128000, 16000)).toBe(128000 - 16000);
+        expect(getInputBudget(8000, 16000)).toBe(6000);
+    });
+
+    it('should drop attachments from the oldest messages first', () => {
+        const messages = [
+            { role: 'user', content: 'a', files: [{ type: 'text', name: 'old.pdf', content: text(1000) }] },
+            { role: 'assistant', content: 'b' },
+            { role: 'user', content: 'c', files: [{ type: 'text', name: 'mid.pdf', content: text(1000) }] },
+            { role: 'assistant', content: 'd' },
+            { role: 'user', content: 'e', files: [{ type: 'text', name: 'new.pdf', content: text(1000) }] }
+        ];
+
+        const fitted = dropOldAttachments(messages, 2100);
+
+        expect(fitted.map(m => m.files?.length || 0)).toEqual([0, 0, 1, 0, 1]);
+        expect(estimateContextTokens(fitted)).toBeLessThanOrEqual(2100);
+        expect(messages[0].files).toHaveLength(1);
+    });
+
+    it('should keep the newest messages that fit, starting with a user turn', () => {
+        const messages = [
+            { role: 'system', content: 'Summary' },
+            { role: 'user', content: text(100) },
+            { role: 'assistant', content: text(100) },
+            { role: 'user', content: text(100) },
+            { role: 'assistant', content: text(100) },
+            { role: 'user', content: text(100) }
+        ];
+
+        // Room for the summary and three messages, but the oldest of them is an assistant turn
+        const fitted = applySlidingWindow(messages, 430);
+
+        expect(fitted).toEqual([messages[0], messages[3], messages[4], messages[5]]);
+    });
+
+    it('should leave conversations that fit untouched', () => {
+        const messages = [{ role: 'user', content: 'Hi' }];
+        expect(fitToContext(messages, 1000, 'sliding-window')).toBe(messages);
+    });
+
+    it('should build a summary request that fits the budget', () => {
+        const messages = [
+            { role: 'user', content: 'Read this', files: [{ type: 'text', name: 'spec.md', content: 'Max speed: 20 km/h' }] },
+            { role: 'assistant', content: 'Done' },
+            { role: 'error', content: 'API Error 500' }
+        ];
+
+        const [instructions, request] = buildSummaryRequest(messages, '- Earlier: greeting');
+
+        expect(instructions.role).toBe('system');
+        expect(request.content).toBe('Summary of the earlier conversation:\n- Earlier: greeting\n\nConversation that followed:\nUser: Read this\n--- spec.md ---\nMax speed: 20 km/h\n\nAssistant: Done');
+
+        const [, cut] = buildSummaryRequest([{ role: 'user', content: text(1000) }, { role: 'assistant', content: 'Latest' }], undefined, 300);
+        expect(cut.content.length).toBe(400);
+        expect(cut.content.endsWith('Assistant: Latest')).toBe(true);
+    });
+
+    it('should replace summarized messages with the pinned summary', () => {
+        const messages = [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }, { role: 'user', content: 'c' }];
+
+        expect(applySummary(messages, { content: '- a and b', messageCount: 2 })).toEqual([
+            { role: 'system', content: 'Summary of the earlier conversation:\n- a and b' },
+            { role: 'user', content: 'c' }
+        ]);
+        expect(applySummary(messages, { content: 'stale', messageCount: 5 })).toBe(messages);
+        expect(applySummary(messages, null)).toBe(messages);
+    });
+
+    it('should summarize up to the start of a user turn, not counting unsent entries', () => {
+        const turn = (role, content) => ({ role, content });
+        const messages = [
+            turn('user', 'a'), turn('assistant', 'b'),
+            turn('user', 'c'), turn('assistant', 'd'),
+            turn('user', 'e'), turn('error', 'API Error 500'),
+            turn('comparison', ''), turn('user', 'f'), turn('assistant', 'g')
+        ];
+
+        // Keeps d, e, f, g verbatim, moved back to the user turn before d
+        expect(getSummaryCut(messages)).toBe(2);
+        expect(getSummaryCut(messages.slice(0, 4))).toBe(0);
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * Estimates the cost of a response from per-token model pricing (OpenRouter `pricing` format).
+ * Used when the provider does not report the cost itself.
+ */
+
+// Anthropic bills cache reads at 10% and (5 minute) cache writes at 125% of the input price
+const CACHE_READ_MULTIPLIER = 0.1;
+const CACHE_WRITE_MULTIPLIER = 1.25;
+
+/**
+ * @param {Object} pricing - { prompt, completion, input_cache_read?, input_cache_write? } in $ per token
+ * @param {Object} usage - Normalized usage from chatService; cache_read_tokens and cache_write_tokens
+ *   are counted separately from (and not included in) the input tokens
+ * @returns {number} Cost in dollars, 0 when pricing is unknown
+ */
+export function estimateCost(pricing, usage) {
+    if (!pricing?.prompt || !pricing?.completion) return 0;
+
+    const promptPrice = parseFloat(pricing.prompt);
+    const completionPrice = parseFloat(pricing.completion);
+    const cacheReadPrice = pricing.input_cache_read != null ? parseFloat(pricing.input_cache_read) : promptPrice * CACHE_READ_MULTIPLIER;
+    const cacheWritePrice = pricing.input_cache_write != null ? parseFloat(pricing.input_cache_write) : promptPrice * CACHE_WRITE_MULTIPLIER;
+
+    const inputTokens = usage?.prompt_tokens || usage?.input_tokens || 0;
+    const outputTokens = usage?.completion_tokens || usage?.output_tokens || 0;
+
+    return (promptPrice * inputTokens)
+        + (completionPrice * outputTokens)
+        + (cacheReadPrice * (usage?.cache_read_tokens || 0))
+        + (cacheWritePrice * (usage?.cache_write_tokens || 0));
+}
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { estimateCost } from './costEstimate';
+
+describe('estimateCost', () => {
+    const pricing = { prompt: '0.000003', completion: '0.000015' };
+
+    it('should price input and output tokens', () => {
+        expect(estimateCost(pricing, { prompt_tokens: 1000, completion_tokens: 100 })).toBeCloseTo(0.0045);
+        expect(estimateCost(pricing, { input_tokens: 1000, output_tokens: 100 })).toBeCloseTo(0.0045);
+    });
+
+    it('should price cached tokens at the cache rates', () => {
+        const usage = { input_tokens: 10, output_tokens: 0, cache_read_tokens: 10000, cache_write_tokens: 1000 };
+
+        // 10 * 3e-6 + 10000 * 0.3e-6 + 1000 * 3.75e-6
+        expect(estimateCost(pricing, usage)).toBeCloseTo(0.00678);
+        // Explicit cache prices win over the multipliers
+        expect(estimateCost({ ...pricing, input_cache_read: '0', input_cache_write: '0' }, usage)).toBeCloseTo(0.00003);
+    });
+
+    it('should return 0 without pricing', () => {
+        expect(estimateCost(undefined, { prompt_tokens: 10 })).toBe(0);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Model fallback chains: an ordered list of { provider, model } tried in turn
+ * when the selected model fails. Chains are edited as text, one "provider:model" per line.
+ */
+
+export const FALLBACK_PROVIDERS = ['openrouter', 'openai', 'azure', 'anthropic', 'google', 'local'];
+
+// Default API base URL per provider (the custom endpoint setting only applies to the active provider).
+// Azure has none: its resource endpoint comes from the Azure settings.
+export const DEFAULT_BASE_URLS = {
+    openrouter: 'https://openrouter.ai/api/v1',
+    openai: 'https://api.openai.com/v1',
+    anthropic: 'https://api.anthropic.com',
+    google: 'https://generativelanguage.googleapis.com',
+    local: 'http://localhost:11434/v1'
+};
+
+/**
+ * Parses the chain editor text. Lines without a known provider prefix (e.g. "llama3:8b")
+ * use the provider of the selected model.
+ * @param {string} text
+ * @param {string} defaultProvider
+ * @param {string[]} [profileIds] - Provider profiles, usable as prefixes like the built-in providers
+ * @returns {Array<{ provider: string, model: string }>}
+ */
+export const parseFallbackChain = (text, defaultProvider, profileIds = []) => {
+    return (text || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const separator = line.indexOf(':');
+            const prefix = separator > 0 ? line.slice(0, separator).toLowerCase() : '';
+            if ((FALLBACK_PROVIDERS.includes(prefix) || profileIds.includes(prefix)) && line.slice(separator + 1).trim()) {
+                return { provider: prefix, model: line.slice(separator + 1).trim() };
+            }
+            return { provider: defaultProvider, model: line };
+        });
+};
+
+export const formatFallbackChain = (chain) => (chain || []).map(c => `${c.provider}:${c.model}`).join('\n');
+
+// HTTP status in the adapters' error messages ("API Error 503: ...", "Google API Error: 429 - ...")
+const ERROR_STATUS = /API Error:? (\d{3})\b/;
+
+/**
+ * Whether another model should be tried after a failure. Only failures of the provider move on:
+ * network errors, rate limits (429) and server errors (5xx). Errors caused by the request itself
+ * (400 bad payload or context overflow, 401/403 bad key, invalid JSON answers) would fail again on
+ * every model, so they end the chain and are reported as they are. So does a user cancel.
+ * @param {Error} err
+ */
+export const shouldFallBack = (err) => {
+    if (!err || err.name === 'AbortError') return false;
+    // Tagged by chatService.fetchWithRetry when fetch rejects; other TypeErrors are bugs and are reported
+    if (err.networkError) return true;
+
+    const status = err.status || Number(ERROR_STATUS.exec(err.message || '')?.[1]);
+    return status === 429 || status >= 500;
+};
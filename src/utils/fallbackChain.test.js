@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseFallbackChain, formatFallbackChain, shouldFallBack } from './fallbackChain';
+
+describe('fallbackChain', () => {
+    it('should parse one provider:model per line', () => {
+        const chain = parseFallbackChain('openai:gpt-4o\n\n  local:llama3.1:8b  \nanthropic/claude-sonnet-4', 'openrouter');
+
+        expect(chain).toEqual([
+            { provider: 'openai', model: 'gpt-4o' },
+            { provider: 'local', model: 'llama3.1:8b' },
+            { provider: 'openrouter', model: 'anthropic/claude-sonnet-4' }
+        ]);
+    });
+
+    it('should keep model ids with colons on the default provider', () => {
+        expect(parseFallbackChain('meta-llama/llama-3.3-70b:free', 'openrouter')).toEqual([
+            { provider: 'openrouter', model: 'meta-llama/llama-3.3-70b:free' }
+        ]);
+    });
+
+    it('should accept provider profile ids as prefixes', () => {
+        expect(parseFallbackChain('groq:llama-3.3-70b\nmistral:large', 'openrouter', ['groq'])).toEqual([
+            { provider: 'groq', model: 'llama-3.3-70b' },
+            { provider: 'openrouter', model: 'mistral:large' }
+        ]);
+    });
+
+    it('should format a chain back to editor text', () => {
+        const chain = [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'local', model: 'llama3' }];
+        expect(parseFallbackChain(formatFallbackChain(chain), 'openrouter')).toEqual(chain);
+    });
+
+    it('should not fall back when the user stopped the request', () => {
+        expect(shouldFallBack(new DOMException('Aborted', 'AbortError'))).toBe(false);
+        expect(shouldFallBack(new Error('API Error 503: Service Unavailable'))).toBe(true);
+    });
+
+    it('should fall back on network errors, rate limits and server errors', () => {
+        expect(shouldFallBack(Object.assign(new TypeError('Failed to fetch'), { networkError: true }))).toBe(true);
+        expect(shouldFallBack(new Error('Anthropic API Error 429: Rate limited'))).toBe(true);
+        expect(shouldFallBack(new Error('Anthropic API Error 529: Overloaded'))).toBe(true);
+        expect(shouldFallBack(new Error('Google API Error: 500 - Internal'))).toBe(true);
+    });
+
+    it('should not fall back on errors caused by the request', () => {
+        expect(shouldFallBack(new Error('API Error 400: maximum context length exceeded'))).toBe(false);
+        expect(shouldFallBack(new Error('API Error 401: Invalid API key'))).toBe(false);
+        expect(shouldFallBack(new Error('Anthropic API Error 403: Forbidden'))).toBe(false);
+        expect(shouldFallBack(new Error('The response is not valid JSON'))).toBe(false);
+        expect(shouldFallBack(new TypeError("Cannot read properties of undefined (reading 'content')"))).toBe(false);
+    });
+});
@@ -4,6 +4,7 @@
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import { MAX_NATIVE_PDF_BYTES } from './modelCapabilities';
 
 // Configure the worker for PDF.js to use the local asset
 if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
@@ -37,8 +38,19 @@ export const processFile = async (file) => {
         }
 
         // 2. Handle PDF
+        // The extracted text works with every model; the original bytes are kept for models
+        // that read PDFs natively (tables, figures and layout survive), up to their size limit
         if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
             content = await readPdfToText(file);
+            const originalBase64 = file.size <= MAX_NATIVE_PDF_BYTES ? await readFileAsBase64(file) : null;
+
+            return {
+                type: 'text',
+                name: fileName,
+                content: `--- BEGIN FILE: ${fileName} ---\n${content}\n--- END FILE ---`,
+                ...(originalBase64 && { originalContent: originalBase64.replace(/^data:[^;,]*/, 'data:application/pdf') }), // Used by native PDF support
+                mimeType: 'application/pdf'
+            };
         }
         // 3. Handle Text/Code (JSON, JS, TXT, MD, TS, PY, etc.)
         else if (
@@ -81,7 +93,7 @@ const readFileAsBase64 = (file) => {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error("Failed to read image file"));
+        reader.onerror = () => reject(new Error("Failed to read file as base64"));
         reader.readAsDataURL(file);
     });
 };
@@ -55,6 +55,25 @@ describe('fileProcessor', () => {
         expect(result.name).toBe('test.pdf');
         expect(result.content).toContain('[Page 1]');
         expect(result.content).toContain('PDF Content');
+        // Original bytes for models that read PDFs natively
+        expect(result.mimeType).toBe('application/pdf');
+        expect(result.originalContent).toBe(`data:application/pdf;base64,${btoa('mock binary')}`);
+    });
+
+    it('should not keep the bytes of PDFs too large to send natively', async () => {
+        pdfjsLib.getDocument.mockReturnValue({
+            promise: Promise.resolve({
+                numPages: 1,
+                getPage: vi.fn().mockResolvedValue({ getTextContent: vi.fn().mockResolvedValue({ items: [{ str: 'Big PDF' }] }) })
+            })
+        });
+
+        const file = new File(['mock binary'], 'big.pdf', { type: 'application/pdf' });
+        Object.defineProperty(file, 'size', { value: 25 * 1024 * 1024 });
+        const result = await processFile(file);
+
+        expect(result.content).toContain('Big PDF');
+        expect(result.originalContent).toBeUndefined();
     });
 
     it('should throw an error for unsupported file types', async () => {
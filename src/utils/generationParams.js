@@ -0,0 +1,71 @@
+/**
+ * Generation parameters set per session in the parameters drawer.
+ * They are stored and sent in OpenAI terms; chatService translates them for each provider.
+ */
+import { supportsParameter, supportsReasoning } from './modelCapabilities';
+
+export const GENERATION_PARAMETERS = [
+    { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+    { key: 'top_p', label: 'Top P', min: 0, max: 1, step: 0.05 },
+    { key: 'max_tokens', label: 'Max tokens', min: 1, max: 200000, step: 1, integer: true },
+    { key: 'seed', label: 'Seed', min: 0, max: 2147483647, step: 1, integer: true },
+    { key: 'frequency_penalty', label: 'Frequency penalty', min: -2, max: 2, step: 0.1 },
+    { key: 'presence_penalty', label: 'Presence penalty', min: -2, max: 2, step: 0.1 },
+    { key: 'stop', label: 'Stop sequences', list: true }
+];
+
+// Most providers accept up to 4 stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Returns the parameters that are set and accepted by the model, with numbers clamped to their range.
+ * @param {Object} params - Session parameters, e.g. { temperature: 0.7, stop: ['###'] }
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {Object}
+ */
+export const cleanGenerationParams = (params, model) => {
+    const cleaned = {};
+    if (!params) return cleaned;
+
+    GENERATION_PARAMETERS.forEach(def => {
+        const value = params[def.key];
+        if (value === undefined || value === null || value === '') return;
+        if (!supportsParameter(model, def.key)) return;
+
+        if (def.list) {
+            const list = (Array.isArray(value) ? value : [value]).filter(v => typeof v === 'string' && v.length > 0);
+            if (list.length > 0) cleaned[def.key] = list.slice(0, MAX_STOP_SEQUENCES);
+            return;
+        }
+
+        let number = Number(value);
+        if (Number.isNaN(number)) return;
+        if (def.integer) number = Math.round(number);
+        cleaned[def.key] = Math.min(def.max, Math.max(def.min, number));
+    });
+
+    return cleaned;
+};
+
+/**
+ * Request options with their generation parameters and reasoning effort checked again for another
+ * model, e.g. a fallback model that takes no temperature or cannot reason.
+ * @param {Object} options - Request options from the input bar
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {Object}
+ */
+export const fitOptionsToModel = (options, model) => {
+    const { reasoningEffort, ...rest } = options;
+    const params = {};
+    GENERATION_PARAMETERS.forEach(def => {
+        if (!(def.key in rest)) return;
+        params[def.key] = rest[def.key];
+        delete rest[def.key];
+    });
+
+    return {
+        ...rest,
+        ...cleanGenerationParams(params, model),
+        ...(reasoningEffort && supportsReasoning(model) && { reasoningEffort })
+    };
+};
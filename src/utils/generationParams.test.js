@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { cleanGenerationParams, fitOptionsToModel } from './generationParams';
+
+describe('cleanGenerationParams', () => {
+    it('should keep set values and clamp them to their range', () => {
+        expect(cleanGenerationParams({ temperature: 3, max_tokens: '1500.4', top_p: '', seed: null }, 'gpt-4o')).toEqual({
+            temperature: 2,
+            max_tokens: 1500
+        });
+    });
+
+    it('should drop parameters the model does not support', () => {
+        const model = { id: 'openai/o3', supported_parameters: ['max_tokens', 'seed'] };
+
+        expect(cleanGenerationParams({ temperature: 0.2, max_tokens: 800, seed: 7 }, model)).toEqual({ max_tokens: 800, seed: 7 });
+    });
+
+    it('should keep up to 4 non-empty stop sequences', () => {
+        expect(cleanGenerationParams({ stop: ['a', '', 'b', 'c', 'd', 'e'] }, 'gpt-4o')).toEqual({ stop: ['a', 'b', 'c', 'd'] });
+        expect(cleanGenerationParams({ stop: [] }, 'gpt-4o')).toEqual({});
+    });
+});
+
+describe('fitOptionsToModel', () => {
+    it('should drop the parameters and reasoning effort another model does not take', () => {
+        const options = { webSearch: true, temperature: 0.2, max_tokens: 800, reasoningEffort: 'high' };
+        const model = { id: 'openai/gpt-4o-mini', supported_parameters: ['max_tokens'] };
+
+        expect(fitOptionsToModel(options, model)).toEqual({ webSearch: true, max_tokens: 800 });
+        expect(fitOptionsToModel(options, 'o3-mini')).toEqual(options);
+    });
+});
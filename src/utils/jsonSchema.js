@@ -0,0 +1,283 @@
+/**
+ * JSON mode: the session's JSON Schema, client-side validation of the answer and
+ * the schema dialect conversion for Gemini.
+ * Validation covers the JSON Schema keywords used for extraction schemas, not the full specification.
+ */
+
+export const JSON_SCHEMA_PRESETS = [
+    {
+        name: 'prices',
+        label: 'Prices',
+        schema: {
+            type: 'object',
+            properties: {
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            price: { type: 'number' },
+                            currency: { type: 'string' }
+                        },
+                        required: ['name', 'price', 'currency'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['items'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'specs',
+        label: 'Specifications',
+        schema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string' },
+                specs: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            value: { type: 'string' }
+                        },
+                        required: ['name', 'value'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['product', 'specs'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'contacts',
+        label: 'Contacts',
+        schema: {
+            type: 'object',
+            properties: {
+                contacts: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        // Unknown details are null, so every property can be required (see supportsStrictMode)
+                        properties: {
+                            name: { type: 'string' },
+                            role: { type: ['string', 'null'] },
+                            email: { type: ['string', 'null'] },
+                            phone: { type: ['string', 'null'] }
+                        },
+                        required: ['name', 'role', 'email', 'phone'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['contacts'],
+            additionalProperties: false
+        }
+    }
+];
+
+// Compiles a schema `pattern`; the message of the SyntaxError when it is not a valid regular expression
+const compilePattern = (pattern) => {
+    try {
+        return { regex: new RegExp(pattern, 'u') };
+    } catch (e) {
+        return { error: e.message };
+    }
+};
+
+// First `pattern` keyword anywhere in the schema that does not compile
+const findInvalidPattern = (schema) => {
+    if (!schema || typeof schema !== 'object') return null;
+    if (typeof schema.pattern === 'string') {
+        const { error } = compilePattern(schema.pattern);
+        if (error) return { pattern: schema.pattern, error };
+    }
+    for (const child of Object.values(schema)) {
+        const invalid = findInvalidPattern(child);
+        if (invalid) return invalid;
+    }
+    return null;
+};
+
+/**
+ * Parses schema editor text.
+ * @param {string} text
+ * @returns {{ schema?: Object, error?: string }}
+ */
+export const parseJsonSchema = (text) => {
+    let schema;
+    try {
+        schema = JSON.parse(text);
+    } catch (e) {
+        return { error: `Invalid JSON: ${e.message}` };
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return { error: 'The schema must be a JSON object' };
+    }
+    const invalid = findInvalidPattern(schema);
+    if (invalid) {
+        return { error: `Invalid pattern ${invalid.pattern}: ${invalid.error}` };
+    }
+    return { schema };
+};
+
+/**
+ * Parses a model answer as JSON, accepting a ```json fenced block.
+ * @param {string} text
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When the answer is not JSON
+ */
+export const parseJsonResponse = (text) => {
+    const trimmed = (text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - JSON path used in the messages
+ * @returns {string[]} Error messages, empty when valid
+ */
+export const validateJson = (value, schema, path = '$') => {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validateJson(value, option, path).length === 0)) {
+        errors.push(`${path}: does not match any allowed schema`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must have at most ${schema.maxLength} characters`);
+        if (schema.pattern) {
+            const { regex } = compilePattern(schema.pattern);
+            if (!regex) errors.push(`${path}: invalid pattern ${schema.pattern} in the schema`);
+            else if (!regex.test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            if (properties[key]) {
+                errors.push(...validateJson(child, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJson(child, schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+};
+
+// Keywords OpenAI's strict structured outputs reject
+const STRICT_UNSUPPORTED_KEYS = [
+    'minLength', 'maxLength', 'minProperties', 'maxProperties', 'patternProperties', 'propertyNames',
+    'unevaluatedProperties', 'uniqueItems', 'contains', 'allOf', 'oneOf', 'not', 'if', 'then', 'else'
+];
+
+const isStrictSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return true;
+    if (STRICT_UNSUPPORTED_KEYS.some(key => key in schema)) return false;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.includes('object') || schema.properties) {
+        // Every object must be closed and list all of its properties as required
+        const keys = Object.keys(schema.properties || {});
+        if (schema.additionalProperties !== false) return false;
+        if (!keys.every(key => (schema.required || []).includes(key))) return false;
+        if (!keys.every(key => isStrictSchema(schema.properties[key]))) return false;
+    }
+
+    const children = [schema.items, ...(schema.anyOf || []), ...Object.values(schema.$defs || schema.definitions || {})];
+    return children.every(isStrictSchema);
+};
+
+/**
+ * Whether OpenAI can enforce the schema exactly (`strict: true`): an object root, closed objects
+ * with every property required (optional ones are written as nullable) and no unsupported keywords.
+ * Other schemas are sent without strict, as best-effort guidance validated in the side panel.
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+export const supportsStrictMode = (schema) => schema?.type === 'object' && isStrictSchema(schema);
+
+// Keywords Gemini's OpenAPI-style responseSchema rejects
+const GEMINI_UNSUPPORTED_KEYS = ['$schema', '$id', '$defs', 'definitions', 'additionalProperties', 'const', 'default', 'examples'];
+
+/**
+ * Converts a JSON Schema to Gemini's responseSchema dialect: unsupported keywords are dropped
+ * and nullable type lists (["string", "null"]) become { type: "string", nullable: true }.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export const toGeminiSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (GEMINI_UNSUPPORTED_KEYS.includes(key)) return;
+        if (key === 'properties') {
+            converted.properties = Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toGeminiSchema(child)]));
+        } else if (key === 'type' && Array.isArray(value)) {
+            const types = value.filter(type => type !== 'null');
+            converted.type = types[0];
+            if (types.length < value.length) converted.nullable = true;
+        } else {
+            converted[key] = toGeminiSchema(value);
+        }
+    });
+    return converted;
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { JSON_SCHEMA_PRESETS, parseJsonSchema, parseJsonResponse, validateJson, toGeminiSchema, supportsStrictMode } from './jsonSchema';
+
+describe('jsonSchema', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            price: { type: 'number', minimum: 0 },
+            stock: { type: 'integer' },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+            status: { enum: ['new', 'used'] }
+        },
+        required: ['name', 'price'],
+        additionalProperties: false
+    };
+
+    it('should accept a matching value', () => {
+        expect(validateJson({ name: 'Lamp', price: 19.5, stock: 3, tags: ['home'], status: 'new' }, schema)).toEqual([]);
+    });
+
+    it('should report each violation with its path', () => {
+        const errors = validateJson({ name: '', stock: 1.5, tags: ['a', 2, 'c'], status: 'broken', color: 'red' }, schema);
+
+        expect(errors).toEqual([
+            '$: missing required property "price"',
+            '$.name: must have at least 1 characters',
+            '$.stock: expected integer, got number',
+            '$.tags: must have at most 2 items',
+            '$.tags[1]: expected string, got integer',
+            '$.status: must be one of "new", "used"',
+            '$: unexpected property "color"'
+        ]);
+    });
+
+    it('should accept nullable type lists', () => {
+        expect(validateJson(null, { type: ['string', 'null'] })).toEqual([]);
+        expect(validateJson(1, { type: ['string', 'null'] })).toEqual(['$: expected string or null, got integer']);
+    });
+
+    it('should parse plain and fenced JSON answers', () => {
+        expect(parseJsonResponse('{"a": 1}')).toEqual({ a: 1 });
+        expect(parseJsonResponse('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(() => parseJsonResponse('Here you go: {"a": 1}')).toThrow(SyntaxError);
+    });
+
+    it('should reject schema text that is not a JSON object', () => {
+        expect(parseJsonSchema('{"type": "object"}')).toEqual({ schema: { type: 'object' } });
+        expect(parseJsonSchema('[]').error).toBe('The schema must be a JSON object');
+        expect(parseJsonSchema('{type').error).toMatch(/^Invalid JSON/);
+    });
+
+    it('should reject a schema with a pattern that is not a valid regular expression', () => {
+        const { error } = parseJsonSchema('{"type": "object", "properties": {"sku": {"type": "string", "pattern": "[A-Z"}}}');
+        expect(error).toMatch(/^Invalid pattern \[A-Z: /);
+        expect(parseJsonSchema('{"properties": {"pattern": {"type": "string", "pattern": "^\\\\d+$"}}}').error).toBeUndefined();
+    });
+
+    it('should report an invalid pattern instead of throwing', () => {
+        expect(validateJson('ABC', { type: 'string', pattern: '(' })).toEqual(['$: invalid pattern ( in the schema']);
+    });
+
+    it('should convert a schema to the Gemini dialect', () => {
+        const converted = toGeminiSchema({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                default: { type: ['string', 'null'] },
+                items: { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } }, additionalProperties: false } }
+            },
+            required: ['items'],
+            additionalProperties: false
+        });
+
+        expect(converted).toEqual({
+            type: 'object',
+            properties: {
+                default: { type: 'string', nullable: true },
+                items: { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } } } }
+            },
+            required: ['items']
+        });
+    });
+
+    it('should ship presets with valid names for every provider', () => {
+        JSON_SCHEMA_PRESETS.forEach(preset => {
+            expect(preset.name).toMatch(/^[a-zA-Z0-9_-]+$/);
+            expect(preset.schema.type).toBe('object');
+            expect(supportsStrictMode(preset.schema)).toBe(true);
+        });
+    });
+
+    it('should only allow strict mode for closed objects with every property required', () => {
+        const closed = { type: 'object', properties: { a: { type: 'string' } }, required: ['a'], additionalProperties: false };
+
+        expect(supportsStrictMode(closed)).toBe(true);
+        expect(supportsStrictMode({ ...closed, required: [] })).toBe(false);
+        expect(supportsStrictMode({ ...closed, additionalProperties: undefined })).toBe(false);
+        expect(supportsStrictMode({ ...closed, properties: { a: { type: 'string', minLength: 2 } } })).toBe(false);
+        expect(supportsStrictMode({ type: 'array', items: closed })).toBe(false);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Model capability checks shared by the input bar and the request pipeline.
+ * Trusts OpenRouter metadata when present and falls back to naming conventions.
+ */
+
+// Reasoning effort levels offered in the UI (null = provider default)
+export const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+/**
+ * Whether the model accepts image inputs.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {boolean}
+ */
+export const supportsVision = (model) => {
+    if (!model) return false;
+    const modelObj = typeof model === 'string' ? { id: model } : model;
+
+    // Trust the metadata if it exists
+    if (modelObj.architecture?.input_modalities?.includes('image')) return true;
+
+    // Catch common naming conventions and known families
+    const id = (modelObj.id || '').toLowerCase();
+    return id.includes('vision') || id.includes('vl') || /claude-3|claude-4|gpt-4|gemini|llama-3\.2/.test(id);
+};
+
+/**
+ * Whether the model can think before answering and accepts an effort/budget setting.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {boolean}
+ */
+export const supportsReasoning = (model) => {
+    if (!model) return false;
+    const modelObj = typeof model === 'string' ? { id: model } : model;
+
+    // OpenRouter lists accepted request parameters per model
+    if (Array.isArray(modelObj.supported_parameters)) {
+        return modelObj.supported_parameters.includes('reasoning') ||
+            modelObj.supported_parameters.includes('include_reasoning');
+    }
+
+    const id = (modelObj.id || '').toLowerCase();
+    return /(^|\/)o[134](-|$)|gpt-5|gpt-oss|claude-3-7|claude-(sonnet|opus|haiku)-4|claude-4|gemini-2\.5|gemini-3|deepseek-r1|qwq|qwen3|magistral|thinking|reason/.test(id);
+};
+
+/**
+ * Whether the model accepts a request parameter (e.g. 'temperature', 'seed').
+ * Only OpenRouter publishes this; other models are assumed to accept it.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @param {string} parameter - Parameter name in OpenAI terms
+ * @returns {boolean}
+ */
+export const supportsParameter = (model, parameter) => {
+    const supported = typeof model === 'object' ? model?.supported_parameters : null;
+    return Array.isArray(supported) ? supported.includes(parameter) : true;
+};
+
+// Aspect ratios accepted by Gemini image models (and by OpenRouter for them); null = model default
+export const IMAGE_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * Whether the model can answer with images (Gemini image models such as Nano Banana, OpenAI image models).
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {boolean}
+ */
+export const supportsImageOutput = (model) => {
+    if (!model) return false;
+    const modelObj = typeof model === 'string' ? { id: model } : model;
+
+    // OpenRouter lists the output modalities per model
+    if (Array.isArray(modelObj.architecture?.output_modalities)) {
+        return modelObj.architecture.output_modalities.includes('image');
+    }
+
+    const id = (modelObj.id || '').toLowerCase();
+    return /gemini-.*image|nano-banana/.test(id) || Boolean(getOpenAIImageOptions(id));
+};
+
+/**
+ * Settings of an OpenAI Images API model (gpt-image, dall-e), or null for other models.
+ * Empty lists mean the model does not take that setting.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {{ sizes: string[], qualities: string[], backgrounds: string[], canEdit: boolean }|null}
+ */
+export const getOpenAIImageOptions = (model) => {
+    const id = ((typeof model === 'string' ? model : model?.id) || '').toLowerCase();
+    if (/(^|\/)gpt-image/.test(id)) {
+        return { sizes: ['1024x1024', '1536x1024', '1024x1536'], qualities: ['low', 'medium', 'high'], backgrounds: ['transparent', 'opaque'], canEdit: true };
+    }
+    if (/(^|\/)dall-e-3/.test(id)) {
+        return { sizes: ['1024x1024', '1792x1024', '1024x1792'], qualities: ['standard', 'hd'], backgrounds: [], canEdit: false };
+    }
+    if (/(^|\/)dall-e-2/.test(id)) {
+        return { sizes: ['256x256', '512x512', '1024x1024'], qualities: [], backgrounds: [], canEdit: true };
+    }
+    return null;
+};
+
+// PDFs larger than this are sent as extracted text (Gemini caps inline request data at 20 MB)
+export const MAX_NATIVE_PDF_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Whether the model reads PDF files natively (Claude 3.5 and later, Gemini 1.5 and later),
+ * so the original document can be sent instead of its extracted text.
+ * @param {Object|string} model - Model object from fetchModels, or a model ID
+ * @returns {boolean}
+ */
+export const supportsNativePdf = (model) => {
+    const id = ((typeof model === 'string' ? model : model?.id) || '').toLowerCase();
+    return /claude-3[-.][57]|claude-(sonnet|opus|haiku)-[4-9]|claude-[4-9]|gemini-(1\.5|[2-9])/.test(id);
+};
@@ -0,0 +1,53 @@
+/**
+ * Provider profiles: named OpenAI-compatible endpoints (Groq, DeepSeek, Mistral, a LiteLLM gateway, ...)
+ * with their own base URL, encrypted key and extra headers. A profile's id is used as its provider name
+ * everywhere a built-in provider name is (active provider, fallback chains, model cache).
+ */
+
+export const BUILT_IN_PROVIDERS = ['openrouter', 'openai', 'azure', 'anthropic', 'google'];
+
+// Names a profile id must not take
+const RESERVED_IDS = [...BUILT_IN_PROVIDERS, 'local'];
+
+const PROVIDER_LABELS = { openrouter: 'OpenRouter', openai: 'OpenAI', azure: 'Azure OpenAI', anthropic: 'Anthropic', google: 'Google', local: 'Local' };
+
+/**
+ * Id for a new profile: the name as a slug ("Together AI" -> "together-ai"), made unique.
+ * @param {string} name
+ * @param {string[]} existingIds - Ids of the other profiles
+ */
+export const createProfileId = (name, existingIds = []) => {
+    const base = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'provider';
+    const taken = [...RESERVED_IDS, ...existingIds];
+    let id = base;
+    for (let n = 2; taken.includes(id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+};
+
+export const findProfile = (profiles, provider) => (profiles || []).find(p => p.id === provider) || null;
+
+// Display name of a built-in provider or profile
+export const getProviderLabel = (provider, profiles) =>
+    findProfile(profiles, provider)?.name || PROVIDER_LABELS[provider] || provider;
+
+/**
+ * Parses the headers editor text, one "Name: value" per line.
+ * @param {string} text
+ * @returns {{ headers: Object, error?: string }}
+ */
+export const parseHeaders = (text) => {
+    const headers = {};
+    for (const line of (text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+        const separator = line.indexOf(':');
+        const name = separator > 0 ? line.slice(0, separator).trim() : '';
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+            return { headers, error: `Invalid header line: "${line}" (expected "Name: value")` };
+        }
+        headers[name] = line.slice(separator + 1).trim();
+    }
+    return { headers };
+};
+
+export const formatHeaders = (headers) => Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { createProfileId, getProviderLabel, parseHeaders, formatHeaders } from './providerProfiles';
+
+describe('providerProfiles', () => {
+    it('should derive unique ids from profile names', () => {
+        expect(createProfileId('Together AI')).toBe('together-ai');
+        expect(createProfileId('Groq', ['groq'])).toBe('groq-2');
+        expect(createProfileId('Groq', ['groq', 'groq-2'])).toBe('groq-3');
+        // Built-in provider names stay reserved
+        expect(createProfileId('OpenAI')).toBe('openai-2');
+        expect(createProfileId('Local')).toBe('local-2');
+        expect(createProfileId('***')).toBe('provider');
+    });
+
+    it('should label built-in providers and profiles', () => {
+        const profiles = [{ id: 'groq', name: 'Groq' }];
+        expect(getProviderLabel('groq', profiles)).toBe('Groq');
+        expect(getProviderLabel('openrouter', profiles)).toBe('OpenRouter');
+        expect(getProviderLabel('deleted', profiles)).toBe('deleted');
+    });
+
+    it('should parse one "Name: value" header per line', () => {
+        expect(parseHeaders('X-Team: research\n\n  x-api-version:2024-10 \nX-Url: https://a.b/c')).toEqual({
+            headers: { 'X-Team': 'research', 'x-api-version': '2024-10', 'X-Url': 'https://a.b/c' }
+        });
+        expect(parseHeaders('')).toEqual({ headers: {} });
+        expect(parseHeaders('no separator').error).toMatch(/Invalid header line/);
+        expect(parseHeaders('Bad Name: x').error).toMatch(/Invalid header line/);
+    });
+
+    it('should format headers back to editor text', () => {
+        const headers = { 'X-Team': 'research', 'X-Env': 'prod' };
+        expect(parseHeaders(formatHeaders(headers)).headers).toEqual(headers);
+    });
+});
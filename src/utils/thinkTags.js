@@ -0,0 +1,99 @@
+/**
+ * Helpers for models that emit their reasoning inline as <think>...</think>
+ * (DeepSeek R1 and similar local models).
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Splits inline <think> blocks out of a complete response.
+ * An unclosed <think> (truncated output) is treated as reasoning up to the end.
+ * @param {string} text - Raw model output
+ * @returns {{ content: string, reasoning: string }}
+ */
+export const extractThinkTags = (text) => {
+    if (!text || !text.includes(OPEN_TAG)) {
+        return { content: text || '', reasoning: '' };
+    }
+
+    let content = '';
+    const reasoning = [];
+    let rest = text;
+
+    while (rest.length > 0) {
+        const start = rest.indexOf(OPEN_TAG);
+        if (start === -1) {
+            content += rest;
+            break;
+        }
+        content += rest.slice(0, start);
+        rest = rest.slice(start + OPEN_TAG.length);
+
+        const end = rest.indexOf(CLOSE_TAG);
+        if (end === -1) {
+            reasoning.push(rest.trim());
+            break;
+        }
+        reasoning.push(rest.slice(0, end).trim());
+        rest = rest.slice(end + CLOSE_TAG.length);
+    }
+
+    return {
+        content: content.trim(),
+        reasoning: reasoning.filter(Boolean).join('\n\n')
+    };
+};
+
+/**
+ * Creates a stateful splitter for streamed text. Each call returns the
+ * { content, reasoning } pieces that can be emitted so far; text that might
+ * be the start of a tag is held until the next chunk (or flush).
+ * @returns {{ push: (chunk: string) => { content: string, reasoning: string }, flush: () => { content: string, reasoning: string } }}
+ */
+export const createThinkTagStream = () => {
+    let buffer = '';
+    let inThink = false;
+
+    const drain = (isFinal) => {
+        const out = { content: '', reasoning: '' };
+
+        while (buffer.length > 0) {
+            const tag = inThink ? CLOSE_TAG : OPEN_TAG;
+            const target = inThink ? 'reasoning' : 'content';
+            const index = buffer.indexOf(tag);
+
+            if (index !== -1) {
+                out[target] += buffer.slice(0, index);
+                buffer = buffer.slice(index + tag.length);
+                inThink = !inThink;
+                continue;
+            }
+
+            // Keep a possible partial tag at the end for the next chunk
+            let keep = 0;
+            if (!isFinal) {
+                for (let len = Math.min(tag.length - 1, buffer.length); len > 0; len--) {
+                    if (buffer.endsWith(tag.slice(0, len))) {
+                        keep = len;
+                        break;
+                    }
+                }
+            }
+
+            out[target] += buffer.slice(0, buffer.length - keep);
+            buffer = buffer.slice(buffer.length - keep);
+            break;
+        }
+
+        return out;
+    };
+
+    return {
+        push: (chunk) => {
+            buffer += chunk;
+            return drain(false);
+        },
+        flush: () => drain(true)
+    };
+};
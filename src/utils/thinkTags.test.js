@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { extractThinkTags, createThinkTagStream } from './thinkTags';
+
+describe('extractThinkTags', () => {
+    it('returns content untouched when there are no think tags', () => {
+        expect(extractThinkTags('Just an answer')).toEqual({ content: 'Just an answer', reasoning: '' });
+    });
+
+    it('splits a leading think block from the answer', () => {
+        expect(extractThinkTags('<think>\nUser wants 2+2.\n</think>\n\nIt is 4.')).toEqual({
+            content: 'It is 4.',
+            reasoning: 'User wants 2+2.'
+        });
+    });
+
+    it('treats an unclosed think block as reasoning', () => {
+        expect(extractThinkTags('<think>Still going')).toEqual({ content: '', reasoning: 'Still going' });
+    });
+});
+
+describe('createThinkTagStream', () => {
+    const collect = (chunks) => {
+        const stream = createThinkTagStream();
+        const out = { content: '', reasoning: '' };
+        [...chunks.map(c => stream.push(c)), stream.flush()].forEach(piece => {
+            out.content += piece.content;
+            out.reasoning += piece.reasoning;
+        });
+        return out;
+    };
+
+    it('routes text inside think tags to reasoning across chunk boundaries', () => {
+        expect(collect(['<thi', 'nk>Plan', ' it</th', 'ink>Answer'])).toEqual({
+            content: 'Answer',
+            reasoning: 'Plan it'
+        });
+    });
+
+    it('holds back a possible partial tag until the next chunk', () => {
+        const stream = createThinkTagStream();
+        expect(stream.push('a <th')).toEqual({ content: 'a ', reasoning: '' });
+        expect(stream.push('ing')).toEqual({ content: '<thing', reasoning: '' });
+    });
+
+    it('flushes held text at the end of the stream', () => {
+        expect(collect(['x <'])).toEqual({ content: 'x <', reasoning: '' });
+    });
+});